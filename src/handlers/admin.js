@@ -1,54 +1,197 @@
-import { ConfigService, deepMerge } from '../services/config.js';
+import { ConfigService, deepMerge, DEFAULT_ADMIN_PASSWORD } from '../services/config.js';
 import { KVService } from '../services/kv.js';
+import { SubconverterService } from '../services/subconverter.js';
+import { StatsService } from '../services/stats.js';
+import { BackupService, RESTORE_MODES } from '../services/backup.js';
+import { HistoryService, CONFIG_HISTORY, groupHistory, stripConfigSecrets, restoreConfigSecrets, stripRevision } from '../services/history.js';
+import { AuditService, summarizeGroup, changedKeys } from '../services/audit.js';
+import { SchemaService, GROUP_SCHEMA, CONFIG_SCHEMA, TOKEN_ROTATION_SCHEMA, BOT_DETECTION_SCHEMA } from '../services/schema.js';
+import { BotService, parseRawHeaders } from '../services/bot.js';
 import { renderAdminPage } from '../views/admin.html.js';
 import { renderLoginPage } from '../views/login.html.js';
-import { response } from '../utils.js';
-import { verifyJwt, createJwt, refreshJwt, getAuthCookie, createAuthCookie } from '../services/auth.js';
+import { response, sha256Hex } from '../utils.js';
+import {
+  verifyJwt, createJwt, getAuthCookie, createAuthCookie, hashPassword, verifyPassword,
+  generateTotpSecret, createTotpUri, verifyTotp,
+} from '../services/auth.js';
 import { Router } from 'itty-router';
 
+// 管理员角色及其权限等级：viewer 只读，editor 可编辑订阅组，owner 可修改全局设置和管理账户
+const ROLE_LEVELS = { viewer: 1, editor: 2, owner: 3 };
+// 启用两步验证时生成的恢复码数量
+const RECOVERY_CODE_COUNT = 10;
+// 未启用登录失败封禁时，同一 IP 的失败登录写入审计日志的最小间隔 (秒)
+const FAILED_LOGIN_AUDIT_INTERVAL = 600;
+// 两步验证码连续错误的次数上限及锁定时长 (秒)，与 failedBan 无关，始终生效
+const TWO_FACTOR_MAX_ATTEMPTS = 5;
+const TWO_FACTOR_LOCK_TTL = 15 * 60;
+// API 令牌的权限范围及其对应的角色：范围逐级包含，config:write 同时可写订阅组
+const API_TOKEN_SCOPES = { 'read-only': 'viewer', 'groups:write': 'editor', 'config:write': 'owner' };
+const API_TOKEN_PREFIX = 'spw_';
+// 最近使用时间的更新间隔，避免每个请求都写入 KV
+const API_TOKEN_TOUCH_INTERVAL = 60 * 1000;
+
 // 登录处理器
 async function handleLogin(request, logger) {
-	const { password } = await request.json();
-	const adminPassword = ConfigService.get('adminPassword');
+	const { username, password, newPassword, code } = await request.json();
+	const { adminPassword, adminPasswordHash } = ConfigService.get();
 	const jwtSecret = ConfigService.getEnv().JWT_SECRET;
   const failedBan = ConfigService.get('failedBan');
 
-	if (!adminPassword || !jwtSecret) {
+	if ((!adminPassword && !adminPasswordHash) || !jwtSecret) {
 		logger.fatal('Admin password or JWT secret not set on server.');
 		return response.json({ error: 'Admin password or JWT secret not set on server.' }, 500);
 	}
 
-	if (constantTimeCompare(password, adminPassword)) {
-		const token = await createJwt(jwtSecret, {}, logger);
-		const cookie = createAuthCookie(token, 8 * 60 * 60); // 8 hours
-		logger.info('Admin logged in', {}, { notify: true });
-		return response.json({ success: true }, 200, { 'Set-Cookie': cookie });
-	} else {
-    // 失败登录记录，防止暴力破解
-    if (failedBan.enabled) {
-      const ip = request.headers.get('cf-connecting-ip') || request.headers.get('x-forwarded-for') || 'unknown';
-
-      // 检查是否被ban
-      const banned = await KVService.get(`banned::${ip}`);
-      if (banned) {
-        logger.warn('Banned IP attempted login', {}, { notify: true });
-        return response.json({ error: 'Too many failed attempts, please try again later.' }, 429);
-      }
-
-      // 检查失败次数
-      const attempts = await KVService.get(`failedAttempts::${ip}`) || 0;
-      if (attempts >= failedBan.maxAttempts) {
-        await KVService.put(`banned::${ip}`, true, { expirationTtl: failedBan.banDuration });
-        logger.warn('Banned IP attempted login', {}, { notify: true });
-        return response.json({ error: 'Too many failed attempts, please try again later.' }, 429);
-      } else {
-        await KVService.put(`failedAttempts::${ip}`, attempts + 1, { expirationTtl: failedBan.failedAttemptsTtl });
-      }
-    }
-
-		logger.warn('Admin login attempt failed', {}, { notify: true });
-		return response.json({ error: 'Invalid password' }, 401);
+	const session = await authenticate(username, password, { adminPassword, adminPasswordHash });
+	if (!session) {
+		logger.warn('Admin login attempt failed', { Username: username || null }, { notify: true });
+		return handleFailedLogin(request, logger, failedBan, { error: 'Invalid username or password' }, { actor: username || 'admin', reason: 'password' });
+	}
+
+	// 账户启用了两步验证时，密码正确后还需要验证码或恢复码
+	const totp = await KVService.getTotp(session.username);
+	if (totp && totp.enabled) {
+		if (!code) {
+			return response.json({ error: 'Two-factor code required', twoFactorRequired: true }, 401);
+		}
+		if (await isTwoFactorLocked(session.username)) {
+			logger.warn('Admin two-factor locked', { Username: session.username }, { notify: true });
+			return response.json({ error: 'Too many invalid two-factor codes, please try again later.' }, 429);
+		}
+		if (!await verifySecondFactor(request, session.username, totp, code, logger)) {
+			logger.warn('Admin two-factor verification failed', { Username: session.username }, { notify: true });
+			return handleFailedLogin(request, logger, failedBan, { error: 'Invalid two-factor code', twoFactorRequired: true }, { actor: session.username || 'admin', reason: 'two_factor' });
+		}
+	}
+
+	// 使用全局管理员密码登录且尚未哈希时：默认密码必须先修改，其他明文密码自动迁移
+	if (!session.username && !adminPasswordHash) {
+		if (password === DEFAULT_ADMIN_PASSWORD) {
+			if (!newPassword) {
+				return response.json({ error: 'The default password must be changed before logging in.', passwordChangeRequired: true }, 403);
+			}
+			const error = checkPassword(newPassword);
+			if (error) return response.json({ error, passwordChangeRequired: true }, 400);
+			await saveAdminPassword(newPassword);
+			logger.warn('Default admin password changed', {}, { notify: true });
+			await AuditService.record(request, 'admin', { action: 'auth.password_change', details: { reason: 'default_password' } }, logger);
+		} else {
+			await saveAdminPassword(password);
+			logger.info('Admin password migrated to PBKDF2 hash');
+		}
 	}
+
+	const token = await createJwt(jwtSecret, session, logger);
+	const cookie = createAuthCookie(token, 8 * 60 * 60); // 8 hours
+	logger.info('Admin logged in', { Username: session.username, Role: session.role, TwoFactor: Boolean(totp && totp.enabled) }, { notify: true });
+	await AuditService.record(request, session.username || 'admin', { action: 'auth.login', details: { role: session.role, twoFactor: Boolean(totp && totp.enabled) } }, logger);
+	return response.json({ success: true }, 200, { 'Set-Cookie': cookie });
+}
+
+/**
+ * 处理失败的登录 (密码或两步验证码错误)，启用 failedBan 时累计失败次数并封禁
+ * 失败登录来自未认证的请求，审计记录按 IP 限制频率：启用 failedBan 时只记录计数窗口内的首次失败与封禁，
+ * 否则每个 IP 每 FAILED_LOGIN_AUDIT_INTERVAL 秒最多记录一次
+ * @param {Request} request - 登录请求
+ * @param {object} failedBan - 失败封禁配置
+ * @param {object} body - 返回给客户端的错误信息
+ * @param {{actor: string, reason: string}} failure - 审计记录中的操作者与失败原因
+ * @returns {Promise<Response>}
+ */
+async function handleFailedLogin(request, logger, failedBan, body, { actor, reason }) {
+  const ip = request.headers.get('cf-connecting-ip') || request.headers.get('x-forwarded-for') || 'unknown';
+  const audit = details => AuditService.record(request, actor, { action: 'auth.login_failed', details: { reason, ...details } }, logger);
+
+  // 失败登录记录，防止暴力破解
+  if (failedBan.enabled) {
+    // 检查是否被ban
+    const banned = await KVService.get(`banned::${ip}`);
+    if (banned) {
+      logger.warn('Banned IP attempted login', {}, { notify: true });
+      return response.json({ error: 'Too many failed attempts, please try again later.' }, 429);
+    }
+
+    // 检查失败次数
+    const attempts = await KVService.get(`failedAttempts::${ip}`) || 0;
+    if (attempts >= failedBan.maxAttempts) {
+      await KVService.put(`banned::${ip}`, true, { expirationTtl: failedBan.banDuration });
+      logger.warn('Banned IP attempted login', {}, { notify: true });
+      await audit({ attempts: attempts + 1, banned: true });
+      return response.json({ error: 'Too many failed attempts, please try again later.' }, 429);
+    } else {
+      await KVService.put(`failedAttempts::${ip}`, attempts + 1, { expirationTtl: failedBan.failedAttemptsTtl });
+      if (attempts === 0) await audit();
+    }
+  } else if (!await KVService.get(`failedLoginAudited::${ip}`)) {
+    await KVService.put(`failedLoginAudited::${ip}`, true, { expirationTtl: FAILED_LOGIN_AUDIT_INTERVAL });
+    await audit();
+  }
+
+	return response.json(body, 401);
+}
+
+/**
+ * 账户的两步验证是否因连续输错而锁定
+ * 按账户计数，攻击者更换 IP 也无法继续猜测；锁定期间即使密码和验证码都正确也需要等待
+ * @param {string|null} username - 账户名
+ * @returns {Promise<boolean>}
+ */
+async function isTwoFactorLocked(username) {
+  const attempts = await KVService.get(`twoFactorAttempts::${username || 'admin'}`) || 0;
+  return attempts >= TWO_FACTOR_MAX_ATTEMPTS;
+}
+
+/**
+ * 校验两步验证码，也可使用一次性恢复码 (使用后作废并记录审计日志)
+ * 失败时累计账户的错误次数，成功后清零
+ * @param {Request} request - 请求
+ * @param {string|null} username - 账户名
+ * @param {object} totp - 账户的两步验证设置
+ * @param {string} code - 6 位验证码或恢复码
+ * @returns {Promise<boolean>}
+ */
+async function verifySecondFactor(request, username, totp, code, logger) {
+  const attemptsKey = `twoFactorAttempts::${username || 'admin'}`;
+  const step = await verifyTotp(totp.secret, String(code), totp.lastStep || 0);
+  if (step) {
+    // 记录已使用的时间步，防止验证码被重放
+    await KVService.putTotp(username, { ...totp, lastStep: step });
+    await KVService.delete(attemptsKey);
+    return true;
+  }
+
+  const hash = await sha256Hex(normalizeRecoveryCode(code));
+  const recoveryCodes = totp.recoveryCodes || [];
+  if (!recoveryCodes.includes(hash)) {
+    const attempts = await KVService.get(attemptsKey) || 0;
+    await KVService.put(attemptsKey, String(attempts + 1), { expirationTtl: TWO_FACTOR_LOCK_TTL });
+    return false;
+  }
+  await KVService.delete(attemptsKey);
+  const remaining = recoveryCodes.filter(h => h !== hash);
+  await KVService.putTotp(username, { ...totp, recoveryCodes: remaining });
+  logger.warn('Admin recovery code used', { Username: username, Remaining: remaining.length }, { notify: true });
+  await AuditService.record(request, username || 'admin', { action: 'auth.recovery_code_used', details: { remaining: remaining.length } }, logger);
+  return true;
+}
+
+function normalizeRecoveryCode(code) {
+  return String(code).toLowerCase().replace(/[^a-z0-9]/g, '');
+}
+
+/**
+ * 生成一组一次性恢复码
+ * @returns {Promise<{codes: string[], hashes: string[]}>} codes 仅展示一次，KV 中只保存哈希
+ */
+async function generateRecoveryCodes() {
+  const alphabet = 'abcdefghjkmnpqrstuvwxyz23456789';
+  const codes = Array.from({ length: RECOVERY_CODE_COUNT }, () => {
+    const chars = Array.from(crypto.getRandomValues(new Uint8Array(10)), b => alphabet[b % alphabet.length]).join('');
+    return `${chars.slice(0, 5)}-${chars.slice(5)}`;
+  });
+  const hashes = await Promise.all(codes.map(c => sha256Hex(normalizeRecoveryCode(c))));
+  return { codes, hashes };
 }
 
 // 登出处理器
@@ -57,30 +200,303 @@ function handleLogout() {
 	return response.json({ success: true }, 200, { 'Set-Cookie': cookie });
 }
 
+/**
+ * 校验登录凭据
+ * 填写用户名时校验 KV 中的管理员账户，否则校验全局管理员密码 (视为 owner)
+ * @param {string} username - 用户名
+ * @param {string} password - 密码
+ * @param {{adminPassword: string, adminPasswordHash: string}} credentials - 全局管理员密码 (哈希存在时忽略明文)
+ * @returns {Promise<{username: string|null, role: string}|null>} 登录会话，失败返回 null
+ */
+async function authenticate(username, password, { adminPassword, adminPasswordHash }) {
+  if (typeof password !== 'string' || !password) return null;
+  if (username) {
+    const user = (await KVService.getAdminUsers()).find(u => u.username === username);
+    if (!user || !await verifyPassword(password, user.passwordHash)) return null;
+    return { username: user.username, role: user.role };
+  }
+  const valid = adminPasswordHash
+    ? await verifyPassword(password, adminPasswordHash)
+    : constantTimeCompare(password, adminPassword);
+  return valid ? { username: null, role: 'owner' } : null;
+}
+
+/**
+ * 以 PBKDF2 哈希保存全局管理员密码，并移除明文
+ * @param {string} password - 新密码
+ */
+async function saveAdminPassword(password) {
+  const config = await KVService.getGlobalConfig() || {};
+  delete config.adminPassword;
+  config.adminPasswordHash = await hashPassword(password);
+  await KVService.saveGlobalConfig(config);
+}
+
+/**
+ * 根据 JWT 载荷恢复登录会话
+ * 账户的角色以 KV 中的当前值为准，账户被删除后会话立即失效
+ * @param {object} payload - JWT 载荷
+ * @returns {Promise<{username: string|null, role: string}|null>}
+ */
+async function resolveSession(payload) {
+  if (!payload || !ROLE_LEVELS[payload.role]) return null;
+  if (!payload.username) return { username: null, role: 'owner' };
+  const user = (await KVService.getAdminUsers()).find(u => u.username === payload.username);
+  return user ? { username: user.username, role: user.role } : null;
+}
+
+/**
+ * 校验 Authorization: Bearer 中的 API 令牌
+ * 令牌按范围映射为对应角色的会话，并带有 apiToken 标记
+ * @param {string} token - 请求携带的令牌
+ * @returns {Promise<{username: null, role: string, apiToken: {id: string, name: string, scope: string}}|null>}
+ */
+async function resolveApiToken(token, logger) {
+  if (!token || !token.startsWith(API_TOKEN_PREFIX)) return null;
+  const tokenHash = await sha256Hex(token);
+  const tokens = await KVService.getApiTokens();
+  const record = tokens.find(t => t.tokenHash === tokenHash);
+  if (!record || !API_TOKEN_SCOPES[record.scope]) return null;
+  if (record.expiresAt && Date.parse(record.expiresAt) <= Date.now()) {
+    logger.warn('Expired API token used', { TokenName: record.name });
+    return null;
+  }
+
+  // 最近使用时间按令牌单独保存，请求路径上从不改写令牌列表，避免覆盖并发的创建或吊销
+  const now = Date.now();
+  const lastUsedAt = await KVService.getApiTokenUsage(record.id) || record.lastUsedAt;
+  if (!lastUsedAt || now - Date.parse(lastUsedAt) >= API_TOKEN_TOUCH_INTERVAL) {
+    await KVService.putApiTokenUsage(record.id, new Date(now).toISOString());
+  }
+  return {
+    username: null,
+    role: API_TOKEN_SCOPES[record.scope],
+    apiToken: { id: record.id, name: record.name, scope: record.scope },
+  };
+}
+
+/**
+ * 订阅组的 ETag，由组的 revision 生成
+ * @param {object} group - 订阅组
+ * @returns {string}
+ */
+function groupEtag(group) {
+  return `"${group.revision || 0}"`;
+}
+
+/**
+ * 检查请求的 If-Match 是否与订阅组当前版本一致
+ * 未携带 If-Match 时不做检查；`*` 只要求组存在
+ * @param {Request} request - 请求
+ * @param {object|null} group - 订阅组的当前数据
+ * @returns {boolean}
+ */
+function checkIfMatch(request, group) {
+  const header = request.headers.get('If-Match');
+  if (!header) return true;
+  if (!group) return false;
+  if (header.trim() === '*') return true;
+  return header.split(',').map(tag => tag.trim().replace(/^W\//, '')).includes(groupEtag(group));
+}
+
+/**
+ * 校验 API 令牌数据
+ * @param {{name: string, scope: string, expiresAt: string}} data - 令牌数据
+ * @returns {string|null} 错误信息，校验通过返回 null
+ */
+function validateApiToken({ name, scope, expiresAt }) {
+  if (typeof name !== 'string' || !name.trim() || name.length > 64) return 'Invalid token name';
+  if (!API_TOKEN_SCOPES[scope]) return 'Invalid token scope';
+  if (expiresAt && (isNaN(Date.parse(expiresAt)) || Date.parse(expiresAt) <= Date.now())) return 'Invalid token expiry';
+  return null;
+}
+
 // API请求处理器 (它假设请求已通过认证)
-async function handleApiRequest(request, url, logger) {
+async function handleApiRequest(request, url, logger, session) {
   const router = Router();
+  // 路由中间件：角色权限不足时返回 403
+  const requireRole = role => () => {
+    if (ROLE_LEVELS[session.role] >= ROLE_LEVELS[role]) return;
+    logger.warn('Admin permission denied', { Username: session.username, Role: session.role, Required: role, Path: url.pathname });
+    return response.json({ error: 'Permission denied' }, 403);
+  };
+  // 历史版本与审计日志中记录的操作者
+  const author = session.apiToken ? `api-token:${session.apiToken.name}` : (session.username || 'admin');
+  const audit = (action, target, entry) => AuditService.record(request, author, { action, target, ...entry }, logger);
+
+  // 按规则校验订阅组或全局设置，不通过时返回 400 与字段级错误
+  const validate = (schema, data, message) => {
+    const errors = SchemaService.validate(schema, data);
+    if (errors.length === 0) return null;
+    logger.warn(message, { Errors: SchemaService.format(errors) });
+    return response.json({ error: `Validation failed: ${SchemaService.format(errors)}`, errors }, 400);
+  };
+
+  // If-Match 与当前版本不一致时返回 409，附带当前数据供客户端比较
+  const conflict = (token, current) => {
+    logger.warn('Group edit conflict', { Token: token, IfMatch: request.headers.get('If-Match'), Current: current ? groupEtag(current) : null, By: author });
+    return response.json(
+      { error: current ? 'Group has been modified by someone else' : 'Group no longer exists', current },
+      409,
+      current ? { ETag: groupEtag(current) } : {},
+    );
+  };
+
+  // 校验并保存订阅组，同时记录历史版本
+  const updateGroup = async (groupData, restoredFrom) => {
+    const previous = await KVService.getGroup(groupData.token);
+    if (!checkIfMatch(request, previous)) return conflict(groupData.token, previous);
+    // 旧 token 只能通过更换 token 的接口管理
+    delete groupData.previousTokens;
+    if (previous && previous.previousTokens) groupData.previousTokens = previous.previousTokens;
+    const invalid = validate(GROUP_SCHEMA, groupData, 'Invalid group data');
+    if (invalid) return invalid;
+    const accessError = await normalizeAccessTokens(groupData);
+    if (accessError) {
+      logger.warn('Invalid access tokens', { GroupName: groupData.name, Error: accessError });
+      return response.json({ error: accessError }, 400);
+    }
+    const refError = await checkGroupRefs(groupData);
+    if (refError) {
+      logger.warn('Invalid group references', { GroupName: groupData.name, Error: refError });
+      return response.json({ error: refError }, 400);
+    }
+		await KVService.saveGroup(groupData);
+    await HistoryService.record(groupHistory(groupData.token), stripRevision(groupData), { author, previous: stripRevision(previous), restoredFrom });
+		logger.info(restoredFrom ? 'Group restored from history' : 'Group updated', { GroupName: groupData.name, Token: groupData.token, By: author }, { notify: true });
+    await audit(restoredFrom ? 'group.restore' : (previous ? 'group.update' : 'group.create'), groupData.token, {
+      before: summarizeGroup(previous),
+      after: summarizeGroup(groupData),
+      details: { changed: changedKeys(stripRevision(previous), stripRevision(groupData)), ...(restoredFrom && { revision: restoredFrom }) },
+    });
+		return response.json(groupData, 200, { ETag: groupEtag(groupData) });
+  };
+
+  // 路由中间件：账户、两步验证、API 令牌的管理以及恢复备份等涉及密钥的操作只能通过浏览器登录操作
+  const requireLogin = () => {
+    if (!session.apiToken) return;
+    logger.warn('API token permission denied', { TokenName: session.apiToken.name, Path: url.pathname });
+    return response.json({ error: 'Not available to API tokens' }, 403);
+  };
 
 	// 登出
-  router.post('/admin/api/logout', () => handleLogout());
+  router.post('/admin/api/logout', async () => {
+    await audit('auth.logout', null);
+    return handleLogout();
+  });
 
-  // 获取配置
-  router.get('/admin/api/config', async () => {
-    const config = await KVService.getGlobalConfig() || ConfigService.get();
+  // 当前登录的账户
+  router.get('/admin/api/me', () => response.json(session));
+
+  // 获取生效的配置 (已合并默认值，界面可直接显示新增设置项的默认值)，不返回管理员密码；非 owner 和 API 令牌同时隐藏 Telegram Bot Token
+  // ?stored=1 时只返回 KV 中保存的设置，脚本据此读改写不会把默认值固定到 KV 中
+  router.get('/admin/api/config', async ({ query }) => {
+    const stored = query.stored === '1' || query.stored === 'true';
+    const { adminPassword, adminPasswordHash, ...config } = stored ? await KVService.getGlobalConfig() || {} : ConfigService.get();
+    if ((session.role !== 'owner' || session.apiToken) && config.telegram) {
+      return response.json({ ...config, telegram: { ...config.telegram, botToken: '' } });
+    }
 		return response.json(config);
   });
 
   // 保存配置
-  router.put('/admin/api/config', async () => {
-    const newConfig = await request.json();
+  router.put('/admin/api/config', requireRole('owner'), async () => {
+    // 密码哈希只能由服务端生成
+    const { adminPassword: newPassword, adminPasswordHash, ...newConfig } = await request.json();
+    if (newPassword) {
+      // 修改管理员密码只能通过浏览器登录操作，泄露的 API 令牌不能借此接管后台
+      const denied = requireLogin();
+      if (denied) return denied;
+      const error = checkPassword(newPassword);
+      if (error) return response.json({ error }, 400);
+    }
+    // API 令牌读取到的 Bot Token 为空，原样提交时保留当前值
+    if (session.apiToken && newConfig.telegram && !newConfig.telegram.botToken) {
+      const { botToken, ...telegram } = newConfig.telegram;
+      newConfig.telegram = telegram;
+    }
 		// 合并而不是完全替换，防止丢失未在前端展示的配置项
 		const oldConfig = await KVService.getGlobalConfig() || {};
 		const mergedConfig = deepMerge({}, oldConfig, newConfig);
+    const invalid = validate(CONFIG_SCHEMA, mergedConfig, 'Invalid config data');
+    if (invalid) return invalid;
+    if (newPassword) {
+      delete mergedConfig.adminPassword;
+      mergedConfig.adminPasswordHash = await hashPassword(newPassword);
+    }
 		await KVService.saveGlobalConfig(mergedConfig);
-		logger.info('Global config updated', {}, { notify: true });
+    await HistoryService.record(CONFIG_HISTORY, stripConfigSecrets(mergedConfig), { author, previous: stripConfigSecrets(oldConfig) });
+		logger.info('Global config updated', { By: author }, { notify: true });
+    await audit('config.update', null, { details: { changed: changedKeys(stripConfigSecrets(oldConfig), stripConfigSecrets(mergedConfig)), passwordChanged: Boolean(newPassword) } });
 		return response.json({ success: true });
   });
 
+  // 全局设置的历史版本
+  router.get('/admin/api/config/history', requireRole('owner'), async () => {
+    return response.json(await HistoryService.list(CONFIG_HISTORY));
+  });
+
+  // 恢复全局设置的历史版本 (管理员密码与 Bot Token 保持不变)
+  router.post('/admin/api/config/history/:id/restore', requireRole('owner'), async ({ params }) => {
+    const revision = await HistoryService.get(CONFIG_HISTORY, params.id);
+    if (!revision) return response.json({ error: 'Revision not found' }, 404);
+    const oldConfig = await KVService.getGlobalConfig() || {};
+    const restored = restoreConfigSecrets(revision.data, oldConfig);
+    const invalid = validate(CONFIG_SCHEMA, restored, 'Invalid config revision');
+    if (invalid) return invalid;
+    await KVService.saveGlobalConfig(restored);
+    await HistoryService.record(CONFIG_HISTORY, revision.data, { author, previous: stripConfigSecrets(oldConfig), restoredFrom: revision.id });
+    logger.warn('Global config restored from history', { Revision: revision.id, RevisionAt: revision.at, By: author }, { notify: true });
+    await audit('config.restore', null, { details: { revision: revision.id, changed: changedKeys(stripConfigSecrets(oldConfig), revision.data) } });
+    return response.json({ success: true });
+  });
+
+  // 导出备份，?redact=1 时将管理员密码与 Telegram Bot Token 替换为占位值；API 令牌只能导出脱敏备份
+  router.get('/admin/api/backup', requireRole('owner'), async ({ query }) => {
+    const redact = query.redact === '1' || query.redact === 'true';
+    if (!redact) {
+      const denied = requireLogin();
+      if (denied) return denied;
+    }
+    const backup = await BackupService.export({ redact });
+    const fileName = `subpool-backup-${backup.exportedAt.slice(0, 10)}.json`;
+    logger.info('Backup exported', { Groups: backup.groups.length, Redacted: redact, By: author }, { notify: true });
+    await audit('backup.export', null, { details: { groups: backup.groups.length, redacted: redact } });
+    return response.json(backup, 200, { 'Content-Disposition': `attachment; filename="${fileName}"` });
+  });
+
+  // 恢复备份：?mode=merge|replace，?dryRun=1 时只返回将产生的变更
+  router.post('/admin/api/restore', requireLogin, requireRole('owner'), async ({ query }) => {
+    const mode = query.mode || 'merge';
+    const dryRun = query.dryRun === '1' || query.dryRun === 'true';
+    if (!RESTORE_MODES.includes(mode)) return response.json({ error: 'Invalid restore mode' }, 400);
+
+    const bundle = await request.json().catch(() => null);
+    const invalid = BackupService.validate(bundle);
+    const plan = invalid ? null : await BackupService.plan(bundle, mode);
+    const error = invalid || plan.error;
+    if (error) {
+      logger.warn('Invalid backup', { Error: error });
+      return response.json({ error }, 400);
+    }
+    if (dryRun) return response.json({ dryRun: true, changes: plan.changes });
+
+    await BackupService.apply(plan, { author });
+    const { created, updated, deleted } = plan.changes.groups;
+    logger.warn('Backup restored', {
+      Mode: mode, Created: created.length, Updated: updated.length, Deleted: deleted.length,
+      ConfigChanged: plan.changes.config.changed, By: author,
+    }, { notify: true });
+    await audit('backup.restore', null, { details: {
+      mode,
+      created: created.map(g => g.token),
+      updated: updated.map(g => g.token),
+      deleted: deleted.map(g => g.token),
+      configChanged: plan.changes.config.keys,
+    } });
+    return response.json({ dryRun: false, changes: plan.changes });
+  });
+
   // 获取所有订阅组
   router.get('/admin/api/groups', async () => {
     const groups = await KVService.getAllGroups();
@@ -88,50 +504,384 @@ async function handleApiRequest(request, url, logger) {
   });
 
   // 创建新订阅组
-  router.post('/admin/api/groups', async () => {
+  router.post('/admin/api/groups', requireRole('editor'), async () => {
     const newGroup = await request.json();
-    if (!newGroup || typeof newGroup.name !== 'string' || !newGroup.name.trim()) {
+    if (!newGroup || typeof newGroup !== 'object' || Array.isArray(newGroup)) {
       logger.warn('Invalid group data', { GroupData: newGroup });
       return response.json({ error: 'Invalid group data' }, 400);
     }
 
     // 生成随机token
     if (!newGroup.token) newGroup.token = crypto.randomUUID();
+    delete newGroup.previousTokens;
     if (!newGroup.token || typeof newGroup.token !== 'string' || !newGroup.token.trim()) {
       logger.warn('Invalid group data', { GroupData: newGroup });
       return response.json({ error: 'Invalid group data' }, 400);
     }
 
+    const invalid = validate(GROUP_SCHEMA, newGroup, 'Invalid group data');
+    if (invalid) return invalid;
+
     // 检查token是否已存在
     const group = await KVService.getGroup(newGroup.token);
-    if (group) {
+    if (group || await KVService.getAccessTokenOwner(newGroup.token) || await KVService.getMovedToken(newGroup.token)) {
       logger.warn('Group already exists', { GroupName: newGroup.name });
       return response.json({ error: 'Group already exists' }, 400);
     }
 
+    const accessError = await normalizeAccessTokens(newGroup);
+    if (accessError) {
+      logger.warn('Invalid access tokens', { GroupName: newGroup.name, Error: accessError });
+      return response.json({ error: accessError }, 400);
+    }
+    const refError = await checkGroupRefs(newGroup);
+    if (refError) {
+      logger.warn('Invalid group references', { GroupName: newGroup.name, Error: refError });
+      return response.json({ error: refError }, 400);
+    }
+
 		await KVService.saveGroup(newGroup);
-		logger.info(`Group created`, { GroupName: newGroup.name, Token: newGroup.token }, { notify: true });
-		return response.json(newGroup);
+    await HistoryService.record(groupHistory(newGroup.token), stripRevision(newGroup), { author });
+		logger.info(`Group created`, { GroupName: newGroup.name, Token: newGroup.token, By: author }, { notify: true });
+    await audit('group.create', newGroup.token, { after: summarizeGroup(newGroup) });
+		return response.json(newGroup, 200, { ETag: groupEtag(newGroup) });
   });
 
-  // 更新订阅组
-  router.put('/admin/api/groups/:token', async ({ params }) => {
+  // 根据实际存在的订阅组重建索引，?dryRun=1 时只返回差异
+  router.post('/admin/api/groups/reindex', requireRole('owner'), async ({ query }) => {
+    const dryRun = query.dryRun === '1' || query.dryRun === 'true';
+    const result = await KVService.rebuildGroupIndex({ dryRun });
+    if (!dryRun && (result.added.length || result.removed.length)) {
+      logger.warn('Groups index rebuilt', { Added: result.added, Removed: result.removed, By: author }, { notify: true });
+      await audit('group.reindex', null, { details: { added: result.added, removed: result.removed } });
+    }
+    return response.json({ dryRun, ...result });
+  });
+
+  // 获取单个订阅组，ETag 可用于后续修改时的 If-Match
+  router.get('/admin/api/groups/:token', async ({ params }) => {
+    const group = await KVService.getGroup(params.token);
+    if (!group) return response.json({ error: 'Group not found' }, 404);
+    return response.json(group, 200, { ETag: groupEtag(group) });
+  });
+
+  // 更新订阅组，携带 If-Match 时组已被他人修改会返回 409
+  router.put('/admin/api/groups/:token', requireRole('editor'), async ({ params }) => {
     const token = params.token;
-    const groupData = await request.json();
+    const { revision, ...groupData } = await request.json();
     groupData.token = token;
-		await KVService.saveGroup(groupData);
-		logger.info(`Group updated`, { GroupName: groupData.name, Token: groupData.token }, { notify: true });
-		return response.json(groupData);
+    return updateGroup(groupData);
+  });
+
+  // 更换订阅组的 token：旧 token 在宽限期内继续提供订阅 (或只返回提示节点)，到期后自动失效
+  router.post('/admin/api/groups/:token/rotate', requireRole('editor'), async ({ params }) => {
+    const oldToken = params.token;
+    const previous = await KVService.getGroup(oldToken);
+    if (!previous) return response.json({ error: 'Group not found' }, 404);
+    if (!checkIfMatch(request, previous)) return conflict(oldToken, previous);
+
+    const defaults = ConfigService.get('tokenRotation');
+    const body = await request.json().catch(() => null) || {};
+    const options = { graceHours: body.graceHours ?? defaults.graceHours, mode: body.mode ?? defaults.mode };
+    const invalid = validate(TOKEN_ROTATION_SCHEMA, options, 'Invalid token rotation');
+    if (invalid) return invalid;
+
+    const now = Date.now();
+    const newToken = crypto.randomUUID();
+    const active = (previous.previousTokens || []).filter(p => Date.parse(p.expiresAt) > now);
+    const dropped = (previous.previousTokens || []).filter(p => !active.includes(p)).map(p => p.token);
+    const retired = options.graceHours > 0
+      ? [{ token: oldToken, mode: options.mode, rotatedAt: new Date(now).toISOString(), expiresAt: new Date(now + options.graceHours * 3600000).toISOString() }]
+      : [];
+    const moved = { ...stripRevision(previous), token: newToken, previousTokens: [...active, ...retired] };
+    await KVService.moveGroup(oldToken, moved, dropped);
+    await HistoryService.record(groupHistory(newToken), stripRevision(moved), { author, previous: stripRevision(previous) });
+
+    // 其他订阅组中的 group:<旧 token> 引用改为新 token
+    const updatedRefs = [];
+    for (const group of await KVService.getAllGroups()) {
+      if (!SubconverterService.getGroupRefs(group).includes(oldToken)) continue;
+      const before = stripRevision(group);
+      group.nodes = SubconverterService.replaceGroupRef(group, oldToken, newToken);
+      await KVService.saveGroup(group);
+      await HistoryService.record(groupHistory(group.token), stripRevision(group), { author, previous: before });
+      updatedRefs.push(group.token);
+    }
+
+    logger.warn('Group token rotated', {
+      GroupName: moved.name, OldToken: oldToken, NewToken: newToken, GraceHours: options.graceHours, Mode: options.mode, UpdatedRefs: updatedRefs, By: author,
+    }, { notify: true });
+    await audit('group.rotate', newToken, { details: { from: oldToken, ...options, updatedRefs } });
+    return response.json(moved, 200, { ETag: groupEtag(moved) });
+  });
+
+  // 让宽限期内的旧 token 立即失效
+  router.delete('/admin/api/groups/:token/previous-tokens/:previous', requireRole('editor'), async ({ params }) => {
+    const group = await KVService.getGroup(params.token);
+    if (!group) return response.json({ error: 'Group not found' }, 404);
+    const list = group.previousTokens || [];
+    if (!list.some(p => p.token === params.previous)) return response.json({ error: 'Previous token not found' }, 404);
+
+    group.previousTokens = list.filter(p => p.token !== params.previous);
+    await KVService.saveGroup(group);
+    await KVService.deleteMovedToken(params.previous);
+    logger.warn('Previous group token revoked', { GroupName: group.name, Token: group.token, PreviousToken: params.previous, By: author }, { notify: true });
+    await audit('group.revoke_previous_token', group.token, { details: { token: params.previous } });
+    return response.json(group, 200, { ETag: groupEtag(group) });
+  });
+
+  // 订阅组的历史版本
+  router.get('/admin/api/groups/:token/history', async ({ params }) => {
+    return response.json(await HistoryService.list(groupHistory(params.token)));
+  });
+
+  // 恢复订阅组的历史版本，恢复本身也会产生一个新版本
+  router.post('/admin/api/groups/:token/history/:id/restore', requireRole('editor'), async ({ params }) => {
+    const revision = await HistoryService.get(groupHistory(params.token), params.id);
+    if (!revision) return response.json({ error: 'Revision not found' }, 404);
+    return updateGroup({ ...revision.data, token: params.token }, revision.id);
   });
 
   // 删除订阅组
-  router.delete('/admin/api/groups/:token', async ({ params }) => {
+  router.delete('/admin/api/groups/:token', requireRole('editor'), async ({ params }) => {
     const token = params.token;
+    const previous = await KVService.getGroup(token);
+    if (!checkIfMatch(request, previous)) return conflict(token, previous);
 		await KVService.deleteGroup(token);
-		logger.warn(`Group deleted`, { Token: token }, { notify: true });
+		logger.warn(`Group deleted`, { Token: token, By: author }, { notify: true });
+    await audit('group.delete', token, { before: summarizeGroup(previous) });
 		return response.json({ success: true });
   });
 
+  // 获取所有订阅组的上游健康状态
+  router.get('/admin/api/sources', async () => {
+    const groups = await KVService.getAllGroups();
+    const result = await Promise.all(groups.map(async (group) => ({
+      token: group.token,
+      name: group.name,
+      sources: await Promise.all(SubconverterService.getSourceUrls(group).map(async (url) => ({
+        url,
+        health: await KVService.getSourceHealth(url),
+      }))),
+    })));
+    return response.json(result);
+  });
+
+  // 获取所有订阅组的访问统计，?days= 指定天数 (默认 14，不超过保留天数)
+  router.get('/admin/api/stats', async ({ query }) => {
+    const retentionDays = ConfigService.get('stats').retentionDays;
+    const days = Math.min(Math.max(parseInt(query.days, 10) || 14, 1), retentionDays);
+    const groups = await KVService.getAllGroups();
+    const result = await Promise.all(groups.map(async (group) => ({
+      token: group.token,
+      name: group.name,
+      ...await StatsService.getGroupStats(group.token, days),
+    })));
+    return response.json(result);
+  });
+
+  // 使用粘贴的请求头测试机器人检测规则，rules 可传入尚未保存的规则 (与当前规则合并)
+  router.post('/admin/api/bot-detection/test', async () => {
+    const body = await request.json().catch(() => null) || {};
+    const current = ConfigService.get('botDetection');
+    const rules = body.rules ? deepMerge({}, current, body.rules) : current;
+    const invalid = validate(BOT_DETECTION_SCHEMA, rules, 'Invalid bot detection rules');
+    if (invalid) return invalid;
+
+    const { headers, httpProtocol } = parseRawHeaders(body.headers);
+    const cf = { httpProtocol: body.httpProtocol || httpProtocol || 'HTTP/2', tlsVersion: body.tlsVersion ?? 'TLSv1.3' };
+    return response.json({ ...BotService.evaluate({ headers, cf }, rules), blockBots: ConfigService.get('blockBots'), cf });
+  });
+
+  // 当前账户的两步验证状态
+  router.get('/admin/api/2fa', requireLogin, async () => {
+    const totp = await KVService.getTotp(session.username);
+    return response.json({
+      enabled: Boolean(totp && totp.enabled),
+      recoveryCodesRemaining: totp && totp.enabled ? (totp.recoveryCodes || []).length : 0,
+    });
+  });
+
+  // 开始绑定：生成新的密钥，需调用 enable 验证后才生效
+  router.post('/admin/api/2fa/setup', requireLogin, async () => {
+    const totp = await KVService.getTotp(session.username);
+    if (totp && totp.enabled) return response.json({ error: 'Two-factor authentication is already enabled' }, 400);
+    const secret = generateTotpSecret();
+    await KVService.putTotp(session.username, { secret, enabled: false });
+    return response.json({ secret, uri: createTotpUri(secret, session.username || 'admin') });
+  });
+
+  // 验证验证码并启用，返回仅展示一次的恢复码
+  router.post('/admin/api/2fa/enable', requireLogin, async () => {
+    const { code } = await request.json();
+    const totp = await KVService.getTotp(session.username);
+    if (!totp || totp.enabled) return response.json({ error: 'No pending two-factor setup' }, 400);
+    const step = await verifyTotp(totp.secret, String(code || ''));
+    if (!step) return response.json({ error: 'Invalid two-factor code' }, 400);
+    const { codes, hashes } = await generateRecoveryCodes();
+    await KVService.putTotp(session.username, {
+      secret: totp.secret, enabled: true, lastStep: step, recoveryCodes: hashes, enabledAt: new Date().toISOString(),
+    });
+    logger.info('Admin two-factor enabled', { Username: session.username }, { notify: true });
+    await audit('2fa.enable', session.username || 'admin');
+    return response.json({ recoveryCodes: codes });
+  });
+
+  // 关闭两步验证，需要验证码或恢复码
+  router.post('/admin/api/2fa/disable', requireLogin, async () => {
+    const { code } = await request.json();
+    const totp = await KVService.getTotp(session.username);
+    if (!totp || !totp.enabled) return response.json({ error: 'Two-factor authentication is not enabled' }, 400);
+    if (await isTwoFactorLocked(session.username)) {
+      return response.json({ error: 'Too many invalid two-factor codes, please try again later.' }, 429);
+    }
+    if (!await verifySecondFactor(request, session.username, totp, code || '', logger)) {
+      return response.json({ error: 'Invalid two-factor code' }, 400);
+    }
+    await KVService.deleteTotp(session.username);
+    logger.warn('Admin two-factor disabled', { Username: session.username }, { notify: true });
+    await audit('2fa.disable', session.username || 'admin');
+    return response.json({ success: true });
+  });
+
+  // 重新生成恢复码，旧的恢复码全部作废
+  router.post('/admin/api/2fa/recovery-codes', requireLogin, async () => {
+    const { code } = await request.json();
+    const totp = await KVService.getTotp(session.username);
+    if (!totp || !totp.enabled) return response.json({ error: 'Two-factor authentication is not enabled' }, 400);
+    const step = await verifyTotp(totp.secret, String(code || ''), totp.lastStep || 0);
+    if (!step) return response.json({ error: 'Invalid two-factor code' }, 400);
+    const { codes, hashes } = await generateRecoveryCodes();
+    await KVService.putTotp(session.username, { ...totp, lastStep: step, recoveryCodes: hashes });
+    logger.info('Admin recovery codes regenerated', { Username: session.username }, { notify: true });
+    await audit('2fa.recovery_codes', session.username || 'admin');
+    return response.json({ recoveryCodes: codes });
+  });
+
+  // 审计日志，按时间倒序分页；?action= 可为操作前缀，如 group
+  router.get('/admin/api/audit', requireRole('owner'), async ({ query }) => {
+    const limit = Math.min(Math.max(parseInt(query.limit, 10) || 50, 1), 200);
+    return response.json(await AuditService.list({
+      cursor: query.cursor, limit, action: query.action, actor: query.actor, target: query.target,
+    }));
+  });
+
+  // 管理员账户列表 (不返回密码哈希)
+  router.get('/admin/api/users', requireLogin, requireRole('owner'), async () => {
+    const users = await KVService.getAdminUsers();
+    const result = await Promise.all(users.map(async ({ passwordHash, ...user }) => {
+      const totp = await KVService.getTotp(user.username);
+      return { ...user, twoFactor: Boolean(totp && totp.enabled) };
+    }));
+    return response.json(result);
+  });
+
+  // 创建管理员账户
+  router.post('/admin/api/users', requireLogin, requireRole('owner'), async () => {
+    const { username, password, role } = await request.json();
+    const users = await KVService.getAdminUsers();
+    const error = validateAdminUser({ username, password, role }, true)
+      || (users.some(u => u.username === username) ? 'User already exists' : null);
+    if (error) {
+      logger.warn('Invalid admin user data', { Username: username, Error: error });
+      return response.json({ error }, 400);
+    }
+    const user = { username, role, passwordHash: await hashPassword(password), createdAt: new Date().toISOString() };
+    await KVService.saveAdminUsers([...users, user]);
+    logger.info('Admin user created', { Username: username, Role: role, By: author }, { notify: true });
+    await audit('user.create', username, { after: { role } });
+    return response.json({ username, role, createdAt: user.createdAt });
+  });
+
+  // 修改管理员账户的角色或密码 (密码留空则不修改)
+  router.put('/admin/api/users/:username', requireLogin, requireRole('owner'), async ({ params }) => {
+    const { password, role } = await request.json();
+    const users = await KVService.getAdminUsers();
+    const user = users.find(u => u.username === params.username);
+    if (!user) return response.json({ error: 'User not found' }, 404);
+    const error = validateAdminUser({ username: user.username, password, role }, false);
+    if (error) {
+      logger.warn('Invalid admin user data', { Username: user.username, Error: error });
+      return response.json({ error }, 400);
+    }
+    const before = { role: user.role };
+    user.role = role;
+    if (password) user.passwordHash = await hashPassword(password);
+    await KVService.saveAdminUsers(users);
+    logger.info('Admin user updated', { Username: user.username, Role: role, PasswordChanged: Boolean(password), By: author }, { notify: true });
+    await audit('user.update', user.username, { before, after: { role }, details: { passwordChanged: Boolean(password) } });
+    return response.json({ username: user.username, role: user.role, createdAt: user.createdAt });
+  });
+
+  // 删除管理员账户
+  router.delete('/admin/api/users/:username', requireLogin, requireRole('owner'), async ({ params }) => {
+    if (params.username === session.username) {
+      return response.json({ error: 'Cannot delete the current user' }, 400);
+    }
+    const users = await KVService.getAdminUsers();
+    if (!users.some(u => u.username === params.username)) return response.json({ error: 'User not found' }, 404);
+    await KVService.saveAdminUsers(users.filter(u => u.username !== params.username));
+    await KVService.deleteTotp(params.username);
+    logger.warn('Admin user deleted', { Username: params.username, By: author }, { notify: true });
+    await audit('user.delete', params.username);
+    return response.json({ success: true });
+  });
+
+  // 重置账户的两步验证 (丢失验证器和恢复码时由 owner 处理)
+  router.delete('/admin/api/users/:username/2fa', requireLogin, requireRole('owner'), async ({ params }) => {
+    const users = await KVService.getAdminUsers();
+    if (!users.some(u => u.username === params.username)) return response.json({ error: 'User not found' }, 404);
+    await KVService.deleteTotp(params.username);
+    logger.warn('Admin two-factor reset', { Username: params.username, By: author }, { notify: true });
+    await audit('user.reset_2fa', params.username);
+    return response.json({ success: true });
+  });
+
+  // API 令牌列表 (不返回令牌本身)
+  router.get('/admin/api/api-tokens', requireLogin, requireRole('owner'), async () => {
+    const tokens = await KVService.getApiTokens();
+    const usage = await Promise.all(tokens.map(token => KVService.getApiTokenUsage(token.id)));
+    return response.json(tokens.map(({ tokenHash, ...token }, i) => ({ ...token, lastUsedAt: usage[i] || token.lastUsedAt || null })));
+  });
+
+  // 创建 API 令牌，令牌明文只在此返回一次
+  router.post('/admin/api/api-tokens', requireLogin, requireRole('owner'), async () => {
+    const { name, scope, expiresAt } = await request.json();
+    const error = validateApiToken({ name, scope, expiresAt });
+    if (error) {
+      logger.warn('Invalid API token data', { TokenName: name, Error: error });
+      return response.json({ error }, 400);
+    }
+    const token = API_TOKEN_PREFIX + Array.from(crypto.getRandomValues(new Uint8Array(24)), b => b.toString(16).padStart(2, '0')).join('');
+    const record = {
+      id: crypto.randomUUID(),
+      name: name.trim(),
+      scope,
+      tokenHash: await sha256Hex(token),
+      prefix: token.slice(0, API_TOKEN_PREFIX.length + 6),
+      expiresAt: expiresAt ? new Date(expiresAt).toISOString() : '',
+      createdAt: new Date().toISOString(),
+      createdBy: session.username,
+    };
+    await KVService.saveApiTokens([...await KVService.getApiTokens(), record]);
+    logger.info('API token created', { TokenName: record.name, Scope: scope, ExpiresAt: record.expiresAt, By: author }, { notify: true });
+    await audit('api_token.create', record.name, { after: { scope, expiresAt: record.expiresAt } });
+    const { tokenHash, ...result } = record;
+    return response.json({ ...result, lastUsedAt: null, token });
+  });
+
+  // 吊销 API 令牌
+  router.delete('/admin/api/api-tokens/:id', requireLogin, requireRole('owner'), async ({ params }) => {
+    const tokens = await KVService.getApiTokens();
+    const record = tokens.find(t => t.id === params.id);
+    if (!record) return response.json({ error: 'Token not found' }, 404);
+    await KVService.saveApiTokens(tokens.filter(t => t.id !== params.id));
+    await KVService.deleteApiTokenUsage(record.id);
+    logger.warn('API token revoked', { TokenName: record.name, By: author }, { notify: true });
+    await audit('api_token.revoke', record.name, { before: { scope: record.scope } });
+    return response.json({ success: true });
+  });
+
   // 生成新token
   router.get('/admin/api/utils/gentoken', () => response.json({ token: crypto.randomUUID() }));
 
@@ -157,18 +907,33 @@ export async function handleAdminRequest(request, logger) {
   const routerResponse = await router.fetch(request);
   if (routerResponse) return routerResponse;
 
+	// 携带 API 令牌的请求不使用 Cookie，也不刷新 JWT
+	const authorization = request.headers.get('Authorization') || '';
+	if (authorization.startsWith('Bearer ')) {
+		if (!url.pathname.startsWith('/admin/api/')) {
+			return response.json({ error: 'API tokens can only be used with /admin/api/' }, 400);
+		}
+		const session = await resolveApiToken(authorization.slice(7).trim(), logger);
+		if (!session) {
+			logger.warn('Invalid API token', { Path: url.pathname });
+			return response.json({ error: 'Invalid or expired API token' }, 401);
+		}
+		return handleApiRequest(request, url, logger, session);
+	}
+
 	// 验证所有其他 /admin 请求的JWT
 	const token = getAuthCookie(request, logger);
-	const isValid = await verifyJwt(jwtSecret, token, logger);
+	const payload = await verifyJwt(jwtSecret, token, logger);
+	const session = await resolveSession(payload);
 
-	if (isValid) {
+	if (session) {
 		// 认证通过
-		// 刷新JWT
-		const newToken = await refreshJwt(jwtSecret, token, logger);
+		// 刷新JWT，同时写入账户的当前角色
+		const newToken = await createJwt(jwtSecret, session, logger);
 		const cookie = createAuthCookie(newToken, 8 * 60 * 60); // 8 hours
 		if (url.pathname.startsWith('/admin/api/')) {
 			// 处理API请求
-			return handleApiRequest(request, url, logger);
+			return handleApiRequest(request, url, logger, session);
 		}
 		// 提供主应用
 		return response.normal(renderAdminPage(), 200, { 'Set-Cookie': cookie });
@@ -180,6 +945,86 @@ export async function handleAdminRequest(request, logger) {
 	}
 }
 
+/**
+ * 校验并规范化订阅组的访问令牌列表 (就地修改 groupData.accessTokens)
+ * @param {object} groupData - 订阅组数据，需已包含主 token
+ * @returns {Promise<string|null>} 错误信息，校验通过返回 null
+ */
+async function normalizeAccessTokens(groupData) {
+  const list = groupData.accessTokens || [];
+  if (!Array.isArray(list)) return 'accessTokens must be an array';
+
+  const seen = new Set([groupData.token]);
+  const normalized = [];
+  for (const item of list) {
+    const token = typeof item?.token === 'string' ? item.token.trim() : '';
+    if (!token || token.length > 128 || token.includes('/')) return 'Invalid access token format';
+    if (seen.has(token)) return `Duplicate access token: ${token}`;
+    seen.add(token);
+
+    // 不允许与其他组的主 token 或访问令牌冲突
+    const owner = await KVService.getAccessTokenOwner(token);
+    if ((owner && owner !== groupData.token) || await KVService.getGroup(token) || await KVService.getMovedToken(token)) {
+      return `Access token already in use: ${token}`;
+    }
+    if (item.expiresAt && isNaN(Date.parse(item.expiresAt))) return `Invalid expiry for access token: ${token}`;
+
+    normalized.push({
+      token,
+      name: String(item.name || '').trim(),
+      enabled: item.enabled !== false,
+      expiresAt: item.expiresAt || '',
+      note: String(item.note || ''),
+      createdAt: item.createdAt || new Date().toISOString(),
+    });
+  }
+  groupData.accessTokens = normalized;
+  return null;
+}
+
+/**
+ * 校验管理员账户数据
+ * @param {{username: string, password: string, role: string}} user - 账户数据
+ * @param {boolean} requirePassword - 是否必须提供密码 (创建时)
+ * @returns {string|null} 错误信息，校验通过返回 null
+ */
+function validateAdminUser({ username, password, role }, requirePassword) {
+  if (typeof username !== 'string' || !/^[\w.@-]{1,64}$/.test(username)) return 'Invalid username';
+  if (!ROLE_LEVELS[role]) return 'Invalid role';
+  if (requirePassword && !password) return 'Password is required';
+  return password ? checkPassword(password) : null;
+}
+
+/**
+ * 检查新密码是否满足要求
+ * @param {string} password - 新密码
+ * @returns {string|null} 错误信息，满足要求返回 null
+ */
+function checkPassword(password) {
+  if (typeof password !== 'string' || password.length < 8) return 'Password must be at least 8 characters';
+  if (password === DEFAULT_ADMIN_PASSWORD) return 'Password must not be the default password';
+  return null;
+}
+
+/**
+ * 检查订阅组中的 `group:<token>` 引用：被引用的组必须存在，且不能形成循环引用
+ * @param {object} groupData - 待保存的订阅组
+ * @returns {Promise<string|null>} 错误信息，校验通过返回 null
+ */
+async function checkGroupRefs(groupData) {
+  const visit = async (group, path) => {
+    for (const ref of SubconverterService.getGroupRefs(group)) {
+      if (path.includes(ref)) return `Circular group reference: ${[...path, ref].join(' -> ')}`;
+      const child = ref === groupData.token ? groupData : await KVService.getGroup(ref);
+      if (!child) return `Referenced group not found: ${ref}`;
+      const error = await visit(child, [...path, ref]);
+      if (error) return error;
+    }
+    return null;
+  };
+  return visit(groupData, [groupData.token]);
+}
+
 /**
  * 常量时间比较函数，用于安全地比较字符串
  * @param {string} a - 第一个字符串
@@ -1,8 +1,13 @@
 import { ConfigService } from '../services/config.js';
 import { KVService } from '../services/kv.js';
 import { SubconverterService } from '../services/subconverter.js';
+import { StatsService } from '../services/stats.js';
+import { LifecycleService, GROUP_STATUS } from '../services/lifecycle.js';
+import { PolicyService } from '../services/policy.js';
+import { RateLimitService } from '../services/ratelimit.js';
+import { BotService } from '../services/bot.js';
 import { renderNginxWelcomePage } from '../views/nginx.html.js';
-import { response, isBot } from '../utils.js';
+import { response } from '../utils.js';
 
 export async function handleSubscriptionRequest(request, token, logger) {
   if (!token || token.length > 128 || token.includes('/')) {
@@ -10,33 +15,137 @@ export async function handleSubscriptionRequest(request, token, logger) {
     logger.warn('Invalid token format access attempt', { URL: request.url }, { notify: true });
     return response.normal('Invalid token format.', 400);
   }
+
+  // 按客户端 IP 限流，无效 token 的扫描请求同样计数
+  const ip = request.headers.get('cf-connecting-ip');
+  const ipLimit = ip ? await RateLimitService.hit('ip', ip, logger) : null;
+  if (ipLimit && !ipLimit.allowed) {
+    return rateLimitedResponse(ipLimit, logger, { Kind: 'ip', IP: ip, URL: request.url });
+  }
   
-  const group = await KVService.getGroup(token);
-  if (!group) {
+  const resolved = await KVService.resolveGroup(token);
+  if (!resolved) {
     logger.warn('Invalid token access attempt', { URL: request.url }, { notify: true });
     return response.normal(renderNginxWelcomePage(), 404);
   }
 
+  const { group, access, moved } = resolved;
+  if (access && !isAccessTokenActive(access)) {
+    logger.warn('Revoked or expired access token used', { GroupName: group.name, AccessToken: access.name, URL: request.url }, { notify: true });
+    return response.normal(renderNginxWelcomePage(), 404);
+  }
+
+  const tokenLimit = await RateLimitService.hit('token', token, logger);
+  if (tokenLimit && !tokenLimit.allowed) {
+    return rateLimitedResponse(tokenLimit, logger, { Kind: 'token', GroupName: group.name, AccessToken: access ? access.name : null, URL: request.url });
+  }
+
+  // 私有订阅组只允许白名单中的 IP 访问，其他来源与不存在的 token 无法区分
+  if (!PolicyService.isIpAllowed(group, ip)) {
+    logger.warn('IP not in group allowlist', { GroupName: group.name, IP: ip, URL: request.url }, { notify: true });
+    return response.normal(renderNginxWelcomePage(), 404);
+  }
+
   const config = ConfigService.get();
-  const country = request.cf?.country || 'XX'; // 'XX' for unknown
-  if (country === 'CN' && !group.allowChinaAccess) {
-    logger.warn('Blocked China access attempt', { UserAgent: request.headers.get('User-Agent'), URL: request.url }, { notify: true });
-    return response.normal(renderNginxWelcomePage(), 403);
+  // 停用、未到生效时间或已到期的订阅组返回伪装页面，到期后也可选择只返回提示节点
+  const status = LifecycleService.getStatus(group);
+  const expiredNotice = status === GROUP_STATUS.EXPIRED && LifecycleService.getExpiredAction(group) === 'notice';
+  if (status !== GROUP_STATUS.ACTIVE && !expiredNotice) {
+    logger.warn('Inactive group accessed', { GroupName: group.name, Status: status, URL: request.url }, { notify: true });
+    return response.normal(renderNginxWelcomePage(), 404);
   }
 
-  const { score, ifBot } = isBot(request);
-  if (config.blockBots && ifBot) {
-    logger.info('Blocked bot access attempt', { UserAgent: request.headers.get('User-Agent'), URL: request.url, Score: score });
+  // 带有效签名的 subconverter 回访来自转换服务的出口 IP，只跳过访问策略与机器人检测；签名一次有效，在其他检查通过后才消耗
+  const callback = await SubconverterService.isSignedCallback(request, token);
+  const policy = callback ? { allowed: true } : PolicyService.evaluate(group, request);
+  if (!policy.allowed) {
+    logger.warn('Blocked by access policy', {
+      GroupName: group.name, Reason: policy.reason, Country: policy.country, ASN: policy.asn, Action: policy.action,
+      UserAgent: request.headers.get('User-Agent'), URL: request.url,
+    }, { notify: true });
+    return blockedResponse(policy.action, request, token, logger);
+  }
+
+  const { score, ifBot, signals } = BotService.evaluate(request);
+  if (config.blockBots && ifBot && !callback) {
+    const matched = signals.filter(entry => entry.matched).map(entry => `${entry.signal}:${entry.points}`).join(', ');
+    logger.info('Blocked bot access attempt', { UserAgent: request.headers.get('User-Agent'), URL: request.url, Score: score, Signals: matched });
     return response.normal(renderNginxWelcomePage(), 403);
   }
 
-  logger.info('Subscription accessed', { token, groupName: group.name, Score: score });
+  logger.info('Subscription accessed', { token, groupName: group.name, accessToken: access ? access.name : null, Score: score, Callback: callback });
+  if (moved) {
+    logger.info('Rotated group token used', { GroupName: group.name, Mode: moved.mode, ExpiresAt: moved.expiresAt, URL: request.url });
+  }
+  if (expiredNotice) {
+    logger.info('Expired group accessed', { GroupName: group.name, ExpiresAt: group.expiresAt, URL: request.url });
+  }
+
+  // 在后台记录访问统计，不阻塞响应；旧 token 的访问单独计数，便于确认客户端是否已迁移
+  const format = SubconverterService.getOutputFormat(request);
+  const statsAccess = moved ? { name: `rotated:${token.slice(0, 8)}` } : access;
+  const recording = StatsService.record(group, statsAccess, request, { format, score, bot: ifBot })
+    .catch(err => logger.error(err, { customMessage: 'Failed to record access stats', token }));
+  const ctx = ConfigService.getCtx();
+  ctx && ctx.waitUntil ? ctx.waitUntil(recording) : await recording;
   
+  // 到期提示优先于 token 更换提示
+  const notice = expiredNotice
+    ? config.lifecycle.noticeMessage
+    : (moved && moved.mode === 'notice' ? config.tokenRotation.noticeMessage : null);
   try {
-    const { content, headers } = await SubconverterService.generateSubscription(group, request, token, logger);
+    const { content, headers } = notice
+      ? await SubconverterService.generateNotice(notice, request, token, logger)
+      : await SubconverterService.generateSubscription(group, request, token, logger);
     return new Response(content, { headers });
   } catch (err) {
     logger.error(err, { customMessage: 'Failed to generate subscription', token });
     return response.normal('Upstream subscription generation failed. Please check the logs.', 502);
   }
-}
\ No newline at end of file
+}
+
+/**
+ * 生成超出限流时的响应，每个窗口只在首次超出时发送通知
+ * @param {object} result - RateLimitService.hit 的返回值
+ * @param {object} data - 日志中附带的信息
+ * @returns {Response}
+ */
+function rateLimitedResponse(result, logger, data) {
+  if (result.firstBreach) {
+    logger.warn('Rate limit exceeded', { ...data, Limit: result.limit, Window: result.window }, { notify: true });
+  }
+  if (ConfigService.get('rateLimit').action === 'camouflage') {
+    return response.normal(renderNginxWelcomePage(), 404);
+  }
+  return response.normal('Too many requests, please try again later.', 429, { 'Retry-After': String(result.retryAfter) });
+}
+
+/**
+ * 生成被访问策略拒绝时的响应
+ * @param {string} action - camouflage | forbidden | decoy
+ * @param {Request} request - 原始请求
+ * @param {string} token - 请求中的 token
+ * @returns {Promise<Response>}
+ */
+async function blockedResponse(action, request, token, logger) {
+  if (action === 'decoy') {
+    try {
+      const { content, headers } = await SubconverterService.generateDecoy(request, token, logger);
+      return new Response(content, { headers });
+    } catch (err) {
+      logger.error(err, { customMessage: 'Failed to generate decoy subscription', token });
+    }
+  }
+  return response.normal(renderNginxWelcomePage(), action === 'camouflage' ? 404 : 403);
+}
+
+/**
+ * 检查访问令牌是否启用且未过期
+ * @param {object} access - 访问令牌
+ * @returns {boolean}
+ */
+function isAccessTokenActive(access) {
+  if (access.enabled === false) return false;
+  if (access.expiresAt && Date.parse(access.expiresAt) <= Date.now()) return false;
+  return true;
+}
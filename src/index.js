@@ -1,5 +1,10 @@
 import { handleRequest } from './router';
 import LoggerService from './services/logger.js';
+import { ConfigService } from './services/config.js';
+import { SubconverterService } from './services/subconverter.js';
+import { LifecycleService } from './services/lifecycle.js';
+import { StatsService } from './services/stats.js';
+import { KVService } from './services/kv.js';
 
 export default {
   async fetch(request, env, ctx) {
@@ -10,5 +15,34 @@ export default {
       logger.error(err, { customMessage: 'Unhandled exception in fetch handler' });
       return new Response('Internal Server Error', { status: 500 });
     }
+  },
+
+  // Cron 触发：在后台刷新所有上游订阅缓存，提醒即将到期的订阅组，合并访问统计并清理索引中过期的旧 token
+  async scheduled(controller, env, ctx) {
+    const logger = new LoggerService(null, env, ctx);
+    try {
+      await ConfigService.init(env, ctx);
+    } catch (err) {
+      logger.error(err, { customMessage: `Unhandled exception in scheduled handler (${controller.cron})` });
+      return;
+    }
+
+    // 各任务相互独立，一个任务失败不影响其他任务
+    const tasks = {
+      'refresh sources': () => SubconverterService.refreshAllSources(logger),
+      'expiry reminders': () => LifecycleService.warnExpiring(logger),
+      'compact access stats': () => StatsService.compactAll(logger),
+      'prune groups index': async () => {
+        const removed = await KVService.pruneGroupIndex();
+        if (removed.length) logger.info('Expired previous tokens removed from groups index', { Tokens: removed });
+      },
+    };
+    for (const [name, task] of Object.entries(tasks)) {
+      try {
+        await task();
+      } catch (err) {
+        logger.error(err, { customMessage: `Scheduled task failed: ${name} (${controller.cron})` });
+      }
+    }
   }
 };
\ No newline at end of file
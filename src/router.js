@@ -7,7 +7,7 @@ import { Router } from 'itty-router';
 
 export async function handleRequest(request, env, ctx, logger) {
   // 每次请求都初始化/加载最新的配置
-  await ConfigService.init(env);
+  await ConfigService.init(env, ctx);
 
   const url = new URL(request.url);
   const pathname = url.pathname;
@@ -0,0 +1,112 @@
+import { ConfigService } from './config.js';
+import { KVService } from './kv.js';
+
+const AUDIT_PREFIX = 'audit:';
+// 键名使用倒序时间戳，KV 按键名升序列出时最新的记录在前
+const MAX_TIMESTAMP = 9999999999999;
+// 单次查询最多扫描的 KV 分页数，避免过滤条件过严时扫描全部记录
+const MAX_SCAN_PAGES = 10;
+
+/**
+ * 订阅组的审计摘要
+ * @param {object|null} group - 订阅组
+ * @returns {{name: string, sources: number, accessTokens: number}|null}
+ */
+export function summarizeGroup(group) {
+  if (!group) return null;
+  return {
+    name: group.name,
+    sources: (group.nodes || '').split('\n').filter(line => line.trim()).length,
+    accessTokens: (group.accessTokens || []).length,
+  };
+}
+
+/**
+ * 比较两个对象，列出取值不同的顶层字段
+ * @param {object|null} before - 修改前
+ * @param {object|null} after - 修改后
+ * @returns {string[]}
+ */
+export function changedKeys(before, after) {
+  const a = before || {};
+  const b = after || {};
+  return [...new Set([...Object.keys(a), ...Object.keys(b)])]
+    .filter(key => JSON.stringify(a[key]) !== JSON.stringify(b[key]));
+}
+
+export class AuditService {
+  /**
+   * 写入一条审计记录
+   * 每条记录单独占用一个 KV 键 (只追加，不修改)，按保留天数自动过期；写入失败不影响管理操作本身
+   * @param {Request} request - 触发操作的请求
+   * @param {string} actor - 操作者
+   * @param {object} entry
+   * @param {string} entry.action - 操作，如 group.update
+   * @param {string|null} [entry.target] - 操作对象，如订阅组 token 或账户名
+   * @param {object|null} [entry.before] - 修改前的摘要
+   * @param {object|null} [entry.after] - 修改后的摘要
+   * @param {object|null} [entry.details] - 其他信息
+   * @param {object} logger - 日志服务
+   */
+  static async record(request, actor, { action, target = null, before = null, after = null, details = null }, logger) {
+    const config = ConfigService.get('audit');
+    if (!config.enabled) return;
+
+    const now = Date.now();
+    const entry = {
+      at: new Date(now).toISOString(),
+      action,
+      actor,
+      target,
+      before,
+      after,
+      details,
+      ip: request.headers.get('cf-connecting-ip') || request.headers.get('x-forwarded-for') || 'unknown',
+      country: request.cf?.country || 'XX',
+      userAgent: (request.headers.get('User-Agent') || '').slice(0, 256),
+    };
+    const key = `${AUDIT_PREFIX}${String(MAX_TIMESTAMP - now).padStart(13, '0')}:${crypto.randomUUID().slice(0, 8)}`;
+    // 过滤所需的字段同时写入元数据，查询时无需逐条读取
+    const metadata = { action, actor: String(actor).slice(0, 128), target: target === null ? null : String(target).slice(0, 256) };
+    try {
+      await KVService.put(key, JSON.stringify(entry), {
+        expirationTtl: Math.max(60, config.retentionDays * 86400),
+        metadata,
+      });
+    } catch (err) {
+      logger.error(err, { customMessage: 'Failed to write audit entry', Action: action });
+    }
+  }
+
+  /**
+   * 分页查询审计记录 (按时间倒序)
+   * 每次按 limit 扫描 KV 分页并按元数据过滤，直到凑满 limit 条或扫描完 MAX_SCAN_PAGES 页
+   * @param {object} [options]
+   * @param {string} [options.cursor] - 上一页返回的游标
+   * @param {number} [options.limit=50] - 每页条数
+   * @param {string} [options.action] - 操作或操作前缀，如 group 匹配 group.create、group.update 等
+   * @param {string} [options.actor] - 操作者
+   * @param {string} [options.target] - 操作对象
+   * @returns {Promise<{entries: object[], cursor: string|null}>} cursor 为 null 表示没有更多记录
+   */
+  static async list({ cursor, limit = 50, action, actor, target } = {}) {
+    const matches = (meta = {}) => (!action || meta.action === action || String(meta.action).startsWith(`${action}.`))
+      && (!actor || meta.actor === actor)
+      && (!target || meta.target === target);
+
+    const names = [];
+    let next = cursor || undefined;
+    for (let page = 0; page < MAX_SCAN_PAGES; page++) {
+      const result = await KVService.list({ prefix: AUDIT_PREFIX, cursor: next, limit });
+      names.push(...result.keys.filter(key => matches(key.metadata)).map(key => key.name));
+      next = result.list_complete ? null : result.cursor;
+      if (!next || names.length >= limit) break;
+    }
+
+    const entries = await Promise.all(names.map(async name => {
+      const entry = await KVService.get(name);
+      return entry && { id: name.slice(AUDIT_PREFIX.length), ...entry };
+    }));
+    return { entries: entries.filter(Boolean), cursor: next };
+  }
+}
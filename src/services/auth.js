@@ -10,6 +10,14 @@ const CONFIG = {
 
 const textEncoder = new TextEncoder();
 
+// 密码哈希参数 (Workers 中 PBKDF2 的迭代次数上限为 100000)
+const PASSWORD_HASH = {
+  ALGORITHM: 'pbkdf2-sha256',
+  ITERATIONS: 100000,
+  SALT_BYTES: 16,
+  KEY_BITS: 256
+};
+
 /**
  * Base64URL编码
  * @param {string} str - 要编码的字符串
@@ -250,4 +258,202 @@ export async function refreshJwt(secret, token, logger) {
     logger.error(err, { customMessage: 'JWT refresh error' });
     return null;
   }
-}
\ No newline at end of file
+}
+
+/**
+ * 为订阅转换时的回访地址签名，签名绑定 token、过期时间与一次性随机数
+ * @param {string} secret - 密钥
+ * @param {string} token - 回访地址中的 token
+ * @param {number} expires - 过期时间 (UNIX 秒)
+ * @param {string} nonce - 一次性随机数
+ * @returns {Promise<string>} Base64URL 编码的签名
+ */
+export async function signCallback(secret, token, expires, nonce) {
+  const key = await getKey(secret);
+  const signature = await crypto.subtle.sign('HMAC', key, textEncoder.encode(`sub-callback:${token}:${expires}:${nonce}`));
+  return base64UrlEncode(String.fromCharCode(...new Uint8Array(signature)));
+}
+
+/**
+ * 校验回访地址的签名
+ * @param {string} secret - 密钥
+ * @param {string} token - 请求中的 token
+ * @param {string} expires - 地址中的过期时间 (UNIX 秒)
+ * @param {string} nonce - 地址中的一次性随机数
+ * @param {string} signature - 地址中的签名
+ * @returns {Promise<boolean>} 签名有效且未过期时返回 true
+ */
+export async function verifyCallback(secret, token, expires, nonce, signature) {
+  if (!secret || !signature || !nonce || !(Number(expires) > Date.now() / 1000)) return false;
+  try {
+    const key = await getKey(secret);
+    const bytes = Uint8Array.from(base64UrlDecode(signature), c => c.charCodeAt(0));
+    return await crypto.subtle.verify('HMAC', key, bytes, textEncoder.encode(`sub-callback:${token}:${expires}:${nonce}`));
+  } catch (err) {
+    return false;
+  }
+}
+
+/**
+ * 使用 PBKDF2 派生密码哈希
+ * @param {string} password - 明文密码
+ * @param {Uint8Array} salt - 盐
+ * @param {number} iterations - 迭代次数
+ * @returns {Promise<Uint8Array>} 派生结果
+ */
+async function derivePassword(password, salt, iterations) {
+  const key = await crypto.subtle.importKey('raw', textEncoder.encode(password), 'PBKDF2', false, ['deriveBits']);
+  const bits = await crypto.subtle.deriveBits(
+    { name: 'PBKDF2', hash: CONFIG.HASH, salt, iterations },
+    key,
+    PASSWORD_HASH.KEY_BITS
+  );
+  return new Uint8Array(bits);
+}
+
+/**
+ * 生成密码哈希
+ * @param {string} password - 明文密码
+ * @returns {Promise<string>} 格式为 pbkdf2-sha256$迭代次数$盐$哈希 (Base64URL)
+ */
+export async function hashPassword(password) {
+  const salt = crypto.getRandomValues(new Uint8Array(PASSWORD_HASH.SALT_BYTES));
+  const hash = await derivePassword(password, salt, PASSWORD_HASH.ITERATIONS);
+  return [
+    PASSWORD_HASH.ALGORITHM,
+    PASSWORD_HASH.ITERATIONS,
+    base64UrlEncode(String.fromCharCode(...salt)),
+    base64UrlEncode(String.fromCharCode(...hash))
+  ].join('$');
+}
+
+/**
+ * 校验密码是否与哈希匹配
+ * @param {string} password - 明文密码
+ * @param {string} stored - hashPassword 生成的哈希
+ * @returns {Promise<boolean>}
+ */
+export async function verifyPassword(password, stored) {
+  if (typeof password !== 'string' || typeof stored !== 'string') return false;
+  const [algorithm, iterations, salt, hash] = stored.split('$');
+  if (algorithm !== PASSWORD_HASH.ALGORITHM || !salt || !hash) return false;
+
+  try {
+    const expected = Uint8Array.from(base64UrlDecode(hash), c => c.charCodeAt(0));
+    const actual = await derivePassword(password, Uint8Array.from(base64UrlDecode(salt), c => c.charCodeAt(0)), Number(iterations));
+    // 常量时间比较
+    let result = expected.length ^ actual.length;
+    for (let i = 0; i < actual.length; i++) {
+      result |= actual[i] ^ (expected[i] || 0);
+    }
+    return result === 0;
+  } catch (err) {
+    return false;
+  }
+}
+
+const BASE32_ALPHABET = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ234567';
+
+// TOTP 参数 (RFC 6238，与常见验证器应用的默认值一致)
+const TOTP = {
+  DIGITS: 6,
+  PERIOD: 30,
+  WINDOW: 1, // 允许前后各 1 个时间步的误差
+  SECRET_BYTES: 20,
+  ISSUER: 'SubPool Worker'
+};
+
+function base32Encode(bytes) {
+  let bits = 0;
+  let value = 0;
+  let output = '';
+  for (const byte of bytes) {
+    value = (value << 8) | byte;
+    bits += 8;
+    while (bits >= 5) {
+      output += BASE32_ALPHABET[(value >>> (bits - 5)) & 31];
+      bits -= 5;
+    }
+  }
+  if (bits > 0) output += BASE32_ALPHABET[(value << (5 - bits)) & 31];
+  return output;
+}
+
+function base32Decode(str) {
+  const clean = str.toUpperCase().replace(/[\s=]/g, '');
+  let bits = 0;
+  let value = 0;
+  const bytes = [];
+  for (const char of clean) {
+    const index = BASE32_ALPHABET.indexOf(char);
+    if (index === -1) throw new Error('Invalid base32 string');
+    value = (value << 5) | index;
+    bits += 5;
+    if (bits >= 8) {
+      bytes.push((value >>> (bits - 8)) & 255);
+      bits -= 8;
+    }
+  }
+  return new Uint8Array(bytes);
+}
+
+/**
+ * 计算指定时间步的 TOTP 验证码
+ * @param {Uint8Array} key - 共享密钥
+ * @param {number} step - 时间步
+ * @returns {Promise<string>}
+ */
+async function totpCode(key, step) {
+  const cryptoKey = await crypto.subtle.importKey('raw', key, { name: 'HMAC', hash: 'SHA-1' }, false, ['sign']);
+  const counter = new DataView(new ArrayBuffer(8));
+  counter.setUint32(0, Math.floor(step / 2 ** 32));
+  counter.setUint32(4, step >>> 0);
+  const hmac = new Uint8Array(await crypto.subtle.sign('HMAC', cryptoKey, counter.buffer));
+  const offset = hmac[hmac.length - 1] & 15;
+  const binary = ((hmac[offset] & 127) << 24) | (hmac[offset + 1] << 16) | (hmac[offset + 2] << 8) | hmac[offset + 3];
+  return String(binary % 10 ** TOTP.DIGITS).padStart(TOTP.DIGITS, '0');
+}
+
+/**
+ * 生成新的 TOTP 密钥
+ * @returns {string} Base32 编码的密钥
+ */
+export function generateTotpSecret() {
+  return base32Encode(crypto.getRandomValues(new Uint8Array(TOTP.SECRET_BYTES)));
+}
+
+/**
+ * 生成验证器应用使用的 otpauth URI
+ * @param {string} secret - Base32 密钥
+ * @param {string} account - 账户名
+ * @returns {string}
+ */
+export function createTotpUri(secret, account) {
+  const label = encodeURIComponent(`${TOTP.ISSUER}:${account}`);
+  const params = new URLSearchParams({
+    secret,
+    issuer: TOTP.ISSUER,
+    algorithm: 'SHA1',
+    digits: String(TOTP.DIGITS),
+    period: String(TOTP.PERIOD)
+  });
+  return `otpauth://totp/${label}?${params}`;
+}
+
+/**
+ * 校验 TOTP 验证码
+ * @param {string} secret - Base32 密钥
+ * @param {string} code - 用户输入的验证码
+ * @param {number} [lastStep=0] - 上次成功使用的时间步，不接受重复使用同一验证码
+ * @returns {Promise<number|null>} 匹配的时间步，失败返回 null
+ */
+export async function verifyTotp(secret, code, lastStep = 0) {
+  if (typeof code !== 'string' || !/^\d{6}$/.test(code.trim())) return null;
+  const key = base32Decode(secret);
+  const current = Math.floor(Date.now() / 1000 / TOTP.PERIOD);
+  for (let step = current - TOTP.WINDOW; step <= current + TOTP.WINDOW; step++) {
+    if (step <= lastStep) continue;
+    if (await totpCode(key, step) === code.trim()) return step;
+  }
+  return null;
+}
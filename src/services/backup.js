@@ -0,0 +1,232 @@
+import { KVService } from './kv.js';
+import { SubconverterService } from './subconverter.js';
+import { deepMerge } from './config.js';
+import { SchemaService, GROUP_SCHEMA, CONFIG_SCHEMA } from './schema.js';
+import { HistoryService, CONFIG_HISTORY, groupHistory, stripConfigSecrets, stripRevision } from './history.js';
+
+// 备份文件格式标识与版本，结构变化时递增版本并在 validate 中兼容旧版本
+export const BACKUP_FORMAT = 'subpool-worker-backup';
+export const BACKUP_VERSION = 1;
+export const RESTORE_MODES = ['merge', 'replace'];
+
+// 脱敏后的占位值，恢复时保留当前部署中的原值
+export const REDACTED = '__REDACTED__';
+
+// 全局配置中的敏感字段路径
+const SECRET_PATHS = [['adminPassword'], ['adminPasswordHash'], ['telegram', 'botToken']];
+// 管理员密码只能由服务端生成哈希，恢复时始终沿用当前值，忽略备份中的内容
+const PASSWORD_KEYS = ['adminPassword', 'adminPasswordHash'];
+
+function getPath(obj, path) {
+  return path.reduce((acc, key) => (acc && typeof acc === 'object' ? acc[key] : undefined), obj);
+}
+
+function setPath(obj, path, value) {
+  const parent = path.slice(0, -1).reduce((acc, key) => (acc[key] ??= {}), obj);
+  parent[path[path.length - 1]] = value;
+}
+
+function deletePath(obj, path) {
+  const parent = getPath(obj, path.slice(0, -1));
+  if (parent && typeof parent === 'object') delete parent[path[path.length - 1]];
+}
+
+// 按键名排序后序列化，比较时忽略对象键的顺序
+function canonicalize(value) {
+  if (Array.isArray(value)) return value.map(canonicalize);
+  if (!value || typeof value !== 'object') return value;
+  return Object.fromEntries(Object.keys(value).sort().map(key => [key, canonicalize(value[key])]));
+}
+
+const isEqual = (a, b) => JSON.stringify(canonicalize(a)) === JSON.stringify(canonicalize(b));
+
+/**
+ * 计算恢复后的全局配置
+ * 管理员密码始终保持当前值 (与恢复全局设置的历史版本一致)；备份中脱敏或缺失的 Telegram Bot Token 沿用当前值
+ * @param {object} current - 当前全局配置
+ * @param {object} incoming - 备份中的全局配置
+ * @param {string} mode - merge | replace
+ * @returns {object}
+ */
+function resolveConfig(current, incoming, mode) {
+  const cleaned = structuredClone(incoming);
+  for (const key of PASSWORD_KEYS) delete cleaned[key];
+  for (const path of SECRET_PATHS) {
+    if (getPath(cleaned, path) === REDACTED) deletePath(cleaned, path);
+  }
+  if (mode === 'merge') return deepMerge({}, current, cleaned);
+
+  for (const path of SECRET_PATHS) {
+    const value = getPath(current, path);
+    if (getPath(cleaned, path) === undefined && value !== undefined) setPath(cleaned, path, value);
+  }
+  return cleaned;
+}
+
+/**
+ * 校验恢复后的订阅组集合：token 唯一、访问令牌不冲突、引用的组存在且无循环
+ * @param {object[]} groups - 恢复后的全部订阅组
+ * @returns {string|null} 错误信息，校验通过返回 null
+ */
+function checkGroups(groups) {
+  const byToken = new Map(groups.map(group => [group.token, group]));
+  const owners = new Map();
+  for (const group of groups) {
+    for (const access of group.accessTokens || []) {
+      if (byToken.has(access.token)) return `Access token conflicts with a group token: ${access.token}`;
+      if (owners.has(access.token)) return `Access token already in use: ${access.token}`;
+      owners.set(access.token, group.token);
+    }
+  }
+
+  const visit = (group, path) => {
+    for (const ref of SubconverterService.getGroupRefs(group)) {
+      if (path.includes(ref)) return `Circular group reference: ${[...path, ref].join(' -> ')}`;
+      const child = byToken.get(ref);
+      if (!child) return `Referenced group not found: ${ref}`;
+      const error = visit(child, [...path, ref]);
+      if (error) return error;
+    }
+    return null;
+  };
+  for (const group of groups) {
+    const error = visit(group, [group.token]);
+    if (error) return error;
+  }
+  return null;
+}
+
+export class BackupService {
+  /**
+   * 导出全局配置与全部订阅组
+   * 管理员账户、两步验证、API 令牌以及缓存、统计等运行数据不包含在备份中
+   * @param {object} [options]
+   * @param {boolean} [options.redact=false] - 是否将管理员密码与 Telegram Bot Token 替换为占位值
+   * @returns {Promise<object>} 备份数据
+   */
+  static async export({ redact = false } = {}) {
+    const config = await KVService.getGlobalConfig() || {};
+    const groups = await KVService.getAllGroups();
+    if (redact) {
+      for (const path of SECRET_PATHS) {
+        if (getPath(config, path)) setPath(config, path, REDACTED);
+      }
+    }
+    return {
+      format: BACKUP_FORMAT,
+      version: BACKUP_VERSION,
+      exportedAt: new Date().toISOString(),
+      redacted: Boolean(redact),
+      config,
+      groups,
+    };
+  }
+
+  /**
+   * 校验备份数据的结构
+   * @param {object} bundle - 备份数据
+   * @returns {string|null} 错误信息，校验通过返回 null
+   */
+  static validate(bundle) {
+    if (!bundle || typeof bundle !== 'object' || bundle.format !== BACKUP_FORMAT) return 'Not a backup file';
+    if (!Number.isInteger(bundle.version) || bundle.version < 1) return 'Invalid backup version';
+    if (bundle.version > BACKUP_VERSION) return `Backup version ${bundle.version} is newer than supported version ${BACKUP_VERSION}`;
+    if (!bundle.config || typeof bundle.config !== 'object' || Array.isArray(bundle.config)) return 'Invalid config in backup';
+    if (!Array.isArray(bundle.groups)) return 'Invalid groups in backup';
+    const configErrors = SchemaService.validate(CONFIG_SCHEMA, bundle.config);
+    if (configErrors.length) return `Invalid config in backup: ${SchemaService.format(configErrors)}`;
+
+    const seen = new Set();
+    for (const group of bundle.groups) {
+      if (!group || typeof group.token !== 'string' || !group.token.trim() || group.token.includes('/')) return 'Invalid group token in backup';
+      if (typeof group.name !== 'string' || !group.name.trim()) return `Invalid group name in backup: ${group.token}`;
+      if (group.accessTokens !== undefined && !Array.isArray(group.accessTokens)) return `Invalid access tokens in backup: ${group.token}`;
+      if (seen.has(group.token)) return `Duplicate group token in backup: ${group.token}`;
+      const groupErrors = SchemaService.validate(GROUP_SCHEMA, group);
+      if (groupErrors.length) return `Invalid group in backup: ${group.token}: ${SchemaService.format(groupErrors)}`;
+      seen.add(group.token);
+    }
+    return null;
+  }
+
+  /**
+   * 计算恢复备份会产生的变更 (不写入 KV)
+   * merge 模式：合并全局配置，新增或覆盖备份中的订阅组，保留其他订阅组
+   * replace 模式：以备份替换全局配置，并删除备份中不存在的订阅组
+   * @param {object} bundle - 已通过 validate 的备份数据
+   * @param {string} mode - merge | replace
+   * @returns {Promise<{error: string|null, changes: object, config: object, groups: object[], deleted: string[]}>}
+   */
+  static async plan(bundle, mode) {
+    const currentConfig = await KVService.getGlobalConfig() || {};
+    const currentGroups = await KVService.getAllGroups();
+    const currentByToken = new Map(currentGroups.map(group => [group.token, group]));
+    const incomingTokens = new Set(bundle.groups.map(group => group.token));
+
+    const config = resolveConfig(currentConfig, bundle.config, mode);
+    const changedKeys = [...new Set([...Object.keys(currentConfig), ...Object.keys(config)])]
+      .filter(key => !isEqual(currentConfig[key], config[key]));
+
+    const summary = group => ({ token: group.token, name: group.name });
+    const changes = {
+      mode,
+      config: { changed: changedKeys.length > 0, keys: changedKeys },
+      groups: { created: [], updated: [], unchanged: [], deleted: [] },
+    };
+    // revision 只是保存计数，不参与比较
+    const sameGroup = (current, group) => isEqual(stripRevision(current), stripRevision(group));
+    for (const group of bundle.groups) {
+      const current = currentByToken.get(group.token);
+      const bucket = !current ? 'created' : (sameGroup(current, group) ? 'unchanged' : 'updated');
+      changes.groups[bucket].push(summary(group));
+    }
+    const kept = currentGroups.filter(group => !incomingTokens.has(group.token));
+    if (mode === 'replace') changes.groups.deleted = kept.map(summary);
+
+    const finalGroups = mode === 'replace' ? bundle.groups : [...kept, ...bundle.groups];
+    return {
+      error: checkGroups(finalGroups),
+      changes,
+      config,
+      groups: bundle.groups.filter(group => !sameGroup(currentByToken.get(group.token), group)),
+      deleted: changes.groups.deleted.map(group => group.token),
+    };
+  }
+
+  /**
+   * 写入 plan 计算出的变更，覆盖的订阅组与全局设置会记录历史版本
+   * @param {object} plan - plan() 的返回值
+   * @param {object} [meta]
+   * @param {string|null} [meta.author] - 操作者
+   */
+  static async apply(plan, { author = null } = {}) {
+    for (const token of plan.deleted) {
+      await KVService.deleteGroup(token);
+    }
+    const previous = new Map();
+    for (const group of plan.groups) {
+      previous.set(group.token, await KVService.getGroup(group.token));
+    }
+    // 访问令牌可能在组之间移动：先移除各组中不再保留的令牌映射，再写入完整数据，避免后写的组删掉刚建立的映射
+    for (const group of plan.groups) {
+      const current = previous.get(group.token);
+      if (!current) continue;
+      const incoming = new Set((group.accessTokens || []).map(access => access.token));
+      const retained = (current.accessTokens || []).filter(access => incoming.has(access.token));
+      if (retained.length !== (current.accessTokens || []).length) {
+        await KVService.saveGroup({ ...current, accessTokens: retained });
+      }
+    }
+    for (const group of plan.groups) {
+      await KVService.saveGroup(group);
+      // 更换 Token 后宽限期内的旧 token 记录不在备份中，按 previousTokens 重建，旧订阅地址在恢复后仍可访问
+      await KVService.restoreMovedTokens(group);
+      await HistoryService.record(groupHistory(group.token), stripRevision(group), { author, previous: stripRevision(previous.get(group.token)) });
+    }
+    if (plan.changes.config.changed) {
+      const previousConfig = await KVService.getGlobalConfig() || {};
+      await KVService.saveGlobalConfig(plan.config);
+      await HistoryService.record(CONFIG_HISTORY, stripConfigSecrets(plan.config), { author, previous: stripConfigSecrets(previousConfig) });
+    }
+  }
+}
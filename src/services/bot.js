@@ -0,0 +1,128 @@
+import { ConfigService } from './config.js';
+
+// 评分项，命中时加上 botDetection.weights 中对应的分数 (可为负数)
+export const BOT_SIGNALS = [
+  'emptyUa', // 没有 User-Agent
+  'deniedUa', // User-Agent 命中拒绝规则
+  'unknownUa', // 既不是浏览器也不是可信客户端
+  'http10', // HTTP/1.0 请求
+  'oldTls', // 没有 TLS 或 TLS 1.0/1.1
+  'noSecFetch', // 缺少浏览器导航时的 sec-fetch-* 请求头
+  'noHtmlAccept', // Accept 不包含 text/html
+  'subconverter', // subconverter 的回访请求
+];
+
+// 只有浏览器才会满足的检查，代理客户端普遍不满足，可信客户端跳过
+const BROWSER_SIGNALS = ['noSecFetch', 'noHtmlAccept'];
+const BROWSER_UA = /Mozilla\/5\.0|Chrome|Safari|Firefox|Edg/;
+
+// 最近一次的编译结果；全局设置每个请求都会重新合并生成新对象，因此按规则内容 (序列化后) 判断是否可复用
+let compiledCache = { key: null, compiled: null };
+
+/**
+ * 编译 User-Agent 规则，支持 /pattern/flags 写法，裸正则不区分大小写
+ * @param {string} pattern - 规则
+ * @returns {RegExp|null} 无效的规则返回 null
+ */
+function compilePattern(pattern) {
+  try {
+    const match = String(pattern).match(/^\/(.*)\/([gimsuy]*)$/);
+    return match ? new RegExp(match[1], match[2].replace('g', '')) : new RegExp(pattern, 'i');
+  } catch (e) {
+    return null;
+  }
+}
+
+function compileRules(rules) {
+  const key = JSON.stringify([rules.trustedClients, rules.allowUaPatterns, rules.denyUaPatterns]);
+  if (compiledCache.key === key) return compiledCache.compiled;
+  const patterns = list => (list || [])
+    .map(pattern => ({ pattern, regex: compilePattern(pattern) }))
+    .filter(entry => entry.regex);
+  const compiled = {
+    trusted: (rules.trustedClients || []).map(name => name.trim().toLowerCase()).filter(Boolean),
+    allow: patterns(rules.allowUaPatterns),
+    deny: patterns(rules.denyUaPatterns),
+  };
+  compiledCache = { key, compiled };
+  return compiled;
+}
+
+/**
+ * 解析粘贴的原始请求头文本 (每行 `Name: value`)，首行可为请求行 `GET /sub/xxx HTTP/1.1`
+ * @param {string} text - 请求头文本
+ * @returns {{headers: Headers, httpProtocol: string|null}} httpProtocol 取自请求行
+ */
+export function parseRawHeaders(text) {
+  const headers = new Headers();
+  let httpProtocol = null;
+  for (const line of String(text || '').split(/\r?\n/)) {
+    const requestLine = line.trim().match(/^[A-Z]+\s+\S+\s+(HTTP\/[\d.]+)$/);
+    if (requestLine) {
+      httpProtocol = requestLine[1];
+      continue;
+    }
+    // 跳过空行与 HTTP/2 伪首部 (:authority 等)
+    const index = line.indexOf(':');
+    if (index <= 0) continue;
+    try {
+      headers.append(line.slice(0, index).trim(), line.slice(index + 1).trim());
+    } catch (e) {
+      // 忽略名称不合法的请求头
+    }
+  }
+  return { headers, httpProtocol };
+}
+
+export class BotService {
+  /**
+   * 按机器人检测规则为请求打分
+   * 命中允许规则的请求始终放行；可信客户端不检查浏览器特有的请求头
+   * @param {{headers: Headers, cf?: object}} request - 请求，cf 中的 httpProtocol 与 tlsVersion 参与评分
+   * @param {object} [rules] - 检测规则，默认使用全局设置中的 botDetection
+   * @returns {{score: number, threshold: number, ifBot: boolean, allowedBy: string|null, deniedBy: string|null, trustedClient: string|null, signals: {signal: string, matched: boolean, skipped: boolean, points: number}[]}}
+   */
+  static evaluate(request, rules = ConfigService.get('botDetection')) {
+    const { trusted, allow, deny } = compileRules(rules);
+    const weights = rules.weights || {};
+    const header = name => request.headers.get(name) || '';
+    const userAgent = header('User-Agent');
+    const lowerUa = userAgent.toLowerCase();
+
+    const trustedClient = trusted.find(name => lowerUa.includes(name)) || null;
+    const allowed = allow.find(entry => entry.regex.test(userAgent));
+    const denied = deny.find(entry => entry.regex.test(userAgent));
+    const accept = header('Accept');
+    const tlsVersion = request.cf?.tlsVersion || '';
+
+    const checks = {
+      emptyUa: !userAgent,
+      deniedUa: Boolean(denied),
+      unknownUa: !BROWSER_UA.test(userAgent) && !trustedClient,
+      http10: request.cf?.httpProtocol === 'HTTP/1.0',
+      oldTls: !tlsVersion || tlsVersion === 'TLSv1.0' || tlsVersion === 'TLSv1.1',
+      noSecFetch: !header('sec-fetch-site') || header('sec-fetch-mode') !== 'navigate'
+        || header('sec-fetch-dest') !== 'document' || !header('sec-fetch-user'),
+      noHtmlAccept: !accept.includes('text/html') || accept.length < 10,
+      subconverter: header('subconverter-request') === '1' && Boolean(header('subconverter-version'))
+        && userAgent.includes('subconverter'),
+    };
+
+    const signals = BOT_SIGNALS.map(signal => {
+      const skipped = Boolean(trustedClient) && BROWSER_SIGNALS.includes(signal);
+      const matched = !skipped && checks[signal];
+      return { signal, matched, skipped, points: matched ? (weights[signal] || 0) : 0 };
+    });
+    const score = signals.reduce((sum, entry) => sum + entry.points, 0);
+
+    return {
+      score,
+      threshold: rules.threshold,
+      ifBot: !allowed && score >= rules.threshold,
+      allowedBy: allowed ? allowed.pattern : null,
+      deniedBy: denied ? denied.pattern : null,
+      trustedClient,
+      signals,
+    };
+  }
+}
@@ -0,0 +1,263 @@
+import { compact } from '../utils.js';
+
+const SELECT_GROUP = '🚀 节点选择';
+const AUTO_GROUP = '♻️ 自动选择';
+
+// Clash/Mihomo 基础配置，proxies / proxy-groups / rules 会在生成时填充
+const BASE_CONFIG = {
+  'mixed-port': 7890,
+  'allow-lan': false,
+  mode: 'rule',
+  'log-level': 'info',
+  'unified-delay': true,
+};
+
+const YAML_RESERVED = /^(true|false|yes|no|on|off|y|n|null|~|[-+]?(\d[\d_]*)?\.?\d+([eE][-+]?\d+)?|0x[0-9a-fA-F]+|0o[0-7]+|\.inf|\.nan)$/i;
+
+/**
+ * 将标量转换为 YAML 表示，必要时使用双引号 (JSON 字符串同时也是合法的 YAML 字符串)
+ * @param {any} value - 标量值
+ * @returns {string}
+ */
+function yamlScalar(value) {
+  if (value === null || value === undefined) return 'null';
+  if (Array.isArray(value)) return '[]';
+  if (typeof value === 'object') return '{}';
+  if (typeof value === 'number' || typeof value === 'boolean') return String(value);
+
+  const str = String(value);
+  if (str === '' || str.trim() !== str || YAML_RESERVED.test(str) ||
+      /^[-?:,\[\]{}#&*!|>'"%@`]/.test(str) || /[:\n\r\t"]|\s#/.test(str) || /[,\[\]{}]/.test(str)) {
+    return JSON.stringify(str);
+  }
+  return str;
+}
+
+function isNested(value) {
+  return value !== null && typeof value === 'object' && Object.keys(value).length > 0;
+}
+
+/**
+ * 简单的 YAML 序列化 (只支持对象、数组和标量)
+ * @param {object|Array} value - 要序列化的值
+ * @param {number} [indent=0] - 缩进空格数
+ * @returns {string}
+ */
+function dumpYaml(value, indent = 0) {
+  const pad = ' '.repeat(indent);
+  const lines = [];
+  if (Array.isArray(value)) {
+    for (const item of value) {
+      lines.push(isNested(item)
+        ? `${pad}- ${dumpYaml(item, indent + 2).trimStart()}`
+        : `${pad}- ${yamlScalar(item)}`);
+    }
+  } else {
+    for (const [key, item] of Object.entries(value)) {
+      if (item === undefined) continue;
+      if (isNested(item)) {
+        lines.push(`${pad}${yamlScalar(key)}:`);
+        lines.push(dumpYaml(item, Array.isArray(item) ? indent : indent + 2));
+      } else {
+        lines.push(`${pad}${yamlScalar(key)}: ${yamlScalar(item)}`);
+      }
+    }
+  }
+  return lines.join('\n');
+}
+
+/**
+ * 生成 TLS 相关字段
+ * @param {object} tls - 节点 TLS 设置
+ * @param {string} sniKey - SNI 字段名 (vmess/vless 为 servername，其余为 sni)
+ * @returns {object}
+ */
+function tlsFields(tls, sniKey = 'sni') {
+  if (!tls || !tls.enabled) return {};
+  return compact({
+    tls: sniKey === 'servername' ? true : undefined,
+    [sniKey]: tls.sni,
+    'skip-cert-verify': tls.insecure || undefined,
+    alpn: tls.alpn,
+    'client-fingerprint': tls.fingerprint,
+    'reality-opts': tls.reality ? compact({
+      'public-key': tls.reality.publicKey,
+      'short-id': tls.reality.shortId,
+    }) : undefined,
+  });
+}
+
+/**
+ * 生成传输层相关字段
+ * @param {object} transport - 节点传输层设置
+ * @returns {object}
+ */
+function transportFields(transport) {
+  if (!transport || !transport.type || transport.type === 'tcp') return {};
+  const { type, path, host, serviceName } = transport;
+  switch (type) {
+    case 'ws':
+    case 'httpupgrade':
+      return {
+        network: 'ws',
+        'ws-opts': compact({
+          path,
+          headers: host ? { Host: host } : undefined,
+          'v2ray-http-upgrade': type === 'httpupgrade' || undefined,
+        }),
+      };
+    case 'grpc':
+      return { network: 'grpc', 'grpc-opts': compact({ 'grpc-service-name': serviceName }) };
+    case 'h2':
+      return { network: 'h2', 'h2-opts': compact({ host: host ? [host] : undefined, path }) };
+    case 'http':
+      return {
+        network: 'http',
+        'http-opts': compact({ path: path ? [path] : undefined, headers: host ? { Host: [host] } : undefined }),
+      };
+    default:
+      return { network: type };
+  }
+}
+
+/**
+ * 解析 SIP003 插件参数为 Clash 的 plugin-opts
+ * @param {string} plugin - 插件名
+ * @param {string} pluginOpts - 形如 obfs=http;obfs-host=example.com
+ * @returns {object}
+ */
+function pluginFields(plugin, pluginOpts) {
+  if (!plugin) return {};
+  const opts = {};
+  for (const pair of (pluginOpts || '').split(';').filter(Boolean)) {
+    const [key, ...rest] = pair.split('=');
+    opts[key] = rest.length ? rest.join('=') : true;
+  }
+  if (plugin === 'obfs-local' || plugin === 'simple-obfs') {
+    return { plugin: 'obfs', 'plugin-opts': compact({ mode: opts.obfs, host: opts['obfs-host'] }) };
+  }
+  if (plugin === 'v2ray-plugin') {
+    return {
+      plugin: 'v2ray-plugin',
+      'plugin-opts': compact({ mode: opts.mode || 'websocket', tls: opts.tls === true || undefined, host: opts.host, path: opts.path }),
+    };
+  }
+  return { plugin, 'plugin-opts': opts };
+}
+
+const converters = {
+  vmess: node => ({
+    uuid: node.uuid,
+    alterId: node.alterId,
+    cipher: node.cipher,
+    ...tlsFields(node.tls, 'servername'),
+    ...transportFields(node.transport),
+  }),
+  vless: node => ({
+    uuid: node.uuid,
+    flow: node.flow,
+    ...tlsFields(node.tls, 'servername'),
+    ...transportFields(node.transport),
+  }),
+  trojan: node => ({
+    password: node.password,
+    ...tlsFields(node.tls),
+    ...transportFields(node.transport),
+  }),
+  ss: node => ({
+    cipher: node.cipher,
+    password: node.password,
+    ...pluginFields(node.plugin, node.pluginOpts),
+  }),
+  ssr: node => ({
+    cipher: node.cipher,
+    password: node.password,
+    protocol: node.protocol,
+    'protocol-param': node.protocolParam,
+    obfs: node.obfs,
+    'obfs-param': node.obfsParam,
+  }),
+  hysteria2: node => ({
+    password: node.password,
+    ports: node.ports,
+    up: node.up,
+    down: node.down,
+    obfs: node.obfs,
+    'obfs-password': node.obfsPassword,
+    ...tlsFields({ ...node.tls, enabled: true }),
+  }),
+  tuic: node => ({
+    uuid: node.uuid,
+    password: node.password,
+    'congestion-controller': node.congestionControl,
+    'udp-relay-mode': node.udpRelayMode,
+    ...tlsFields({ ...node.tls, enabled: true }),
+  }),
+  wireguard: node => ({
+    ip: node.ip,
+    ipv6: node.ipv6,
+    'private-key': node.privateKey,
+    'public-key': node.publicKey,
+    'pre-shared-key': node.preSharedKey,
+    reserved: node.reserved,
+    mtu: node.mtu,
+    'remote-dns-resolve': true,
+  }),
+};
+
+export class ClashService {
+  /**
+   * 将节点转换为 Clash/Mihomo 的 proxy 对象
+   * @param {import('./parser.js').ProxyNode} node - 解析后的节点
+   * @returns {object|null} 不支持的协议返回 null
+   */
+  static toProxy(node) {
+    const converter = converters[node.type];
+    if (!converter) return null;
+    return compact({
+      name: node.name,
+      type: node.type,
+      server: node.server,
+      port: node.port,
+      ...converter(node),
+      udp: true,
+    });
+  }
+
+  /**
+   * 生成完整的 Clash/Mihomo 配置
+   * @param {import('./parser.js').ProxyNode[]} nodes - 节点列表 (名称需唯一)
+   * @returns {string} YAML 配置文本
+   */
+  static generate(nodes) {
+    const proxies = nodes.map(node => this.toProxy(node)).filter(Boolean);
+    const names = proxies.map(p => p.name);
+
+    const proxyGroups = [
+      { name: SELECT_GROUP, type: 'select', proxies: names.length ? [AUTO_GROUP, ...names, 'DIRECT'] : ['DIRECT'] },
+    ];
+    // url-test 组不允许为空
+    if (names.length) {
+      proxyGroups.push({
+        name: AUTO_GROUP,
+        type: 'url-test',
+        url: 'https://www.gstatic.com/generate_204',
+        interval: 300,
+        tolerance: 50,
+        proxies: names,
+      });
+    }
+
+    const config = {
+      ...BASE_CONFIG,
+      proxies,
+      'proxy-groups': proxyGroups,
+      rules: [
+        'GEOIP,LAN,DIRECT,no-resolve',
+        'GEOIP,CN,DIRECT',
+        `MATCH,${SELECT_GROUP}`,
+      ],
+    };
+    return `${dumpYaml(config)}\n`;
+  }
+}
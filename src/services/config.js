@@ -1,12 +1,40 @@
 import { KVService } from './kv.js';
 
+// 默认管理员密码，仅用于首次登录，登录时会被强制修改
+export const DEFAULT_ADMIN_PASSWORD = 'admin_password';
+
 // 定义一套基础的默认配置
 const DEFAULT_CONFIG = {
-  adminPassword: 'admin_password',
+  adminPassword: DEFAULT_ADMIN_PASSWORD, // 旧版明文密码，首次登录后迁移为 adminPasswordHash
+  adminPasswordHash: '', // PBKDF2 哈希，存在时忽略 adminPassword
   blockBots: true,
+  botDetection: {
+    threshold: 50, // 总分达到此值视为机器人，开启 blockBots 时拒绝访问
+    // 可信客户端 (User-Agent 包含其一，不区分大小写)：不检查浏览器特有的 sec-fetch-* 与 Accept 请求头
+    trustedClients: [
+      'clash', 'mihomo', 'stash', 'sing-box', 'hiddify', 'karing', 'shadowrocket', 'quantumult', 'surge', 'loon',
+      'v2rayn', 'v2rayng', 'v2box', 'nekobox', 'nekoray', 'xray', 'subconverter',
+    ],
+    allowUaPatterns: [], // 命中任一规则的请求始终放行
+    denyUaPatterns: [
+      'bot', 'spider', 'crawler', 'slurp', 'ia_archiver', 'sogou', 'facebook', 'pinterest', 'ChatGPT-User',
+      'QQ', 'MicroMessenger', 'request', 'wget',
+    ],
+    weights: {
+      emptyUa: 30,
+      deniedUa: 50,
+      unknownUa: 10,
+      http10: 50,
+      oldTls: 50,
+      noSecFetch: 20,
+      noHtmlAccept: 10,
+      subconverter: -10,
+    },
+  },
   fileName: 'subpool-worker',
   subUpdateTime: 4,
   subscriptionInfo: {
+      mode: 'aggregate', // aggregate: 汇总上游流量信息; static: 使用下方固定值; hidden: 不下发
       totalTB: 99,
       expireDate: '2099-12-31',
   },
@@ -17,10 +45,57 @@ const DEFAULT_CONFIG = {
     logAllAccess: false,
   },
   subconverter: {
+    engine: 'auto', // auto: 未配置后端或后端失败时使用内置转换器; native: 始终使用内置转换器
     url: '',
     protocol: 'https',
     configUrl: 'https://raw.githubusercontent.com/cmliu/ACL4SSR/main/Clash/config/ACL4SSR_Online_MultiCountry.ini',
   },
+  singbox: {
+    template: '', // JSON 格式的基础模板，留空则使用内置默认模板
+  },
+  cache: {
+    enabled: true,
+    freshTtl: 300, // 缓存在此时间 (秒) 内直接使用，不请求上游
+    staleTtl: 604800, // 上游失败时可回退使用的缓存保留时间 (秒)，默认 7 天
+    refreshTimeout: 15, // 定时刷新时单个上游的超时时间 (秒)
+  },
+  stats: {
+    enabled: true,
+    retentionDays: 30, // 访问统计保留天数
+  },
+  history: {
+    maxRevisions: 20, // 每个订阅组及全局设置保留的历史版本数量
+  },
+  tokenRotation: {
+    graceHours: 168, // 更换 token 后旧 token 的默认宽限期 (小时)，0 表示立即失效
+    mode: 'serve', // serve: 宽限期内旧 token 继续提供订阅; notice: 只返回一个提示节点
+    noticeMessage: '订阅地址已更换，请联系管理员获取新地址',
+  },
+  accessPolicy: {
+    // 订阅组默认的来源限制，可在订阅组中改为自定义策略
+    allowCountries: [], // 国家/地区代码 (如 HK)，非空时只允许列表中的来源
+    denyCountries: ['CN'],
+    allowAsns: [], // 自治系统编号 (如 13335)，非空时只允许列表中的来源
+    denyAsns: [],
+    action: 'forbidden', // 拒绝时 camouflage: 伪装页面 (404); forbidden: 伪装页面 (403); decoy: 不含节点的订阅
+  },
+  rateLimit: {
+    enabled: false,
+    tokenLimit: 60, // 每个订阅 token 在窗口内允许的请求数，0 表示不限制
+    tokenWindow: 3600, // 窗口长度 (秒)
+    ipLimit: 30, // 每个客户端 IP 在窗口内允许的请求数，0 表示不限制
+    ipWindow: 600,
+    action: 'reject', // 超出限制时 reject: 返回 429; camouflage: 返回伪装页面 (404)
+  },
+  lifecycle: {
+    expiredAction: 'camouflage', // 订阅组到期后 camouflage: 返回伪装页面; notice: 只返回一个提示节点
+    noticeMessage: '订阅已到期，请联系管理员续费',
+    warnDays: 3, // 到期前多少天发送 Telegram 提醒 (需配置 Cron 触发器)，0 表示不提醒
+  },
+  audit: {
+    enabled: true,
+    retentionDays: 90, // 审计日志保留天数 (通过 KV 过期时间清理)
+  },
   failedBan: {
     enabled: false,
     maxAttempts: 5,
@@ -33,15 +108,20 @@ let _config = null;
 let _env = null;
 let _ctx = null;
 
+const isPlainObject = value => Boolean(value) && typeof value === 'object' && !Array.isArray(value);
+
 export function deepMerge(target, ...sources) {
   for (const source of sources) {
     if (!source) continue;
     for (const key in source) {
-      if (source[key] instanceof Object && key in target && target[key] instanceof Object) {
-        if (!target[key]) Object.assign(target, { [key]: {} });
-        deepMerge(target[key], source[key]);
+      const value = source[key];
+      if (isPlainObject(value)) {
+        // 目标中没有对应对象时创建新对象再合并，避免与来源 (如默认配置) 共用引用
+        if (!isPlainObject(target[key])) target[key] = {};
+        deepMerge(target[key], value);
       } else {
-        Object.assign(target, { [key]: source[key] });
+        // 数组整体替换，保存空数组即可清空默认列表
+        target[key] = Array.isArray(value) ? [...value] : value;
       }
     }
   }
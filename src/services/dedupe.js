@@ -0,0 +1,83 @@
+import { ParserService } from './parser.js';
+
+// 内联节点的来源标识，可在优先来源列表中使用
+export const INLINE_SOURCE = 'inline';
+
+/**
+ * 生成节点的身份标识：协议 + 服务器 + 端口 + 凭据
+ * 无法解析的行退化为按整行去重
+ * @param {string} line - 原始链接
+ * @returns {{key: string, name: string}}
+ */
+function identify(line) {
+  const node = ParserService.parseLink(line);
+  if (!node) return { key: `raw:${line}`, name: line };
+  const credential = node.type === 'wireguard'
+    ? `${node.publicKey}|${node.privateKey}`
+    : [node.uuid, node.password, node.cipher].filter(Boolean).join('|');
+  return {
+    key: [node.type, node.server.toLowerCase(), node.port, credential].join('#'),
+    name: node.name || '',
+  };
+}
+
+/**
+ * 判断候选节点是否应替换已保留的节点
+ * @param {object} current - 已保留的节点
+ * @param {object} candidate - 新出现的重复节点
+ * @param {string} strategy - first | shortest | preferred
+ * @param {string[]} preferredSources - 优先来源，越靠前优先级越高
+ * @returns {boolean}
+ */
+function shouldReplace(current, candidate, strategy, preferredSources) {
+  if (strategy === 'shortest') {
+    return candidate.name.length < current.name.length;
+  }
+  if (strategy === 'preferred') {
+    const rank = source => {
+      const index = preferredSources.indexOf(source);
+      return index === -1 ? preferredSources.length : index;
+    };
+    return rank(candidate.source) < rank(current.source);
+  }
+  return false;
+}
+
+export class DedupeService {
+  /**
+   * 合并各来源的节点并去重
+   * 同一协议、服务器、端口和凭据的节点视为重复，按策略保留其一，位置保持为首次出现的位置
+   * @param {{source: string, content: string}[]} sources - 按顺序排列的来源 (内联节点、上游订阅 URL)
+   * @param {object} [dedupeConfig] - 去重配置 { enabled, strategy, preferredSources }
+   * @returns {{content: string, dropped: number}} 合并后的节点与被丢弃的重复节点数量
+   */
+  static apply(sources, dedupeConfig = {}) {
+    const { enabled = true, strategy = 'first', preferredSources = [] } = dedupeConfig || {};
+    const kept = new Map();
+    let dropped = 0;
+
+    for (const { source, content } of sources) {
+      for (const rawLine of (content || '').split('\n')) {
+        const line = rawLine.trim();
+        if (!line) continue;
+        // 未启用语义去重时只去除完全相同的行
+        const identity = enabled ? identify(line) : { key: `raw:${line}`, name: line };
+        const candidate = { line, source, name: identity.name };
+        const current = kept.get(identity.key);
+        if (!current) {
+          kept.set(identity.key, candidate);
+          continue;
+        }
+        dropped++;
+        if (shouldReplace(current, candidate, strategy, preferredSources)) {
+          kept.set(identity.key, candidate);
+        }
+      }
+    }
+
+    return {
+      content: [...kept.values()].map(entry => entry.line).join('\n'),
+      dropped,
+    };
+  }
+}
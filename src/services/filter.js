@@ -0,0 +1,158 @@
+import { ParserService } from './parser.js';
+import { RegionService } from './region.js';
+
+// 可用于匹配的字段
+export const FILTER_FIELDS = ['protocol', 'name', 'server', 'port', 'region', 'line'];
+// 可用的匹配方式，not_ 前缀表示取反
+export const FILTER_OPERATORS = ['in', 'not_in', 'contains', 'not_contains', 'regex', 'not_regex'];
+
+/**
+ * 将字符串规则转换为 RegExp，支持 /pattern/flags 与裸正则两种写法
+ * @param {string} rule - 规则
+ * @returns {RegExp}
+ */
+export function compileRegex(rule) {
+  const match = String(rule).match(/^\/(.*)\/([gimsuy]*)$/);
+  return match ? new RegExp(match[1], match[2]) : new RegExp(rule);
+}
+
+/**
+ * 兼容旧版过滤器：filter.rules 中的每条正则视为对原始链接的排除规则
+ * @param {object} filterConfig - 订阅组的过滤器配置
+ * @returns {{include: object[], exclude: object[]}}
+ */
+export function normalizeFilter(filterConfig) {
+  const legacy = (filterConfig.rules || []).map(rule => ({
+    logic: 'and',
+    conditions: [{ field: 'line', op: 'regex', value: rule }],
+  }));
+  return {
+    include: filterConfig.include || [],
+    exclude: [...(filterConfig.exclude || []), ...legacy],
+  };
+}
+
+/**
+ * 预编译单个条件
+ * @param {{field: string, op: string, value: string}} condition - 条件
+ * @returns {(ctx: object) => boolean}
+ */
+function compileCondition(condition) {
+  const { field, op = 'in' } = condition;
+  const value = String(condition.value ?? '');
+  const negate = op.startsWith('not_');
+  const baseOp = negate ? op.slice(4) : op;
+  let test;
+
+  if (baseOp === 'regex') {
+    let regexes;
+    try {
+      regexes = [compileRegex(value)];
+      // 原始链接同时匹配 URL 编码形式 (节点名称通常被编码在 fragment 中)
+      if (field === 'line') {
+        const source = value.match(/^\/(.*)\/([gimsuy]*)$/);
+        regexes.push(source ? new RegExp(encodeURIComponent(source[1]), source[2]) : new RegExp(encodeURIComponent(value)));
+      }
+    } catch (e) {
+      regexes = [];
+    }
+    test = fieldValue => regexes.some(regex => {
+      regex.lastIndex = 0;
+      return regex.test(fieldValue);
+    });
+  } else if (baseOp === 'contains') {
+    const needle = value.toLowerCase();
+    test = fieldValue => fieldValue.toLowerCase().includes(needle);
+  } else {
+    const items = value.split(',').map(v => v.trim().toLowerCase()).filter(Boolean);
+    test = fieldValue => items.some(item => {
+      // 端口支持范围写法，如 10000-20000
+      const range = field === 'port' && item.match(/^(\d+)-(\d+)$/);
+      if (range) return Number(fieldValue) >= Number(range[1]) && Number(fieldValue) <= Number(range[2]);
+      return fieldValue.toLowerCase() === item;
+    });
+  }
+
+  return ctx => {
+    const fieldValue = ctx.get(field);
+    // 无法解析的节点没有对应字段，视为不匹配
+    if (fieldValue === null || fieldValue === undefined) return false;
+    const result = test(String(fieldValue));
+    return negate ? !result : result;
+  };
+}
+
+/**
+ * 预编译一条规则 (多个条件按 AND/OR 组合)
+ * @param {{logic: string, conditions: object[]}} rule - 规则
+ * @returns {(ctx: object) => boolean}
+ */
+function compileRule(rule) {
+  const conditions = (rule.conditions || []).map(compileCondition);
+  if (conditions.length === 0) return () => false;
+  return rule.logic === 'or'
+    ? ctx => conditions.some(c => c(ctx))
+    : ctx => conditions.every(c => c(ctx));
+}
+
+/**
+ * 为单行节点创建惰性求值的字段上下文，只在需要时才解析链接与识别地区
+ * @param {string} line - 原始链接
+ * @param {object[]} ipRegions - IP 地区映射
+ */
+function createContext(line, ipRegions) {
+  let node;
+  let region;
+  const getNode = () => (node === undefined ? (node = ParserService.parseLink(line)) : node);
+  return {
+    get(field) {
+      if (field === 'line') return line;
+      const parsed = getNode();
+      if (!parsed) return null;
+      switch (field) {
+        case 'protocol': return parsed.type;
+        case 'name': return parsed.name;
+        case 'server': return parsed.server;
+        case 'port': return parsed.port;
+        case 'region':
+          if (region === undefined) region = RegionService.detect(parsed, ipRegions).code;
+          return region;
+        default: return null;
+      }
+    },
+  };
+}
+
+export class FilterService {
+  /**
+   * 按订阅组的过滤器配置筛选节点
+   * 规则之间为 OR 关系：存在包含规则时，节点需命中任一包含规则；命中任一排除规则的节点会被移除
+   * @param {string} content - 每行一个的原生节点
+   * @param {object} filterConfig - 过滤器配置 { enabled, include, exclude, rules(旧版) }
+   * @param {object} [options]
+   * @param {string[]} [options.ipRegions] - 地区识别使用的 IP 映射 (来自重命名配置)
+   * @returns {string}
+   */
+  static apply(content, filterConfig, options = {}) {
+    if (!filterConfig || !filterConfig.enabled) {
+      return content;
+    }
+    const { include, exclude } = normalizeFilter(filterConfig);
+    if (include.length === 0 && exclude.length === 0) {
+      return content;
+    }
+
+    const includeRules = include.map(compileRule);
+    const excludeRules = exclude.map(compileRule);
+    const ipRegions = RegionService.parseIpRegions(options.ipRegions);
+
+    return content.split('\n')
+      .filter(line => {
+        if (!line.trim()) return true;
+        const ctx = createContext(line.trim(), ipRegions);
+        if (includeRules.length > 0 && !includeRules.some(rule => rule(ctx))) return false;
+        return !excludeRules.some(rule => rule(ctx));
+      })
+      .join('\n');
+  }
+}
@@ -0,0 +1,106 @@
+import { ConfigService } from './config.js';
+import { KVService } from './kv.js';
+
+// 全局设置的历史记录标识
+export const CONFIG_HISTORY = 'config';
+
+// 不写入历史版本的全局设置字段，回滚不会影响管理员密码和 Telegram Bot Token
+const CONFIG_EXCLUDED_KEYS = ['adminPassword', 'adminPasswordHash'];
+
+/**
+ * 订阅组的历史记录标识
+ * @param {string} token - 订阅组 token
+ * @returns {string}
+ */
+export function groupHistory(token) {
+  return `group:${token}`;
+}
+
+/**
+ * 去除订阅组的 revision 字段，历史版本与比较只关注组的内容
+ * @param {object|null} group - 订阅组
+ * @returns {object|null}
+ */
+export function stripRevision(group) {
+  if (!group) return group;
+  const { revision, ...rest } = group;
+  return rest;
+}
+
+/**
+ * 去除全局设置中不参与版本管理的字段
+ * @param {object} config - 全局设置
+ * @returns {object}
+ */
+export function stripConfigSecrets(config) {
+  const result = { ...config };
+  for (const key of CONFIG_EXCLUDED_KEYS) delete result[key];
+  if (result.telegram && 'botToken' in result.telegram) {
+    const { botToken, ...telegram } = result.telegram;
+    result.telegram = telegram;
+  }
+  return result;
+}
+
+/**
+ * 将历史版本恢复为全局设置时，保留当前的管理员密码与 Telegram Bot Token
+ * @param {object} data - 历史版本中的设置
+ * @param {object} current - 当前保存的设置
+ * @returns {object}
+ */
+export function restoreConfigSecrets(data, current) {
+  const result = stripConfigSecrets(data);
+  for (const key of CONFIG_EXCLUDED_KEYS) {
+    if (current[key] !== undefined) result[key] = current[key];
+  }
+  const botToken = current.telegram && current.telegram.botToken;
+  if (botToken !== undefined) result.telegram = { ...result.telegram, botToken };
+  return result;
+}
+
+export class HistoryService {
+  /**
+   * 读取历史版本 (按时间倒序，第一项为当前版本)
+   * @param {string} key - 历史记录标识
+   * @returns {Promise<object[]>}
+   */
+  static async list(key) {
+    const revisions = await KVService.getHistory(key) || [];
+    // 旧版本可能保存了 Bot Token，读取时去除，下次记录新版本时随之从 KV 中清除
+    if (key === CONFIG_HISTORY) return revisions.map(revision => ({ ...revision, data: stripConfigSecrets(revision.data) }));
+    return revisions;
+  }
+
+  /**
+   * 查找指定的历史版本
+   * @param {string} key - 历史记录标识
+   * @param {string} id - 版本 ID
+   * @returns {Promise<object|null>}
+   */
+  static async get(key, id) {
+    return (await this.list(key)).find(revision => revision.id === id) || null;
+  }
+
+  /**
+   * 记录一次保存后的新版本，超出保留数量的旧版本会被丢弃
+   * 启用版本管理前已存在的数据在首次保存时作为一个作者未知的版本补录
+   * @param {string} key - 历史记录标识
+   * @param {object} data - 保存后的数据
+   * @param {object} [meta]
+   * @param {string|null} [meta.author] - 操作者
+   * @param {object|null} [meta.previous] - 保存前的数据
+   * @param {string} [meta.restoredFrom] - 从哪个版本恢复
+   */
+  static async record(key, data, { author = null, previous = null, restoredFrom } = {}) {
+    const maxRevisions = ConfigService.get('history').maxRevisions;
+    const revisions = await this.list(key);
+    if (revisions.length === 0 && previous) {
+      revisions.push({ id: crypto.randomUUID(), at: null, author: null, data: previous });
+    }
+    // 内容未变化时不产生新版本
+    if (revisions.length > 0 && JSON.stringify(revisions[0].data) === JSON.stringify(data)) return;
+
+    revisions.unshift({ id: crypto.randomUUID(), at: new Date().toISOString(), author, data, ...(restoredFrom && { restoredFrom }) });
+    await KVService.putHistory(key, revisions.slice(0, Math.max(1, maxRevisions)));
+  }
+}
@@ -1,4 +1,5 @@
 import { ConfigService } from './config.js';
+import { sha256Hex } from '../utils.js';
 
 export class KVService {
   static #getKV() {
@@ -17,6 +18,14 @@ export class KVService {
     return this.#getKV().put(key, value, options);
   }
 
+  static async list(options) {
+    return this.#getKV().list(options);
+  }
+
+  static async delete(key) {
+    return this.#getKV().delete(key);
+  }
+
   static async getGlobalConfig() {
     return this.#getKV().get('config:global', 'json');
   }
@@ -25,8 +34,59 @@ export class KVService {
     return this.#getKV().put('config:global', JSON.stringify(config));
   }
 
+  /**
+   * 读取订阅组，已更换的旧 token (见 moveGroup) 返回 null
+   * @param {string} token - 订阅组 token
+   * @returns {Promise<object|null>}
+   */
   static async getGroup(token) {
-    return this.#getKV().get(`group:${token}`, 'json');
+    const group = await this.#getKV().get(`group:${token}`, 'json');
+    return group && group.movedTo ? null : group;
+  }
+
+  /**
+   * 读取更换 token 后保留的旧 token 记录
+   * @param {string} token - 旧 token
+   * @returns {Promise<{token: string, movedTo: string, mode: string, rotatedAt: string, expiresAt: string}|null>}
+   */
+  static async getMovedToken(token) {
+    const moved = await this.#getKV().get(`group:${token}`, 'json');
+    if (!moved || !moved.movedTo) return null;
+    // KV 的过期清理可能有延迟
+    return Date.parse(moved.expiresAt) > Date.now() ? moved : null;
+  }
+
+  /**
+   * 通过订阅 token 查找订阅组，支持组的主 token、附加的访问令牌以及宽限期内的旧 token
+   * @param {string} token - 请求中的 token
+   * @returns {Promise<{group: object, access: object|null, moved?: object}|null>} access 为命中的访问令牌 (主 token 时为 null)，moved 为命中的旧 token 记录
+   */
+  static async resolveGroup(token) {
+    const group = await this.getGroup(token);
+    if (group) return { group, access: null };
+
+    const moved = await this.getMovedToken(token);
+    if (moved) {
+      const target = await this.getGroup(moved.movedTo);
+      return target ? { group: target, access: null, moved } : null;
+    }
+
+    const alias = await this.#getKV().get(`token:${token}`, 'json');
+    if (!alias || !alias.group) return null;
+    const aliasGroup = await this.getGroup(alias.group);
+    const access = aliasGroup && (aliasGroup.accessTokens || []).find(a => a.token === token);
+    if (!access) return null; // 组已删除或令牌已移除
+    return { group: aliasGroup, access };
+  }
+
+  /**
+   * 查找访问令牌当前归属的订阅组 token
+   * @param {string} token - 访问令牌
+   * @returns {Promise<string|null>}
+   */
+  static async getAccessTokenOwner(token) {
+    const alias = await this.#getKV().get(`token:${token}`, 'json');
+    return alias ? alias.group : null;
   }
 
   static async getAllGroups() {
@@ -40,6 +100,10 @@ export class KVService {
     return groups.filter(Boolean); // 过滤掉可能已删除但索引未清理的 null 项
   }
 
+  /**
+   * 保存订阅组，每次保存递增组的 revision (用于管理 API 的 ETag / If-Match 并发检查)
+   * @param {object} groupData - 订阅组，保存后 revision 字段会被更新
+   */
   static async saveGroup(groupData) {
     const kv = this.#getKV();
     const token = groupData.token;
@@ -52,10 +116,344 @@ export class KVService {
       await kv.put('groups:index', JSON.stringify(index));
     }
 
+    const oldGroup = await this.getGroup(token);
+    groupData.revision = (oldGroup && oldGroup.revision || 0) + 1;
+
+    // 同步访问令牌映射
+    const oldAliases = (oldGroup && oldGroup.accessTokens || []).map(a => a.token);
+    const newAliases = (groupData.accessTokens || []).map(a => a.token);
+    await Promise.all([
+      ...oldAliases.filter(t => !newAliases.includes(t)).map(t => kv.delete(`token:${t}`)),
+      ...newAliases.filter(t => !oldAliases.includes(t)).map(t => kv.put(`token:${t}`, JSON.stringify({ group: token }))),
+    ]);
+
     // 保存组数据
     return kv.put(`group:${token}`, JSON.stringify(groupData));
   }
 
+  /**
+   * 将订阅组移动到新的 token
+   * 访问统计、历史版本与到期提醒标记随组移动；previousTokens 中的旧 token 以带过期时间的记录保留在原来的 `group:` 键并留在索引中，
+   * 宽限期内仍可访问，到期后由 KV 自动删除，并由定时任务 (pruneGroupIndex) 从索引中移除。不再保留的旧 token 会被删除
+   * @param {string} oldToken - 当前 token
+   * @param {object} groupData - 使用新 token 的订阅组，previousTokens 为需要保留的旧 token
+   * @param {string[]} [dropped=[]] - 需要删除的其他旧 token (已过期或已撤销)
+   */
+  static async moveGroup(oldToken, groupData, dropped = []) {
+    const kv = this.#getKV();
+    const newToken = groupData.token;
+    // KV 要求过期时间至少在 60 秒之后，即将到期的旧 token 直接删除
+    const minExpiry = Date.now() + 60 * 1000;
+    const kept = (groupData.previousTokens || []).filter(p => Date.parse(p.expiresAt) >= minExpiry);
+    const expired = (groupData.previousTokens || []).filter(p => !kept.includes(p)).map(p => p.token);
+    groupData.previousTokens = kept;
+    await this.saveGroup(groupData);
+
+    for (const prefix of ['stats:', 'history:group:']) {
+      const value = await kv.get(`${prefix}${oldToken}`);
+      if (value !== null) await kv.put(`${prefix}${newToken}`, value);
+      await kv.delete(`${prefix}${oldToken}`);
+    }
+    // 到期提醒标记同样随组移动，否则更换 token 后会再次提醒；标记保留到到期后一天
+    const warned = await kv.get(`lifecycle:warned:${oldToken}`);
+    if (warned !== null) {
+      const ttl = Math.ceil((Date.parse(warned) + 24 * 60 * 60 * 1000 - Date.now()) / 1000);
+      if (ttl > 0) await kv.put(`lifecycle:warned:${newToken}`, warned, { expirationTtl: Math.max(60, ttl) });
+      await kv.delete(`lifecycle:warned:${oldToken}`);
+    }
+
+    // 所有保留的旧 token 都指向新 token，避免多次更换后形成转发链
+    for (const previous of kept) {
+      await this.#putMovedToken(kv, previous, newToken);
+    }
+    const removed = [...dropped, ...expired, ...(kept.some(p => p.token === oldToken) ? [] : [oldToken])];
+    await Promise.all(removed.map(token => kv.delete(`group:${token}`)));
+
+    const index = await kv.get('groups:index', 'json') || [];
+    const nextIndex = index.filter(token => !removed.includes(token));
+    if (nextIndex.length !== index.length) await kv.put('groups:index', JSON.stringify(nextIndex));
+  }
+
+  /**
+   * 为订阅组 previousTokens 中仍在宽限期内的旧 token 重新写入指向该组的记录并加入索引，用于恢复备份
+   * 已被其他订阅组使用的 token 保持不变，即将到期 (不足 60 秒) 的旧 token 不再写入
+   * @param {object} groupData - 订阅组
+   */
+  static async restoreMovedTokens(groupData) {
+    const kv = this.#getKV();
+    const minExpiry = Date.now() + 60 * 1000;
+    const restored = [];
+    for (const previous of groupData.previousTokens || []) {
+      if (!(Date.parse(previous.expiresAt) >= minExpiry)) continue;
+      const existing = await kv.get(`group:${previous.token}`, 'json');
+      if (existing && !existing.movedTo) continue;
+      await this.#putMovedToken(kv, previous, groupData.token);
+      restored.push(previous.token);
+    }
+    if (restored.length === 0) return;
+    const index = await kv.get('groups:index', 'json') || [];
+    const missing = restored.filter(token => !index.includes(token));
+    if (missing.length > 0) await kv.put('groups:index', JSON.stringify([...index, ...missing]));
+  }
+
+  static async #putMovedToken(kv, previous, newToken) {
+    return kv.put(`group:${previous.token}`, JSON.stringify({ ...previous, movedTo: newToken }), {
+      expiration: Math.floor(Date.parse(previous.expiresAt) / 1000),
+    });
+  }
+
+  /**
+   * 立即删除一个旧 token 记录并从索引中移除
+   * @param {string} token - 旧 token
+   */
+  static async deleteMovedToken(token) {
+    const kv = this.#getKV();
+    const moved = await kv.get(`group:${token}`, 'json');
+    if (moved && moved.movedTo) await kv.delete(`group:${token}`);
+    const index = await kv.get('groups:index', 'json') || [];
+    if (index.includes(token)) await kv.put('groups:index', JSON.stringify(index.filter(t => t !== token)));
+  }
+
+  /**
+   * 从订阅组索引中移除宽限期已过的旧 token，由定时任务调用
+   * 旧 token 的记录由 KV 自动过期，过期后只能通过订阅组的 previousTokens 识别；
+   * 已被新订阅组重新使用的 token 保持不变，移除前重新读取索引以缩小与并发保存之间的竞争窗口
+   * @returns {Promise<string[]>} 被移除的 token
+   */
+  static async pruneGroupIndex() {
+    const kv = this.#getKV();
+    const index = await kv.get('groups:index', 'json') || [];
+    const now = Date.now();
+    const records = new Map(await Promise.all(index.map(async token => [token, await kv.get(`group:${token}`, 'json')])));
+
+    const expired = new Set();
+    for (const [token, record] of records) {
+      if (!record) continue;
+      // KV 的过期清理可能有延迟，按记录中的到期时间判断
+      if (record.movedTo && !(Date.parse(record.expiresAt) > now)) expired.add(token);
+      for (const previous of record.previousTokens || []) {
+        if (!(Date.parse(previous.expiresAt) > now)) expired.add(previous.token);
+      }
+    }
+    const removed = index.filter(token => expired.has(token) && !(records.get(token) && !records.get(token).movedTo));
+    if (removed.length === 0) return removed;
+
+    const current = await kv.get('groups:index', 'json') || [];
+    await kv.put('groups:index', JSON.stringify(current.filter(token => !removed.includes(token))));
+    await Promise.all(removed.filter(token => records.get(token)).map(token => kv.delete(`group:${token}`)));
+    return removed;
+  }
+
+  /**
+   * 根据实际存在的 `group:` 键重建订阅组索引
+   * 索引由 saveGroup 读改写维护，并发保存时可能丢失或残留条目；已有条目保持原有顺序，遗漏的组追加到末尾
+   * @param {object} [options]
+   * @param {boolean} [options.dryRun=false] - 只计算差异，不写入索引
+   * @returns {Promise<{added: string[], removed: string[], total: number}>}
+   */
+  static async rebuildGroupIndex({ dryRun = false } = {}) {
+    const kv = this.#getKV();
+    const tokens = [];
+    let cursor;
+    do {
+      const page = await kv.list({ prefix: 'group:', cursor });
+      tokens.push(...page.keys.map(key => key.name.slice('group:'.length)));
+      cursor = page.list_complete ? undefined : page.cursor;
+    } while (cursor);
+
+    const existing = new Set(tokens);
+    const stored = await kv.get('groups:index', 'json');
+    const index = Array.isArray(stored) ? stored : [];
+    const kept = [...new Set(index)].filter(token => existing.has(token));
+    const added = tokens.filter(token => !kept.includes(token));
+    const removed = index.filter(token => !existing.has(token));
+    const rebuilt = [...kept, ...added];
+
+    if (!dryRun && JSON.stringify(rebuilt) !== JSON.stringify(stored)) {
+      await kv.put('groups:index', JSON.stringify(rebuilt));
+    }
+    return { added, removed, total: rebuilt.length };
+  }
+
+  /**
+   * 读取上游订阅缓存
+   * @param {string} url - 订阅地址
+   * @returns {Promise<{url: string, content: string, userinfo: object|null, fetchedAt: number}|null>}
+   */
+  static async getSourceCache(url) {
+    return this.#getKV().get(`cache:source:${await sha256Hex(url)}`, 'json');
+  }
+
+  /**
+   * 写入上游订阅缓存
+   * @param {string} url - 订阅地址
+   * @param {object} entry - 缓存内容
+   * @param {number} ttl - 保留时间 (秒)
+   */
+  static async putSourceCache(url, entry, ttl) {
+    const { content, userinfo, fetchedAt } = entry;
+    return this.#getKV().put(
+      `cache:source:${await sha256Hex(url)}`,
+      JSON.stringify({ url, content, userinfo, fetchedAt }),
+      { expirationTtl: Math.max(60, ttl) } // KV 要求至少 60 秒
+    );
+  }
+
+  static async getSourceHealth(url) {
+    return this.#getKV().get(`health:source:${await sha256Hex(url)}`, 'json');
+  }
+
+  static async putSourceHealth(url, health) {
+    return this.#getKV().put(`health:source:${await sha256Hex(url)}`, JSON.stringify(health));
+  }
+
+  /**
+   * 读取管理员账户列表
+   * @returns {Promise<{username: string, role: string, passwordHash: string, createdAt: string}[]>}
+   */
+  static async getAdminUsers() {
+    return await this.#getKV().get('admin:users', 'json') || [];
+  }
+
+  static async saveAdminUsers(users) {
+    return this.#getKV().put('admin:users', JSON.stringify(users));
+  }
+
+  /**
+   * 读取管理 API 令牌列表 (只保存令牌的哈希)
+   * @returns {Promise<{id: string, name: string, scope: string, tokenHash: string, prefix: string, expiresAt: string}[]>} 最近使用时间见 getApiTokenUsage
+   */
+  static async getApiTokens() {
+    return await this.#getKV().get('admin:api-tokens', 'json') || [];
+  }
+
+  static async saveApiTokens(tokens) {
+    return this.#getKV().put('admin:api-tokens', JSON.stringify(tokens));
+  }
+
+  /**
+   * 读取 API 令牌的最近使用时间 (与令牌列表分开保存)
+   * @param {string} id - 令牌 ID
+   * @returns {Promise<string|null>}
+   */
+  static async getApiTokenUsage(id) {
+    return this.#getKV().get(`api-token:used:${id}`, 'text');
+  }
+
+  static async putApiTokenUsage(id, lastUsedAt) {
+    return this.#getKV().put(`api-token:used:${id}`, lastUsedAt);
+  }
+
+  static async deleteApiTokenUsage(id) {
+    return this.#getKV().delete(`api-token:used:${id}`);
+  }
+
+  /**
+   * 读取账户的两步验证设置
+   * @param {string|null} username - 管理员账户名，null 表示全局管理员密码
+   * @returns {Promise<{secret: string, enabled: boolean, lastStep: number, recoveryCodes: string[]}|null>}
+   */
+  static async getTotp(username) {
+    return this.#getKV().get(this.#totpKey(username), 'json');
+  }
+
+  static async putTotp(username, totp) {
+    return this.#getKV().put(this.#totpKey(username), JSON.stringify(totp));
+  }
+
+  static async deleteTotp(username) {
+    return this.#getKV().delete(this.#totpKey(username));
+  }
+
+  static #totpKey(username) {
+    return username ? `admin:totp:user:${username}` : 'admin:totp';
+  }
+
+  static async getStats(token) {
+    return this.#getKV().get(`stats:${token}`, 'json');
+  }
+
+  static async putStats(token, stats) {
+    return this.#getKV().put(`stats:${token}`, JSON.stringify(stats));
+  }
+
+  /**
+   * 写入一批访问记录，键名以毫秒时间戳开头
+   * @param {object[]} hits - 访问记录，group 为订阅组 token
+   * @param {number} ttl - 保留时间 (秒)
+   */
+  static async putStatsBatch(hits, ttl) {
+    const id = Array.from(crypto.getRandomValues(new Uint8Array(4)), b => b.toString(16).padStart(2, '0')).join('');
+    const key = `stats-batch:${String(Date.now()).padStart(13, '0')}-${id}`;
+    return this.#getKV().put(key, JSON.stringify(hits), { expirationTtl: Math.max(60, ttl) });
+  }
+
+  /**
+   * 列出所有未合并的访问记录批次
+   * @returns {Promise<string[]>} 批次的键名
+   */
+  static async listStatsBatches() {
+    const kv = this.#getKV();
+    const keys = [];
+    let cursor;
+    do {
+      const page = await kv.list({ prefix: 'stats-batch:', cursor });
+      keys.push(...page.keys.map(key => key.name));
+      cursor = page.list_complete ? undefined : page.cursor;
+    } while (cursor);
+    return keys;
+  }
+
+  static async getStatsBatch(key) {
+    return this.#getKV().get(key, 'json');
+  }
+
+  static async deleteStatsBatches(keys) {
+    const kv = this.#getKV();
+    await Promise.all(keys.map(key => kv.delete(key)));
+  }
+
+  /**
+   * 登记 subconverter 回访地址的一次性随机数，已登记过时返回 false
+   * KV 为最终一致，同一地址在不同地区的并发重放仍可能各通过一次，随机数随签名在 ttl 后失效
+   * @param {string} nonce - 回访地址中的随机数
+   * @param {number} ttl - 保留时间 (秒)
+   * @returns {Promise<boolean>}
+   */
+  static async claimCallbackNonce(nonce, ttl) {
+    const kv = this.#getKV();
+    const key = `callback:used:${nonce}`;
+    if (await kv.get(key) !== null) return false;
+    await kv.put(key, '1', { expirationTtl: Math.max(60, ttl) });
+    return true;
+  }
+
+  /**
+   * 读取已发送过到期提醒的到期时间，用于避免定时任务重复提醒
+   * @param {string} token - 订阅组 token
+   * @returns {Promise<string|null>}
+   */
+  static async getExpiryWarning(token) {
+    return this.#getKV().get(`lifecycle:warned:${token}`);
+  }
+
+  static async putExpiryWarning(token, expiresAt, ttl) {
+    return this.#getKV().put(`lifecycle:warned:${token}`, expiresAt, { expirationTtl: Math.max(60, ttl) });
+  }
+
+  /**
+   * 读取历史版本列表 (按时间倒序)
+   * @param {string} key - 历史记录标识，如 `group:<token>` 或 `config`
+   * @returns {Promise<{id: string, at: string|null, author: string|null, data: object}[]|null>}
+   */
+  static async getHistory(key) {
+    return this.#getKV().get(`history:${key}`, 'json');
+  }
+
+  static async putHistory(key, revisions) {
+    return this.#getKV().put(`history:${key}`, JSON.stringify(revisions));
+  }
+
   static async deleteGroup(token) {
     const kv = this.#getKV();
     
@@ -64,7 +462,22 @@ export class KVService {
     index = index.filter(t => t !== token);
     await kv.put('groups:index', JSON.stringify(index));
 
-    // 删除组数据
+    // 删除访问令牌映射
+    const group = await this.getGroup(token);
+    await Promise.all((group && group.accessTokens || []).map(a => kv.delete(`token:${a.token}`)));
+
+    // 删除宽限期内的旧 token
+    const previousTokens = (group && group.previousTokens || []).map(p => p.token);
+    if (previousTokens.length) {
+      index = index.filter(t => !previousTokens.includes(t));
+      await kv.put('groups:index', JSON.stringify(index));
+      await Promise.all(previousTokens.map(t => kv.delete(`group:${t}`)));
+    }
+
+    // 删除访问统计、历史版本与组数据
+    await kv.delete(`stats:${token}`);
+    await kv.delete(`history:group:${token}`);
+    await kv.delete(`lifecycle:warned:${token}`);
     return kv.delete(`group:${token}`);
   }
 }
\ No newline at end of file
@@ -0,0 +1,72 @@
+import { ConfigService } from './config.js';
+import { KVService } from './kv.js';
+
+// 订阅组的生命周期状态
+export const GROUP_STATUS = {
+  ACTIVE: 'active',
+  DISABLED: 'disabled',
+  SCHEDULED: 'scheduled', // 尚未到生效时间
+  EXPIRED: 'expired',
+};
+
+// 到期后的处理方式，inherit 表示使用全局设置
+export const EXPIRED_ACTIONS = ['camouflage', 'notice'];
+
+const DAY = 86400000;
+
+export class LifecycleService {
+  /**
+   * 计算订阅组当前的生命周期状态
+   * @param {object} group - 订阅组
+   * @param {number} [now] - 当前时间戳
+   * @returns {string} GROUP_STATUS 中的取值
+   */
+  static getStatus(group, now = Date.now()) {
+    if (group.enabled === false) return GROUP_STATUS.DISABLED;
+    if (group.activeFrom && Date.parse(group.activeFrom) > now) return GROUP_STATUS.SCHEDULED;
+    if (group.expiresAt && Date.parse(group.expiresAt) <= now) return GROUP_STATUS.EXPIRED;
+    return GROUP_STATUS.ACTIVE;
+  }
+
+  /**
+   * 订阅组到期后的处理方式
+   * @param {object} group - 订阅组
+   * @returns {string} camouflage | notice
+   */
+  static getExpiredAction(group) {
+    return EXPIRED_ACTIONS.includes(group.expiredAction)
+      ? group.expiredAction
+      : ConfigService.get('lifecycle').expiredAction;
+  }
+
+  /**
+   * 检查即将到期的订阅组并发送 Telegram 提醒，由定时任务调用
+   * 同一个到期时间只提醒一次，修改到期时间后会重新提醒
+   * @param {object} logger - 日志服务
+   * @returns {Promise<string[]>} 本次发出提醒的订阅组 token
+   */
+  static async warnExpiring(logger) {
+    const { warnDays } = ConfigService.get('lifecycle');
+    if (!warnDays) return [];
+
+    const now = Date.now();
+    const warned = [];
+    for (const group of await KVService.getAllGroups()) {
+      if (!group.expiresAt || this.getStatus(group, now) !== GROUP_STATUS.ACTIVE) continue;
+      const expiresAt = Date.parse(group.expiresAt);
+      if (expiresAt - now > warnDays * DAY) continue;
+      if (await KVService.getExpiryWarning(group.token) === group.expiresAt) continue;
+
+      logger.warn('Group expiring soon', {
+        GroupName: group.name,
+        Token: group.token,
+        ExpiresAt: group.expiresAt,
+        DaysLeft: Math.ceil((expiresAt - now) / DAY),
+      }, { notify: true });
+      // 标记保留到到期后一天，之后自动清理
+      await KVService.putExpiryWarning(group.token, group.expiresAt, Math.ceil((expiresAt - now + DAY) / 1000));
+      warned.push(group.token);
+    }
+    return warned;
+  }
+}
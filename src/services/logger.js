@@ -11,7 +11,7 @@ const logLevels = {
 
 export default class LoggerService {
   /**
-   * @param {Request} request 请求
+   * @param {Request|null} request 请求 (定时任务等无请求的场景传入 null)
    * @param {Env} env 环境变量
    * @param {ExecutionContext} ctx 执行上下文
    */
@@ -30,7 +30,7 @@ export default class LoggerService {
     }
     
     // 检查请求头以确定是否需要覆盖日志级别
-    const debugHeaderValue = request.headers.get('X-Debug-Log');
+    const debugHeaderValue = request?.headers.get('X-Debug-Log');
     const debugSecret = env.DEBUG_SECRET;
     this.debugOverride = debugSecret && debugHeaderValue === debugSecret;
   }
@@ -59,12 +59,12 @@ export default class LoggerService {
       message,
       // 自动为日志添加请求上下文
       context: {
-        requestId: this.request.headers.get('cf-request-id'),
-        url: this.request.url,
-        method: this.request.method,
-        colo: this.request.cf?.colo,
-        country: this.request.cf?.country,
-        region: this.request.cf?.region,
+        requestId: this.request?.headers.get('cf-request-id'),
+        url: this.request?.url,
+        method: this.request?.method,
+        colo: this.request?.cf?.colo,
+        country: this.request?.cf?.country,
+        region: this.request?.cf?.region,
       },
       // 合并任何提供的自定义数据
       ...data,
@@ -126,7 +126,7 @@ export default class LoggerService {
       `<b>${emoji} [${level}] ${message}</b>`,
       `Timestamp: ${logObject.timestamp}`,
       // `URL: ${context.url}`,
-      `IP: ${request.headers.get('cf-connecting-ip')|| 'N/A'}`,
+      `IP: ${request?.headers.get('cf-connecting-ip')|| 'N/A'}`,
       `Country: ${context.country} (${context.colo})`,
       `Region: ${context.region}`,
       details
@@ -0,0 +1,386 @@
+import { safeAtob, safeBtoa } from '../utils.js';
+
+/**
+ * 解析后的节点对象（与输出格式无关的中间表示）
+ * @typedef {object} ProxyNode
+ * @property {string} type - vmess | vless | trojan | ss | ssr | hysteria2 | tuic | wireguard
+ * @property {string} name - 节点名称
+ * @property {string} server - 服务器地址
+ * @property {number} port - 服务器端口
+ * @property {string} link - 原始分享链接
+ * @property {object} [tls] - TLS 设置 { enabled, sni, insecure, alpn, fingerprint, reality }
+ * @property {object} [transport] - 传输层设置 { type, path, host, serviceName }
+ */
+
+const SUPPORTED_PROTOCOLS = ['vmess', 'vless', 'trojan', 'ss', 'ssr', 'hysteria2', 'hy2', 'tuic', 'wireguard', 'wg'];
+
+/**
+ * 安全地进行 URI 解码，解码失败时返回原字符串
+ * @param {string} str - 待解码字符串
+ * @returns {string}
+ */
+function safeDecode(str) {
+  try {
+    return decodeURIComponent(str);
+  } catch (e) {
+    return str;
+  }
+}
+
+/**
+ * 去掉 IPv6 地址两侧的方括号
+ * @param {string} hostname - URL 中的 hostname
+ * @returns {string}
+ */
+function stripBrackets(hostname) {
+  return hostname.replace(/^\[(.*)\]$/, '$1');
+}
+
+/**
+ * UTF-8 安全的 Base64URL 编码 (无填充)，用于 ssr 链接
+ * @param {string} str - 待编码字符串
+ * @returns {string}
+ */
+function base64UrlEncode(str) {
+  return safeBtoa(str).replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+}
+
+function splitList(value) {
+  if (!value) return [];
+  return value.split(',').map(v => v.trim()).filter(Boolean);
+}
+
+function isTruthy(value) {
+  return value === '1' || value === 'true';
+}
+
+/**
+ * 从 URL 查询参数中解析 TLS 设置 (vless/trojan 等通用写法)
+ * @param {URLSearchParams} params - 查询参数
+ * @param {boolean} defaultEnabled - 未指定 security 时是否默认启用 TLS
+ * @returns {object}
+ */
+function parseTls(params, defaultEnabled) {
+  const security = params.get('security') || (defaultEnabled ? 'tls' : 'none');
+  const tls = {
+    enabled: security === 'tls' || security === 'reality' || security === 'xtls',
+    sni: params.get('sni') || params.get('peer') || '',
+    insecure: isTruthy(params.get('allowInsecure') || params.get('insecure') || params.get('allow_insecure')),
+    alpn: splitList(safeDecode(params.get('alpn') || '')),
+    fingerprint: params.get('fp') || '',
+    reality: null,
+  };
+  if (security === 'reality') {
+    tls.reality = {
+      publicKey: params.get('pbk') || '',
+      shortId: params.get('sid') || '',
+    };
+  }
+  return tls;
+}
+
+/**
+ * 从 URL 查询参数中解析传输层设置
+ * @param {URLSearchParams} params - 查询参数
+ * @returns {object}
+ */
+function parseTransport(params) {
+  return {
+    type: params.get('type') || 'tcp',
+    path: safeDecode(params.get('path') || ''),
+    host: safeDecode(params.get('host') || ''),
+    serviceName: safeDecode(params.get('serviceName') || ''),
+  };
+}
+
+/**
+ * 将分享链接解析为 URL 对象，并提取通用字段
+ * @param {string} link - 分享链接
+ * @returns {{ url: URL, server: string, port: number, name: string }}
+ */
+function parseUrlLink(link) {
+  const url = new URL(link);
+  const server = stripBrackets(url.hostname);
+  const port = parseInt(url.port, 10);
+  if (!server || !port) {
+    throw new Error('Missing server or port');
+  }
+  return { url, server, port, name: safeDecode(url.hash.slice(1)) };
+}
+
+const parsers = {
+  vmess(link) {
+    const data = JSON.parse(safeAtob(link.slice('vmess://'.length)));
+    const port = parseInt(data.port, 10);
+    if (!data.add || !port || !data.id) {
+      throw new Error('Missing vmess fields');
+    }
+    return {
+      type: 'vmess',
+      name: data.ps || '',
+      server: data.add,
+      port,
+      uuid: data.id,
+      alterId: parseInt(data.aid, 10) || 0,
+      cipher: data.scy || 'auto',
+      tls: {
+        enabled: data.tls === 'tls',
+        sni: data.sni || '',
+        insecure: false,
+        alpn: splitList(data.alpn || ''),
+        fingerprint: data.fp || '',
+        reality: null,
+      },
+      transport: {
+        type: data.net || 'tcp',
+        path: data.path || '',
+        host: data.host || '',
+        serviceName: data.net === 'grpc' ? (data.path || '') : '',
+      },
+    };
+  },
+
+  vless(link) {
+    const { url, server, port, name } = parseUrlLink(link);
+    return {
+      type: 'vless',
+      name,
+      server,
+      port,
+      uuid: safeDecode(url.username),
+      flow: url.searchParams.get('flow') || '',
+      tls: parseTls(url.searchParams, false),
+      transport: parseTransport(url.searchParams),
+    };
+  },
+
+  trojan(link) {
+    const { url, server, port, name } = parseUrlLink(link);
+    return {
+      type: 'trojan',
+      name,
+      server,
+      port,
+      password: safeDecode(url.username),
+      tls: parseTls(url.searchParams, true),
+      transport: parseTransport(url.searchParams),
+    };
+  },
+
+  ss(link) {
+    let body = link.slice('ss://'.length);
+    const hashIndex = body.indexOf('#');
+    const name = hashIndex >= 0 ? safeDecode(body.slice(hashIndex + 1)) : '';
+    if (hashIndex >= 0) body = body.slice(0, hashIndex);
+
+    // 旧格式: ss://base64(method:password@host:port)
+    if (!body.includes('@')) {
+      body = safeAtob(body.split(/[/?]/)[0]);
+    }
+
+    const url = new URL(`ss://${body}`);
+    const server = stripBrackets(url.hostname);
+    const port = parseInt(url.port, 10);
+    let userInfo = safeDecode(url.username);
+    if (url.password) {
+      userInfo = `${userInfo}:${safeDecode(url.password)}`;
+    } else if (!userInfo.includes(':')) {
+      // SIP002: userinfo 为 base64(method:password)
+      userInfo = safeAtob(userInfo);
+    }
+    const separator = userInfo.indexOf(':');
+    if (!server || !port || separator < 0) {
+      throw new Error('Missing ss fields');
+    }
+
+    const node = {
+      type: 'ss',
+      name,
+      server,
+      port,
+      cipher: userInfo.slice(0, separator),
+      password: userInfo.slice(separator + 1),
+    };
+    const plugin = url.searchParams.get('plugin');
+    if (plugin) {
+      const [pluginName, ...pluginOpts] = plugin.split(';');
+      node.plugin = pluginName;
+      node.pluginOpts = pluginOpts.join(';');
+    }
+    return node;
+  },
+
+  ssr(link) {
+    const decoded = safeAtob(link.slice('ssr://'.length));
+    const [main, query = ''] = decoded.split('/?');
+    // host 可能是 IPv6，所以从右往左取固定的 5 个字段
+    const parts = main.split(':');
+    if (parts.length < 6) {
+      throw new Error('Missing ssr fields');
+    }
+    const password = safeAtob(parts.pop());
+    const obfs = parts.pop();
+    const cipher = parts.pop();
+    const protocol = parts.pop();
+    const port = parseInt(parts.pop(), 10);
+    const server = stripBrackets(parts.join(':'));
+    const params = new URLSearchParams(query);
+    const decodeParam = key => (params.get(key) ? safeAtob(params.get(key)) : '');
+    return {
+      type: 'ssr',
+      name: decodeParam('remarks'),
+      server,
+      port,
+      cipher,
+      password,
+      protocol,
+      protocolParam: decodeParam('protoparam'),
+      obfs,
+      obfsParam: decodeParam('obfsparam'),
+    };
+  },
+
+  hysteria2(link) {
+    const { url, server, port, name } = parseUrlLink(link.replace(/^hy2:\/\//i, 'hysteria2://'));
+    const params = url.searchParams;
+    const tls = parseTls(params, true);
+    return {
+      type: 'hysteria2',
+      name,
+      server,
+      port,
+      password: safeDecode(url.password ? `${url.username}:${url.password}` : url.username),
+      obfs: params.get('obfs') || '',
+      obfsPassword: safeDecode(params.get('obfs-password') || ''),
+      ports: params.get('mport') || '',
+      up: params.get('up') || '',
+      down: params.get('down') || '',
+      tls,
+    };
+  },
+
+  tuic(link) {
+    const { url, server, port, name } = parseUrlLink(link);
+    const params = url.searchParams;
+    return {
+      type: 'tuic',
+      name,
+      server,
+      port,
+      uuid: safeDecode(url.username),
+      password: safeDecode(url.password),
+      congestionControl: params.get('congestion_control') || 'bbr',
+      udpRelayMode: params.get('udp_relay_mode') || 'native',
+      tls: parseTls(params, true),
+    };
+  },
+
+  wireguard(link) {
+    const { url, server, port, name } = parseUrlLink(link.replace(/^wg:\/\//i, 'wireguard://'));
+    const params = url.searchParams;
+    const addresses = splitList(safeDecode(params.get('address') || params.get('ip') || ''));
+    const ip = addresses.find(a => !a.includes(':')) || '';
+    const ipv6 = addresses.find(a => a.includes(':')) || '';
+    const reserved = splitList(safeDecode(params.get('reserved') || '')).map(n => parseInt(n, 10)).filter(n => !isNaN(n));
+    return {
+      type: 'wireguard',
+      name,
+      server,
+      port,
+      privateKey: safeDecode(url.username),
+      publicKey: safeDecode(params.get('publickey') || params.get('publicKey') || ''),
+      preSharedKey: safeDecode(params.get('presharedkey') || params.get('preSharedKey') || ''),
+      ip: ip.split('/')[0],
+      ipv6: ipv6.split('/')[0],
+      reserved,
+      mtu: parseInt(params.get('mtu'), 10) || 1280,
+    };
+  },
+};
+
+export class ParserService {
+  /**
+   * 解析单条分享链接
+   * @param {string} link - 分享链接，如 vmess://...
+   * @returns {ProxyNode|null} 解析失败或协议不支持时返回 null
+   */
+  static parseLink(link) {
+    const trimmed = (link || '').trim();
+    const match = trimmed.match(/^([a-z0-9]+):\/\//i);
+    if (!match) return null;
+
+    const protocol = match[1].toLowerCase();
+    if (!SUPPORTED_PROTOCOLS.includes(protocol)) return null;
+
+    const parser = parsers[{ hy2: 'hysteria2', wg: 'wireguard' }[protocol] || protocol];
+    try {
+      const node = parser(trimmed);
+      node.name = node.name || `${node.server}:${node.port}`;
+      node.link = trimmed;
+      return node;
+    } catch (e) {
+      return null;
+    }
+  }
+
+  /**
+   * 解析多行分享链接，跳过无法识别的行
+   * @param {string} content - 每行一个分享链接
+   * @returns {ProxyNode[]}
+   */
+  static parse(content) {
+    return (content || '').split('\n')
+      .map(line => this.parseLink(line))
+      .filter(Boolean);
+  }
+
+  /**
+   * 修改分享链接中的节点名称
+   * vmess 修改 base64 JSON 中的 ps，ssr 修改 remarks 参数，其余协议修改 URI fragment
+   * @param {string} link - 分享链接
+   * @param {string} name - 新名称
+   * @returns {string} 新的分享链接，无法修改时返回原链接
+   */
+  static setName(link, name) {
+    const trimmed = (link || '').trim();
+    const protocol = (trimmed.match(/^([a-z0-9]+):\/\//i) || [])[1]?.toLowerCase();
+    try {
+      if (protocol === 'vmess') {
+        const data = JSON.parse(safeAtob(trimmed.slice('vmess://'.length)));
+        data.ps = name;
+        return `vmess://${safeBtoa(JSON.stringify(data))}`;
+      }
+      if (protocol === 'ssr') {
+        const decoded = safeAtob(trimmed.slice('ssr://'.length));
+        const [main, query = ''] = decoded.split('/?');
+        const params = new URLSearchParams(query);
+        params.set('remarks', base64UrlEncode(name));
+        return `ssr://${base64UrlEncode(`${main}/?${params.toString()}`)}`;
+      }
+      if (SUPPORTED_PROTOCOLS.includes(protocol)) {
+        return `${trimmed.split('#')[0]}#${encodeURIComponent(name)}`;
+      }
+    } catch (e) {
+      return trimmed;
+    }
+    return trimmed;
+  }
+
+  /**
+   * 保证节点名称唯一 (Clash/Sing-box 均要求名称不可重复)
+   * @param {ProxyNode[]} nodes - 节点列表
+   * @returns {ProxyNode[]} 原数组 (名称已就地修改)
+   */
+  static uniqueNames(nodes) {
+    const seen = new Set();
+    for (const node of nodes) {
+      let name = node.name;
+      for (let i = 2; seen.has(name); i++) {
+        name = `${node.name} ${i}`;
+      }
+      node.name = name;
+      seen.add(name);
+    }
+    return nodes;
+  }
+}
@@ -0,0 +1,72 @@
+import { ConfigService } from './config.js';
+import { ipInCidr } from '../utils.js';
+
+// 拒绝访问时的处理方式
+// camouflage: 返回伪装页面 (404，与不存在的 token 相同); forbidden: 返回伪装页面 (403); decoy: 返回不含任何节点的订阅
+export const POLICY_ACTIONS = ['camouflage', 'forbidden', 'decoy'];
+
+// 不限制任何来源的策略
+const OPEN_POLICY = { allowCountries: [], denyCountries: [], allowAsns: [], denyAsns: [] };
+
+const normalizeCountries = list => (list || []).map(code => String(code).toUpperCase());
+const normalizeAsns = list => (list || []).map(Number);
+
+export class PolicyService {
+  /**
+   * 确定订阅组实际使用的访问策略
+   * 旧版订阅组的 allowChinaAccess 为 true 且未配置策略时视为不限制来源，否则跟随全局设置
+   * @param {object} group - 订阅组
+   * @returns {{allowCountries: string[], denyCountries: string[], allowAsns: number[], denyAsns: number[], action: string}}
+   */
+  static resolve(group) {
+    const globalPolicy = ConfigService.get('accessPolicy');
+    const groupPolicy = group.accessPolicy;
+    let policy = globalPolicy;
+    if (groupPolicy && groupPolicy.mode === 'custom') {
+      policy = groupPolicy;
+    } else if (!groupPolicy && group.allowChinaAccess) {
+      policy = { ...OPEN_POLICY, action: globalPolicy.action };
+    }
+    return {
+      allowCountries: normalizeCountries(policy.allowCountries),
+      denyCountries: normalizeCountries(policy.denyCountries),
+      allowAsns: normalizeAsns(policy.allowAsns),
+      denyAsns: normalizeAsns(policy.denyAsns),
+      action: POLICY_ACTIONS.includes(policy.action) ? policy.action : globalPolicy.action,
+    };
+  }
+
+  /**
+   * 按访问策略检查请求来源
+   * 先检查拒绝列表，再检查允许列表；允许列表非空时来源必须在列表中，国家/地区与 ASN 的允许列表需同时满足
+   * 无法识别国家/地区 (XX) 或 ASN 的请求不会命中任何列表
+   * @param {object} group - 订阅组
+   * @param {Request} request - 原始请求
+   * @returns {{allowed: boolean, reason: string|null, action: string, country: string, asn: number|null}}
+   */
+  static evaluate(group, request) {
+    const policy = this.resolve(group);
+    const country = request.cf?.country || 'XX';
+    const asn = Number(request.cf?.asn) || null;
+
+    let reason = null;
+    if (asn && policy.denyAsns.includes(asn)) reason = 'asn-denied';
+    else if (policy.denyCountries.includes(country)) reason = 'country-denied';
+    else if (policy.allowCountries.length > 0 && !policy.allowCountries.includes(country)) reason = 'country-not-allowed';
+    else if (policy.allowAsns.length > 0 && !policy.allowAsns.includes(asn)) reason = 'asn-not-allowed';
+
+    return { allowed: !reason, reason, action: policy.action, country, asn };
+  }
+
+  /**
+   * 检查客户端 IP 是否在订阅组的 IP 白名单中，未配置白名单时不限制
+   * @param {object} group - 订阅组
+   * @param {string|null} ip - 客户端 IP
+   * @returns {boolean}
+   */
+  static isIpAllowed(group, ip) {
+    const allowlist = group.ipAllowlist || [];
+    if (allowlist.length === 0) return true;
+    return Boolean(ip) && allowlist.some(cidr => ipInCidr(ip, cidr));
+  }
+}
@@ -0,0 +1,42 @@
+import { ConfigService } from './config.js';
+import { KVService } from './kv.js';
+
+// 超出限制时的处理方式，reject: 返回 429; camouflage: 返回伪装页面 (404)
+export const RATE_LIMIT_ACTIONS = ['reject', 'camouflage'];
+
+// 可限流的维度，对应配置中的 <kind>Limit 与 <kind>Window
+export const RATE_LIMIT_KINDS = ['token', 'ip'];
+
+export class RateLimitService {
+  /**
+   * 记录一次访问并判断是否超出限制 (固定时间窗口)
+   * 计数按窗口保存在 KV 中并自动过期，全球共享；并发访问时为读改写，且其他地区最多延迟约 60 秒可见，计数为近似值
+   * 超出限制后不再写入计数，避免被刷时放大 KV 写入；KV 读写失败 (如超出写入配额) 时放行请求
+   * @param {string} kind - token | ip
+   * @param {string} id - 请求中的 token 或客户端 IP
+   * @param {object} logger - 日志服务
+   * @returns {Promise<{allowed: boolean, count: number, limit: number, window: number, retryAfter: number, firstBreach: boolean}|null>} 未启用、该维度不限制或计数失败时返回 null
+   */
+  static async hit(kind, id, logger) {
+    const config = ConfigService.get('rateLimit');
+    const limit = config[`${kind}Limit`];
+    const window = config[`${kind}Window`];
+    if (!config.enabled || !limit || !window) return null;
+
+    const now = Date.now() / 1000;
+    const slot = Math.floor(now / window);
+    const key = `ratelimit:${kind}:${id}:${slot}`;
+    const retryAfter = Math.max(1, Math.ceil((slot + 1) * window - now));
+    try {
+      const count = (Number(await KVService.get(key, 'text')) || 0) + 1;
+      if (count <= limit + 1) {
+        // KV 过期时间至少 60 秒
+        await KVService.put(key, String(count), { expirationTtl: Math.max(60, retryAfter) });
+      }
+      return { allowed: count <= limit, count, limit, window, retryAfter, firstBreach: count === limit + 1 };
+    } catch (err) {
+      logger.error(err, { customMessage: 'Rate limit counter unavailable, request allowed', Kind: kind });
+      return null;
+    }
+  }
+}
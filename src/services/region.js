@@ -0,0 +1,118 @@
+import { ipInCidr } from '../utils.js';
+
+// 地区表：code 为 ISO 3166-1 代码，keywords 用于从节点名称中识别地区
+const REGIONS = [
+  { code: 'HK', name: '香港', keywords: ['香港', 'Hong Kong', 'HongKong', 'HKG'] },
+  { code: 'TW', name: '台湾', keywords: ['台湾', '台灣', '臺灣', 'Taiwan', 'TPE'] },
+  { code: 'MO', name: '澳门', keywords: ['澳门', '澳門', 'Macao', 'Macau'] },
+  { code: 'JP', name: '日本', keywords: ['日本', '东京', '東京', '大阪', 'Japan', 'Tokyo', 'Osaka', 'NRT'] },
+  { code: 'KR', name: '韩国', keywords: ['韩国', '韓國', '首尔', '首爾', 'Korea', 'Seoul', 'ICN'] },
+  { code: 'SG', name: '新加坡', keywords: ['新加坡', '狮城', 'Singapore', 'SIN'] },
+  { code: 'US', name: '美国', keywords: ['美国', '美國', '洛杉矶', '圣何塞', '硅谷', '纽约', 'United States', 'America', 'Los Angeles', 'San Jose', 'Seattle', 'New York', 'LAX', 'SJC'] },
+  { code: 'GB', name: '英国', keywords: ['英国', '英國', '伦敦', 'United Kingdom', 'Britain', 'London', 'UK'] },
+  { code: 'DE', name: '德国', keywords: ['德国', '德國', '法兰克福', 'Germany', 'Frankfurt', 'FRA'] },
+  { code: 'FR', name: '法国', keywords: ['法国', '法國', '巴黎', 'France', 'Paris'] },
+  { code: 'NL', name: '荷兰', keywords: ['荷兰', '荷蘭', '阿姆斯特丹', 'Netherlands', 'Amsterdam'] },
+  { code: 'RU', name: '俄罗斯', keywords: ['俄罗斯', '俄羅斯', '莫斯科', 'Russia', 'Moscow'] },
+  { code: 'CA', name: '加拿大', keywords: ['加拿大', 'Canada', 'Toronto', 'Vancouver'] },
+  { code: 'AU', name: '澳大利亚', keywords: ['澳大利亚', '澳洲', '悉尼', 'Australia', 'Sydney'] },
+  { code: 'IN', name: '印度', keywords: ['印度', 'India', 'Mumbai'] },
+  { code: 'TR', name: '土耳其', keywords: ['土耳其', 'Turkey', 'Türkiye', 'Istanbul'] },
+  { code: 'MY', name: '马来西亚', keywords: ['马来西亚', '馬來西亞', 'Malaysia'] },
+  { code: 'TH', name: '泰国', keywords: ['泰国', '泰國', 'Thailand', 'Bangkok'] },
+  { code: 'VN', name: '越南', keywords: ['越南', 'Vietnam'] },
+  { code: 'PH', name: '菲律宾', keywords: ['菲律宾', '菲律賓', 'Philippines'] },
+  { code: 'ID', name: '印度尼西亚', keywords: ['印尼', '印度尼西亚', 'Indonesia', 'Jakarta'] },
+  { code: 'AR', name: '阿根廷', keywords: ['阿根廷', 'Argentina'] },
+  { code: 'BR', name: '巴西', keywords: ['巴西', 'Brazil'] },
+  { code: 'CN', name: '中国', keywords: ['中国', '中國', '回国', 'China'] },
+];
+
+export const UNKNOWN_REGION = { code: 'XX', name: '未知', flag: '' };
+
+/**
+ * 根据两位地区代码生成国旗 emoji
+ * @param {string} code - ISO 3166-1 alpha-2 代码
+ * @returns {string}
+ */
+function codeToFlag(code) {
+  return String.fromCodePoint(...code.toUpperCase().split('').map(c => 0x1F1E6 + c.charCodeAt(0) - 65));
+}
+
+function escapeRegExp(str) {
+  return str.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+// 预编译：中文关键词直接匹配；英文关键词按单词边界匹配，两位代码区分大小写
+const COMPILED_REGIONS = REGIONS.map(region => {
+  const flag = codeToFlag(region.code);
+  const cjk = region.keywords.filter(k => /[^\x00-\x7F]/.test(k));
+  const latin = region.keywords.filter(k => !/[^\x00-\x7F]/.test(k));
+  const patterns = [];
+  if (cjk.length) patterns.push(new RegExp(cjk.map(escapeRegExp).join('|')));
+  if (latin.length) patterns.push(new RegExp(`(^|[^A-Za-z])(${latin.map(escapeRegExp).join('|')})(?![A-Za-z])`, 'i'));
+  patterns.push(new RegExp(`(^|[^A-Za-z])${region.code}(?![A-Za-z])`));
+  return { code: region.code, name: region.name, flag, patterns };
+});
+
+export class RegionService {
+  /**
+   * 通过代码获取地区信息
+   * @param {string} code - 地区代码
+   * @returns {{code: string, name: string, flag: string}|null}
+   */
+  static get(code) {
+    const upper = String(code || '').toUpperCase();
+    const region = COMPILED_REGIONS.find(r => r.code === upper);
+    if (region) return { code: region.code, name: region.name, flag: region.flag };
+    return /^[A-Z]{2}$/.test(upper) && upper !== UNKNOWN_REGION.code
+      ? { code: upper, name: upper, flag: codeToFlag(upper) }
+      : null;
+  }
+
+  /**
+   * 解析 IP 地区映射，每行形如 `1.2.3.0/24 = JP`
+   * @param {string[]|string} lines - 映射规则
+   * @returns {{cidr: string, code: string}[]}
+   */
+  static parseIpRegions(lines) {
+    const list = Array.isArray(lines) ? lines : String(lines || '').split('\n');
+    return list
+      .map(line => line.split('='))
+      .filter(parts => parts.length === 2 && parts[0].trim() && parts[1].trim())
+      .map(([cidr, code]) => ({ cidr: cidr.trim(), code: code.trim().toUpperCase() }));
+  }
+
+  /**
+   * 识别节点所属地区
+   * 依次尝试：名称中的国旗 emoji → 名称关键词 → 服务器 IP 映射 → 服务器域名后缀
+   * @param {{name: string, server: string}} node - 节点
+   * @param {{cidr: string, code: string}[]} [ipRegions=[]] - IP 地区映射
+   * @returns {{code: string, name: string, flag: string}} 无法识别时返回 UNKNOWN_REGION
+   */
+  static detect(node, ipRegions = []) {
+    const name = node.name || '';
+
+    const flagMatch = name.match(/[\u{1F1E6}-\u{1F1FF}]{2}/u);
+    if (flagMatch) {
+      const code = [...flagMatch[0]].map(c => String.fromCharCode(c.codePointAt(0) - 0x1F1E6 + 65)).join('');
+      const region = this.get(code === 'UK' ? 'GB' : code);
+      if (region) return region;
+    }
+
+    const byKeyword = COMPILED_REGIONS.find(r => r.patterns.some(p => p.test(name)));
+    if (byKeyword) return this.get(byKeyword.code);
+
+    const server = node.server || '';
+    const byIp = ipRegions.find(entry => ipInCidr(server, entry.cidr));
+    if (byIp) return this.get(byIp.code) || UNKNOWN_REGION;
+
+    const tld = server.match(/\.([a-z]{2})$/i);
+    if (tld) {
+      const region = COMPILED_REGIONS.find(r => r.code === (tld[1].toUpperCase() === 'UK' ? 'GB' : tld[1].toUpperCase()));
+      if (region) return this.get(region.code);
+    }
+
+    return UNKNOWN_REGION;
+  }
+}
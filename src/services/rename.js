@@ -0,0 +1,94 @@
+import { ParserService } from './parser.js';
+import { RegionService, UNKNOWN_REGION } from './region.js';
+
+/**
+ * 解析一条替换规则，形如 `/pattern/flags => replacement` 或 `text => replacement`
+ * @param {string} rule - 规则
+ * @returns {{pattern: RegExp|string, replacement: string}|null} 空规则返回 null
+ * @throws {SyntaxError} 正则无法编译时抛出
+ */
+export function parseRenameRule(rule) {
+  const separator = rule.lastIndexOf('=>');
+  const source = (separator >= 0 ? rule.slice(0, separator) : rule).trim();
+  const replacement = separator >= 0 ? rule.slice(separator + 2).trim() : '';
+  if (!source) return null;
+
+  const match = source.match(/^\/(.*)\/([gimsuy]*)$/);
+  if (!match) return { pattern: source, replacement };
+  return { pattern: new RegExp(match[1], match[2]), replacement };
+}
+
+/**
+ * 解析替换规则列表，无法编译的正则会被忽略
+ * @param {string[]} rules - 规则列表
+ * @returns {{pattern: RegExp|string, replacement: string}[]}
+ */
+function compileRules(rules) {
+  return (rules || []).map(rule => {
+    try {
+      return parseRenameRule(rule);
+    } catch (e) {
+      return null;
+    }
+  }).filter(Boolean);
+}
+
+/**
+ * 渲染前缀/后缀模板
+ * @param {string} template - 模板，如 `{group}-{region}-{index}`
+ * @param {object} vars - 模板变量
+ * @returns {string}
+ */
+function renderTemplate(template, vars) {
+  return (template || '').replace(/\{(\w+)\}/g, (whole, key) => (key in vars ? vars[key] : whole));
+}
+
+export class RenameService {
+  /**
+   * 按订阅组的重命名配置重写节点名称
+   * 处理顺序：查找替换 → 前缀/后缀模板 → 插入国旗 emoji
+   * 模板变量：{group} 组名、{name} 替换后的名称、{region} 地区代码、{regionName} 地区名、
+   * {flag} 国旗、{protocol} 协议、{index} 同一地区内的序号 (两位数字)
+   * @param {string} content - 每行一个的原生节点
+   * @param {object} group - 订阅组
+   * @returns {string} 重命名后的节点
+   */
+  static apply(content, group) {
+    const renameConfig = group.rename;
+    if (!renameConfig || !renameConfig.enabled) return content;
+
+    const rules = compileRules(renameConfig.rules);
+    const ipRegions = RegionService.parseIpRegions(renameConfig.ipRegions);
+    const counters = new Map();
+
+    return content.split('\n').map(line => {
+      if (!line.trim()) return line;
+      const node = ParserService.parseLink(line);
+      if (!node) return line;
+
+      // 地区识别基于原始名称，避免查找替换删掉了地区关键词
+      const region = RegionService.detect(node, ipRegions);
+      const index = (counters.get(region.code) || 0) + 1;
+      counters.set(region.code, index);
+
+      let name = rules.reduce((acc, rule) => (typeof rule.pattern === 'string'
+        ? acc.split(rule.pattern).join(rule.replacement)
+        : acc.replace(rule.pattern, rule.replacement)), node.name).trim();
+      const vars = {
+        group: group.name || '',
+        name,
+        region: region.code,
+        regionName: region.name,
+        flag: region.flag,
+        protocol: node.type,
+        index: String(index).padStart(2, '0'),
+      };
+      name = `${renderTemplate(renameConfig.prefix, vars)}${name}${renderTemplate(renameConfig.suffix, vars)}`.trim();
+
+      if (renameConfig.emoji && region !== UNKNOWN_REGION && !name.includes(region.flag)) {
+        name = `${region.flag} ${name}`;
+      }
+      return ParserService.setName(line, name || node.name);
+    }).join('\n');
+  }
+}
@@ -0,0 +1,417 @@
+import { compileRegex, FILTER_FIELDS, FILTER_OPERATORS } from './filter.js';
+import { parseRenameRule } from './rename.js';
+import { EXPIRED_ACTIONS } from './lifecycle.js';
+import { POLICY_ACTIONS } from './policy.js';
+import { RATE_LIMIT_ACTIONS } from './ratelimit.js';
+import { BOT_SIGNALS } from './bot.js';
+import { ipInCidr } from '../utils.js';
+
+/*
+ * 声明式校验规则，每个节点描述一个取值：
+ *   type      - string | number | integer | boolean | array | object，可为数组表示允许多种类型
+ *   nullable  - 允许 null
+ *   enum      - 允许的取值
+ *   min / max - 数字范围；maxLength 字符串长度
+ *   required  - 对象中必须存在的字段
+ *   format    - 字符串的附加格式检查，见 FORMATS
+ *   items / properties - 数组元素与对象字段的规则
+ *   check     - 自定义检查 (value) => [相对路径, 错误信息] | null
+ * 对象中未声明的字段不做检查，兼容旧版本保存的数据
+ */
+
+// User-Agent 规则在每个订阅请求中执行，限制长度
+const UA_PATTERN_MAX_LENGTH = 200;
+
+// 字符串格式检查，返回错误信息或 null
+const FORMATS = {
+  // 正则规则，支持 /pattern/flags 与裸正则两种写法
+  regex(value) {
+    try {
+      compileRegex(value);
+      return null;
+    } catch (e) {
+      return e.message;
+    }
+  },
+  // User-Agent 正则规则，拒绝 (a+)+ 这类嵌套量词，避免恶意 User-Agent 触发灾难性回溯
+  uaPattern(value) {
+    // 去掉转义字符后，右括号前后都紧跟量词时视为嵌套量词
+    if (/[+*?}]\)+[+*{]/.test(value.replace(/\\./g, ''))) return 'Nested quantifiers are not allowed';
+    return FORMATS.regex(value);
+  },
+  // 重命名规则 `/pattern/flags => replacement` 或 `text => replacement`
+  renameRule(value) {
+    try {
+      parseRenameRule(value);
+      return null;
+    } catch (e) {
+      return e.message;
+    }
+  },
+  // IP 地区映射 `CIDR=地区代码`
+  ipRegion(value) {
+    const parts = value.split('=');
+    return parts.length === 2 && parts[0].trim() && /^[a-z]{2}$/i.test(parts[1].trim())
+      ? null
+      : 'Must be in the form CIDR=CC, e.g. 1.2.3.0/24=HK';
+  },
+  // 到期日期：YYYY-MM-DD，0 表示不过期，空字符串表示使用全局设置
+  expireDate(value) {
+    return value === '' || value === '0' || !isNaN(Date.parse(value)) ? null : 'Must be a date (YYYY-MM-DD) or 0';
+  },
+  // 两位国家/地区代码，Cloudflare 对 Tor 出口使用 T1
+  country(value) {
+    return /^[A-Z][A-Z0-9]$/i.test(value) ? null : 'Must be a two-letter country code, e.g. HK';
+  },
+  // IP 地址或 CIDR 网段 (IPv4/IPv6)
+  cidr(value) {
+    return ipInCidr(value.split('/')[0], value) ? null : 'Must be an IP address or CIDR, e.g. 10.0.0.0/8';
+  },
+  dateTime(value) {
+    return value === '' || !isNaN(Date.parse(value)) ? null : 'Must be a valid date';
+  },
+  // JSON 对象文本，空字符串表示使用默认值
+  json(value) {
+    if (!value.trim()) return null;
+    try {
+      const parsed = JSON.parse(value);
+      return parsed && typeof parsed === 'object' && !Array.isArray(parsed) ? null : 'Must be a JSON object';
+    } catch (e) {
+      return `Invalid JSON: ${e.message}`;
+    }
+  },
+};
+
+const string = (options = {}) => ({ type: 'string', ...options });
+const integer = (min, max) => ({ type: 'integer', min, max });
+const boolean = { type: 'boolean' };
+const stringList = format => ({ type: 'array', items: string({ format }) });
+const uaPatternList = { type: 'array', items: string({ maxLength: UA_PATTERN_MAX_LENGTH, format: 'uaPattern' }) };
+
+const REGEX_OPERATORS = ['regex', 'not_regex'];
+
+const FILTER_RULE = {
+  type: 'object',
+  properties: {
+    logic: string({ enum: ['and', 'or'] }),
+    conditions: {
+      type: 'array',
+      items: {
+        type: 'object',
+        required: ['field', 'value'],
+        properties: {
+          field: string({ enum: FILTER_FIELDS }),
+          op: string({ enum: FILTER_OPERATORS }),
+          value: { type: ['string', 'number'] },
+        },
+        // 正则条件在保存前编译检查
+        check: condition => {
+          if (!REGEX_OPERATORS.includes(condition.op)) return null;
+          const error = FORMATS.regex(String(condition.value));
+          return error ? ['value', error] : null;
+        },
+      },
+    },
+  },
+};
+
+// 来源国家/地区与 ASN 的访问策略，全局设置中为默认策略
+const ACCESS_POLICY_PROPERTIES = {
+  allowCountries: stringList('country'),
+  denyCountries: stringList('country'),
+  allowAsns: { type: 'array', items: integer(1, 4294967295) },
+  denyAsns: { type: 'array', items: integer(1, 4294967295) },
+  action: string({ enum: POLICY_ACTIONS }),
+};
+
+// 更换 token 的参数，也用于全局设置中的默认值
+export const TOKEN_ROTATION_SCHEMA = {
+  type: 'object',
+  properties: {
+    graceHours: { type: 'number', min: 0, max: 8760 },
+    mode: string({ enum: ['serve', 'notice'] }),
+    noticeMessage: string({ maxLength: 100 }),
+  },
+};
+
+// 机器人检测规则，也用于测试未保存的规则
+export const BOT_DETECTION_SCHEMA = {
+  type: 'object',
+  properties: {
+    threshold: integer(1, 1000),
+    trustedClients: stringList(),
+    allowUaPatterns: uaPatternList,
+    denyUaPatterns: uaPatternList,
+    weights: {
+      type: 'object',
+      properties: Object.fromEntries(BOT_SIGNALS.map(signal => [signal, integer(-100, 100)])),
+    },
+  },
+};
+
+// 订阅组
+export const GROUP_SCHEMA = {
+  type: 'object',
+  required: ['name'],
+  properties: {
+    token: string({ maxLength: 128 }),
+    name: string({ maxLength: 128, check: name => (name.trim() ? null : ['', 'Must not be empty']) }),
+    nodes: string(),
+    allowChinaAccess: boolean, // 旧版字段，已由 accessPolicy 取代
+    accessPolicy: {
+      type: 'object',
+      properties: { mode: string({ enum: ['inherit', 'custom'] }), ...ACCESS_POLICY_PROPERTIES },
+    },
+    ipAllowlist: stringList('cidr'),
+    revision: { type: 'integer' },
+    enabled: boolean,
+    activeFrom: string({ format: 'dateTime' }),
+    expiresAt: string({ format: 'dateTime' }),
+    expiredAction: string({ enum: ['inherit', ...EXPIRED_ACTIONS] }),
+    filter: {
+      type: 'object',
+      properties: {
+        enabled: boolean,
+        include: { type: 'array', items: FILTER_RULE },
+        exclude: { type: 'array', items: FILTER_RULE },
+        rules: stringList('regex'), // 旧版排除规则
+      },
+    },
+    dedupe: {
+      type: 'object',
+      properties: {
+        enabled: boolean,
+        strategy: string({ enum: ['first', 'shortest', 'preferred'] }),
+        preferredSources: stringList(),
+      },
+    },
+    rename: {
+      type: 'object',
+      properties: {
+        enabled: boolean,
+        rules: stringList('renameRule'),
+        prefix: string(),
+        suffix: string(),
+        emoji: boolean,
+        ipRegions: stringList('ipRegion'),
+      },
+    },
+    subscriptionInfo: {
+      type: 'object',
+      properties: {
+        mode: string({ enum: ['inherit', 'aggregate', 'static', 'hidden'] }),
+        totalTB: { type: 'number', min: 0, nullable: true },
+        expireDate: string({ format: 'expireDate' }),
+        useGroupExpiry: boolean, // 使用订阅组的到期时间作为 expire
+      },
+    },
+    accessTokens: {
+      type: 'array',
+      items: {
+        type: 'object',
+        required: ['token'],
+        properties: {
+          token: string({ maxLength: 128 }),
+          name: string({ maxLength: 64 }),
+          enabled: boolean,
+          expiresAt: string({ format: 'dateTime' }),
+          note: string(),
+          createdAt: string({ format: 'dateTime' }),
+        },
+      },
+    },
+    // 宽限期内的旧 token，由更换 token 的接口维护
+    previousTokens: {
+      type: 'array',
+      items: {
+        type: 'object',
+        required: ['token', 'expiresAt'],
+        properties: {
+          token: string({ maxLength: 128 }),
+          mode: string({ enum: ['serve', 'notice'] }),
+          rotatedAt: string({ format: 'dateTime' }),
+          expiresAt: string({ format: 'dateTime' }),
+        },
+      },
+    },
+  },
+  // 生效时间需早于到期时间
+  check: group => {
+    const from = Date.parse(group.activeFrom);
+    const to = Date.parse(group.expiresAt);
+    return from >= to ? ['expiresAt', 'Must be later than activeFrom'] : null;
+  },
+};
+
+// 全局设置
+export const CONFIG_SCHEMA = {
+  type: 'object',
+  properties: {
+    adminPassword: string(),
+    adminPasswordHash: string(),
+    blockBots: boolean,
+    botDetection: BOT_DETECTION_SCHEMA,
+    fileName: string({ maxLength: 128 }),
+    subUpdateTime: integer(1, 720),
+    subscriptionInfo: {
+      type: 'object',
+      properties: {
+        mode: string({ enum: ['aggregate', 'static', 'hidden'] }),
+        totalTB: { type: 'number', min: 0 },
+        expireDate: string({ format: 'expireDate' }),
+      },
+    },
+    telegram: {
+      type: 'object',
+      properties: {
+        enabled: boolean,
+        botToken: string(),
+        chatId: { type: ['string', 'integer'] },
+        logAllAccess: boolean,
+      },
+    },
+    subconverter: {
+      type: 'object',
+      properties: {
+        engine: string({ enum: ['auto', 'native'] }),
+        url: string(),
+        protocol: string({ enum: ['http', 'https'] }),
+        configUrl: string(),
+      },
+    },
+    singbox: {
+      type: 'object',
+      properties: { template: string({ format: 'json' }) },
+    },
+    cache: {
+      type: 'object',
+      properties: {
+        enabled: boolean,
+        freshTtl: integer(0, 86400),
+        staleTtl: integer(60),
+        refreshTimeout: integer(1, 60),
+      },
+    },
+    stats: {
+      type: 'object',
+      properties: { enabled: boolean, retentionDays: integer(1, 90) },
+    },
+    history: {
+      type: 'object',
+      properties: { maxRevisions: integer(1, 100) },
+    },
+    audit: {
+      type: 'object',
+      properties: { enabled: boolean, retentionDays: integer(1, 3650) },
+    },
+    tokenRotation: TOKEN_ROTATION_SCHEMA,
+    accessPolicy: { type: 'object', properties: ACCESS_POLICY_PROPERTIES },
+    rateLimit: {
+      type: 'object',
+      properties: {
+        enabled: boolean,
+        tokenLimit: integer(0, 100000),
+        tokenWindow: integer(1, 86400),
+        ipLimit: integer(0, 100000),
+        ipWindow: integer(1, 86400),
+        action: string({ enum: RATE_LIMIT_ACTIONS }),
+      },
+    },
+    lifecycle: {
+      type: 'object',
+      properties: {
+        expiredAction: string({ enum: EXPIRED_ACTIONS }),
+        noticeMessage: string({ maxLength: 100 }),
+        warnDays: integer(0, 30),
+      },
+    },
+    failedBan: {
+      type: 'object',
+      properties: {
+        enabled: boolean,
+        maxAttempts: integer(1, 100),
+        banDuration: integer(60, 86400), // KV 过期时间至少 60 秒
+        failedAttemptsTtl: integer(60, 86400),
+      },
+    },
+  },
+};
+
+function typeOf(value) {
+  if (value === null) return 'null';
+  if (Array.isArray(value)) return 'array';
+  if (typeof value === 'number') return Number.isInteger(value) ? 'integer' : 'number';
+  return typeof value;
+}
+
+function joinPath(base, key) {
+  if (key === '') return base;
+  if (typeof key === 'number') return `${base}[${key}]`;
+  return base ? `${base}.${key}` : key;
+}
+
+export class SchemaService {
+  /**
+   * 按规则校验数据
+   * @param {object} schema - 校验规则
+   * @param {*} value - 待校验的数据
+   * @returns {{path: string, message: string}[]} 字段级错误，path 形如 `filter.include[0].conditions[1].value`；校验通过返回空数组
+   */
+  static validate(schema, value) {
+    const errors = [];
+    this.#visit(schema, value, '', errors);
+    return errors;
+  }
+
+  /**
+   * 将错误列表合并为一条信息
+   * @param {{path: string, message: string}[]} errors - validate 的返回值
+   * @returns {string}
+   */
+  static format(errors) {
+    return errors.map(({ path, message }) => (path ? `${path}: ${message}` : message)).join('; ');
+  }
+
+  static #visit(schema, value, path, errors) {
+    const push = message => errors.push({ path, message });
+    if (value === undefined) return;
+    if (value === null) {
+      if (!schema.nullable) push('Must not be null');
+      return;
+    }
+
+    const types = [].concat(schema.type);
+    const actual = typeOf(value);
+    // 整数同时满足 number 类型
+    if (!types.includes(actual) && !(actual === 'integer' && types.includes('number'))) {
+      push(`Must be ${types.join(' or ')}`);
+      return;
+    }
+
+    if (schema.enum && !schema.enum.includes(value)) push(`Must be one of: ${schema.enum.join(', ')}`);
+    if (typeof value === 'number') {
+      if (schema.min !== undefined && value < schema.min) push(`Must be at least ${schema.min}`);
+      if (schema.max !== undefined && value > schema.max) push(`Must be at most ${schema.max}`);
+    }
+    if (typeof value === 'string') {
+      if (schema.maxLength !== undefined && value.length > schema.maxLength) push(`Must be at most ${schema.maxLength} characters`);
+      const error = schema.format && FORMATS[schema.format](value);
+      if (error) push(error);
+    }
+    if (actual === 'array' && schema.items) {
+      value.forEach((item, index) => this.#visit(schema.items, item, joinPath(path, index), errors));
+    }
+    if (actual === 'object') {
+      for (const key of schema.required || []) {
+        if (value[key] === undefined) errors.push({ path: joinPath(path, key), message: 'Is required' });
+      }
+      for (const [key, child] of Object.entries(schema.properties || {})) {
+        this.#visit(child, value[key], joinPath(path, key), errors);
+      }
+    }
+    if (schema.check) {
+      const result = schema.check(value);
+      if (result) errors.push({ path: joinPath(path, result[0]), message: result[1] });
+    }
+  }
+}
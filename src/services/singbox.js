@@ -0,0 +1,176 @@
+import { compact } from '../utils.js';
+
+const SELECTOR_TAG = 'proxy';
+const URLTEST_TAG = 'auto';
+
+// 默认的 sing-box 基础模板，节点与策略组会追加到 outbounds 中
+const DEFAULT_TEMPLATE = {
+  log: { level: 'info', timestamp: true },
+  inbounds: [
+    { type: 'mixed', tag: 'mixed-in', listen: '127.0.0.1', listen_port: 2080 },
+  ],
+  outbounds: [
+    { type: 'direct', tag: 'direct' },
+  ],
+  route: {
+    rules: [
+      { action: 'sniff' },
+      { protocol: 'dns', action: 'hijack-dns' },
+      { ip_is_private: true, outbound: 'direct' },
+    ],
+    final: SELECTOR_TAG,
+    auto_detect_interface: true,
+  },
+};
+
+/**
+ * 生成 sing-box 的 tls 对象
+ * @param {object} tls - 节点 TLS 设置
+ * @param {boolean} [force=false] - 是否强制启用 (hysteria2/tuic)
+ * @returns {object|undefined}
+ */
+function toTls(tls, force = false) {
+  if (!tls || (!tls.enabled && !force)) return undefined;
+  const fingerprint = tls.fingerprint || (tls.reality ? 'chrome' : '');
+  return compact({
+    enabled: true,
+    server_name: tls.sni,
+    insecure: tls.insecure || undefined,
+    alpn: tls.alpn,
+    utls: fingerprint ? { enabled: true, fingerprint } : undefined,
+    reality: tls.reality ? compact({
+      enabled: true,
+      public_key: tls.reality.publicKey,
+      short_id: tls.reality.shortId,
+    }) : undefined,
+  });
+}
+
+/**
+ * 生成 sing-box 的 transport 对象
+ * @param {object} transport - 节点传输层设置
+ * @returns {object|undefined}
+ */
+function toTransport(transport) {
+  if (!transport || !transport.type || transport.type === 'tcp') return undefined;
+  const { type, path, host, serviceName } = transport;
+  switch (type) {
+    case 'ws':
+      return compact({ type: 'ws', path, headers: host ? { Host: host } : undefined });
+    case 'grpc':
+      return compact({ type: 'grpc', service_name: serviceName });
+    case 'h2':
+    case 'http':
+      return compact({ type: 'http', host: host ? [host] : undefined, path });
+    case 'httpupgrade':
+      return compact({ type: 'httpupgrade', host, path });
+    default:
+      return undefined;
+  }
+}
+
+const converters = {
+  vmess: node => ({
+    uuid: node.uuid,
+    alter_id: node.alterId,
+    security: node.cipher,
+    tls: toTls(node.tls),
+    transport: toTransport(node.transport),
+  }),
+  vless: node => ({
+    uuid: node.uuid,
+    flow: node.flow,
+    tls: toTls(node.tls),
+    transport: toTransport(node.transport),
+  }),
+  trojan: node => ({
+    password: node.password,
+    tls: toTls(node.tls),
+    transport: toTransport(node.transport),
+  }),
+  ss: node => ({
+    type: 'shadowsocks',
+    method: node.cipher,
+    password: node.password,
+    plugin: node.plugin === 'simple-obfs' ? 'obfs-local' : node.plugin,
+    plugin_opts: node.pluginOpts,
+  }),
+  hysteria2: node => ({
+    password: node.password,
+    up_mbps: parseInt(node.up, 10) || undefined,
+    down_mbps: parseInt(node.down, 10) || undefined,
+    obfs: node.obfs ? compact({ type: node.obfs, password: node.obfsPassword }) : undefined,
+    tls: toTls(node.tls, true),
+  }),
+  tuic: node => ({
+    uuid: node.uuid,
+    password: node.password,
+    congestion_control: node.congestionControl,
+    udp_relay_mode: node.udpRelayMode,
+    tls: toTls(node.tls, true),
+  }),
+  wireguard: node => ({
+    local_address: [
+      node.ip ? `${node.ip}/32` : '',
+      node.ipv6 ? `${node.ipv6}/128` : '',
+    ].filter(Boolean),
+    private_key: node.privateKey,
+    peer_public_key: node.publicKey,
+    pre_shared_key: node.preSharedKey,
+    reserved: node.reserved,
+    mtu: node.mtu,
+  }),
+};
+
+export class SingboxService {
+  /**
+   * 将节点转换为 sing-box 的 outbound 对象
+   * @param {import('./parser.js').ProxyNode} node - 解析后的节点
+   * @returns {object|null} 不支持的协议 (如 ssr) 返回 null
+   */
+  static toOutbound(node) {
+    const converter = converters[node.type];
+    if (!converter) return null;
+    return compact({
+      type: node.type,
+      tag: node.name,
+      server: node.server,
+      server_port: node.port,
+      ...converter(node),
+    });
+  }
+
+  /**
+   * 生成完整的 sing-box 配置
+   * @param {import('./parser.js').ProxyNode[]} nodes - 节点列表 (名称需唯一)
+   * @param {string} [template] - JSON 格式的基础模板，为空时使用默认模板
+   * @returns {string} JSON 配置文本
+   */
+  static generate(nodes, template) {
+    const config = template ? JSON.parse(template) : structuredClone(DEFAULT_TEMPLATE);
+    const outbounds = nodes.map(node => this.toOutbound(node)).filter(Boolean);
+    const tags = outbounds.map(o => o.tag);
+    const baseOutbounds = Array.isArray(config.outbounds) ? config.outbounds : [];
+
+    const groups = [
+      { type: 'selector', tag: SELECTOR_TAG, outbounds: tags.length ? [URLTEST_TAG, ...tags, 'direct'] : ['direct'] },
+    ];
+    // urltest 组不允许为空
+    if (tags.length) {
+      groups.push({
+        type: 'urltest',
+        tag: URLTEST_TAG,
+        outbounds: tags,
+        url: 'https://www.gstatic.com/generate_204',
+        interval: '5m',
+        tolerance: 50,
+      });
+    }
+    if (!baseOutbounds.some(o => o.tag === 'direct')) {
+      baseOutbounds.push({ type: 'direct', tag: 'direct' });
+    }
+
+    config.outbounds = [...groups, ...outbounds, ...baseOutbounds];
+    return JSON.stringify(config, null, 2);
+  }
+}
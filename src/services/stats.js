@@ -0,0 +1,192 @@
+import { ConfigService } from './config.js';
+import { KVService } from './kv.js';
+
+// 客户端识别规则，按顺序匹配 User-Agent
+const UA_FAMILIES = [
+  ['subconverter', /subconverter/i],
+  ['mihomo', /mihomo|clash[\s.-]?meta|clash[\s.-]?verge|flclash/i],
+  ['clash', /clash|stash/i],
+  ['sing-box', /sing-?box|\bSF[AIM]\b|hiddify|karing/i],
+  ['shadowrocket', /shadowrocket/i],
+  ['quantumult', /quantumult/i],
+  ['surge', /surge/i],
+  ['loon', /loon/i],
+  ['v2rayn', /v2rayn|v2rayng|v2box|nekobox|nekoray/i],
+  ['browser', /mozilla|chrome|safari|firefox/i],
+];
+
+// 访问令牌名称：使用组的主 token 访问时记为此名称
+const PRIMARY_TOKEN = 'primary';
+
+function increment(map, key) {
+  map[key] = (map[key] || 0) + 1;
+}
+
+// 每个 isolate 在内存中缓冲访问记录，距上次写入超过 STATS_FLUSH_INTERVAL 或缓冲达到 STATS_BATCH_SIZE 条时作为一批写入 KV
+// 访问稀少时每次访问直接写入；isolate 被回收时尚未写入的记录会丢失，统计为近似值
+const STATS_BATCH_SIZE = 50;
+const STATS_FLUSH_INTERVAL = 5 * 60 * 1000;
+let pendingHits = [];
+let lastFlushAt = 0;
+
+/**
+ * 计算 UTC 日期字符串 (YYYY-MM-DD)
+ * @param {number} time - 时间戳
+ * @returns {string}
+ */
+function toDay(time) {
+  return new Date(time).toISOString().slice(0, 10);
+}
+
+export class StatsService {
+  /**
+   * 识别客户端类型
+   * @param {string} userAgent - User-Agent
+   * @returns {string}
+   */
+  static getUaFamily(userAgent) {
+    if (!userAgent) return 'unknown';
+    const family = UA_FAMILIES.find(([, pattern]) => pattern.test(userAgent));
+    return family ? family[0] : 'other';
+  }
+
+  /**
+   * 记录一次订阅访问
+   * 访问记录先缓冲在 isolate 内，按批写入 KV (不读取也不改写汇总)，由定时任务 (compactAll) 合并到按天汇总的 `stats:<token>` 中
+   * @param {object} group - 订阅组
+   * @param {object|null} access - 命中的访问令牌，主 token 访问时为 null
+   * @param {Request} request - 原始请求
+   * @param {{format: string, score: number, bot: boolean}} info - 输出格式与机器人评分
+   */
+  static async record(group, access, request, info) {
+    const config = ConfigService.get('stats');
+    if (!config.enabled) return;
+
+    const userAgent = request.headers.get('User-Agent') || '';
+    pendingHits.push({
+      group: group.token,
+      at: new Date().toISOString(),
+      token: (access ? (access.name || access.token) : PRIMARY_TOKEN).slice(0, 64),
+      uaFamily: this.getUaFamily(userAgent),
+      userAgent: userAgent.slice(0, 256),
+      format: info.format,
+      country: request.cf?.country || 'XX',
+      score: info.score,
+      bot: Boolean(info.bot),
+    });
+
+    const now = Date.now();
+    if (pendingHits.length < STATS_BATCH_SIZE && now - lastFlushAt < STATS_FLUSH_INTERVAL) return;
+    const hits = pendingHits;
+    pendingHits = [];
+    lastFlushAt = now;
+    // 未合并的批次最多保留到统计保留期结束
+    await KVService.putStatsBatch(hits, config.retentionDays * 86400);
+  }
+
+  /**
+   * 将所有未合并的访问记录批次并入各订阅组按天汇总的统计，并删除本次合并的批次，由定时任务调用
+   * 只处理本次读取到的批次，之后才可见的批次留到下次合并；删除失败的批次记录在汇总的 foldedBatches 中，下次合并时跳过
+   * 已更换 token 的访问计入新 token，已删除订阅组的访问直接丢弃
+   * @param {object} logger - 日志服务
+   * @returns {Promise<number>} 本次合并的访问次数
+   */
+  static async compactAll(logger) {
+    const keys = await KVService.listStatsBatches();
+    const batches = (await Promise.all(keys.map(async key => ({ key, hits: await KVService.getStatsBatch(key) }))))
+      .filter(batch => Array.isArray(batch.hits));
+    if (batches.length === 0) return 0;
+
+    const byGroup = new Map();
+    for (const { key, hits } of batches) {
+      for (const hit of hits) {
+        if (!byGroup.has(hit.group)) byGroup.set(hit.group, []);
+        byGroup.get(hit.group).push({ key, hit });
+      }
+    }
+
+    const targets = new Map();
+    for (const [token, entries] of byGroup) {
+      const target = await KVService.getGroup(token) ? token : (await KVService.getMovedToken(token))?.movedTo;
+      if (!target) continue;
+      if (!targets.has(target)) targets.set(target, []);
+      targets.get(target).push(...entries);
+    }
+
+    let folded = 0;
+    for (const [token, entries] of targets) {
+      try {
+        const stats = await KVService.getStats(token) || { days: {} };
+        const skipped = new Set(stats.foldedBatches || []);
+        const hits = entries.filter(entry => !skipped.has(entry.key))
+          .sort((a, b) => a.hit.at.localeCompare(b.hit.at));
+        const merged = this.#fold(stats, hits);
+        merged.foldedBatches = [...new Set(entries.map(entry => entry.key))];
+        await KVService.putStats(token, merged);
+        folded += hits.length;
+      } catch (err) {
+        logger.error(err, { customMessage: 'Failed to compact access stats', token });
+        return folded; // 保留全部批次，下次合并时重试
+      }
+    }
+    await KVService.deleteStatsBatches(batches.map(batch => batch.key));
+    return folded;
+  }
+
+  /**
+   * 将访问记录累加到统计汇总中，并清理超出保留期的数据
+   * @param {object} stats - 统计汇总
+   * @param {{hit: object}[]} hits - 按时间升序的访问记录
+   * @returns {object} 新的统计汇总
+   */
+  static #fold(stats, hits) {
+    const result = { ...stats, days: { ...stats.days }, tokenLastSeen: { ...stats.tokenLastSeen } };
+    for (const { hit } of hits) {
+      const date = hit.at.slice(0, 10);
+      const source = result.days[date];
+      const day = result.days[date] = source ? {
+        ...source,
+        tokens: { ...source.tokens },
+        uaFamilies: { ...source.uaFamilies },
+        formats: { ...source.formats },
+        countries: { ...source.countries },
+      } : { count: 0, tokens: {}, uaFamilies: {}, formats: {}, countries: {}, bots: 0, scoreSum: 0, scoreMax: 0 };
+      day.count++;
+      increment(day.tokens, hit.token);
+      increment(day.uaFamilies, hit.uaFamily);
+      increment(day.formats, hit.format);
+      increment(day.countries, hit.country);
+      if (hit.bot) day.bots++;
+      day.scoreSum += hit.score;
+      day.scoreMax = Math.max(day.scoreMax, hit.score);
+
+      const { bot, group, ...lastSeen } = hit;
+      result.lastSeen = lastSeen;
+      result.tokenLastSeen[hit.token] = hit.at;
+    }
+
+    const retentionDays = ConfigService.get('stats').retentionDays;
+    const oldest = toDay(Date.now() - (retentionDays - 1) * 86400000);
+    for (const date of Object.keys(result.days)) {
+      if (date < oldest) delete result.days[date];
+    }
+    return result;
+  }
+
+  /**
+   * 读取订阅组最近若干天的访问统计
+   * @param {string} token - 订阅组 token
+   * @param {number} days - 天数
+   * @returns {Promise<{lastSeen: object|null, tokenLastSeen: object, days: object[]}>} days 按日期升序，无访问的日期计数为 0
+   */
+  static async getGroupStats(token, days) {
+    const stats = await KVService.getStats(token) || { days: {} };
+    const now = Date.now();
+    const series = [];
+    for (let i = days - 1; i >= 0; i--) {
+      const date = toDay(now - i * 86400000);
+      series.push({ date, count: 0, ...stats.days[date] });
+    }
+    return { lastSeen: stats.lastSeen || null, tokenLastSeen: stats.tokenLastSeen || {}, days: series };
+  }
+}
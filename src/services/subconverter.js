@@ -1,5 +1,26 @@
 import { ConfigService } from './config.js';
-import { applyFilter, isValidBase64, safeBtoa } from '../utils.js';
+import { KVService } from './kv.js';
+import { ParserService } from './parser.js';
+import { ClashService } from './clash.js';
+import { SingboxService } from './singbox.js';
+import { RenameService } from './rename.js';
+import { FilterService } from './filter.js';
+import { DedupeService, INLINE_SOURCE } from './dedupe.js';
+import { LifecycleService, GROUP_STATUS } from './lifecycle.js';
+import { isValidBase64, safeBtoa } from '../utils.js';
+import { signCallback, verifyCallback } from './auth.js';
+
+const UPSTREAM_UA_SUFFIX = 'v2rayN/7.15.7 (SubPool-Worker/1.0.0; +https://github.com/illusionlie/subpool-worker  )';
+
+// 引用其他订阅组的来源前缀，如 group:<token>
+const GROUP_SOURCE_PREFIX = 'group:';
+// 引用组的最大嵌套层数
+const MAX_GROUP_DEPTH = 5;
+
+// 可由内置转换器直接生成的格式
+const NATIVE_FORMATS = ['clash', 'singbox'];
+// subconverter 回访地址签名的有效期 (秒)，回访在转换请求期间立即发生
+const CALLBACK_TTL = 60;
 
 export class SubconverterService {
 
@@ -17,45 +38,45 @@ export class SubconverterService {
     // 确定最终输出格式
     const outputFormat = this._getOutputFormat(url, userAgent);
     
-    // 分离内联节点和订阅链接
-    const allSources = (group.nodes || '').split('\n').filter(Boolean);
-    const inlineNodes = [];
-    const subscriptionUrls = [];
-    allSources.forEach(source => {
-      /^(https?:)?\/\//i.test(source.toLowerCase()) ? subscriptionUrls.push(source) : inlineNodes.push(source);
-    });
-
-    // 并发获取远程订阅内容
-    const { fetchedNodes, conversionUrls } = await this._fetchRemoteSubscriptions(subscriptionUrls, request, group.filter, logger);
+    // 收集内联节点、远程订阅与引用组的节点
+    const { sources, conversionUrls, userinfos } = await this._collectSources(group, request, logger);
+    const userinfo = this._resolveUserinfo(group, userinfos);
     
-    // 合并、过滤和去重所有原生节点
-    let combinedNodes = [...inlineNodes, ...fetchedNodes];
-    let content = applyFilter(combinedNodes.join('\n'), group.filter);
-    content = [...new Set(content.split('\n'))].join('\n');
+    // 合并去重，去重策略需要知道每个节点的来源
+    const deduped = DedupeService.apply(sources, group.dedupe);
+    if (deduped.dropped > 0) {
+      logger.info('Duplicate nodes dropped', { groupName: group.name, Dropped: deduped.dropped, Strategy: group.dedupe?.strategy || 'first' });
+    }
+    const content = RenameService.apply(deduped.content, group);
+    const renamed = Boolean(group.rename && group.rename.enabled);
     
     // 如果客户端请求的就是 base64，或者 sub-converter 正在回访我们，直接返回结果
     if (outputFormat === 'base64') {
-      const headers = this._createSubscriptionHeaders();
+      const headers = this._createSubscriptionHeaders(false, userinfo);
       return { content: safeBtoa(content), headers };
     }
 
+    // 未配置远端 subconverter 或强制使用内置转换器时，直接在本地生成
+    const subconverterConfig = ConfigService.get('subconverter');
+    if (this._shouldUseNative(outputFormat, subconverterConfig)) {
+      return this._generateNative(outputFormat, content, conversionUrls, userinfo, logger);
+    }
+
     // 创建一个指向自身的回调 URL，用于向 sub-converter 提供已处理好的节点
     let finalConversionUrls = [...conversionUrls];
     if (content.trim()) {
-      const selfUrl = `https://${url.hostname}/sub/${token}?format=base64`;
-      finalConversionUrls.unshift(selfUrl);
+      finalConversionUrls.unshift(await this._createCallbackUrl(url, token));
     }
     
     // 如果没有任何可转换的内容，回退到返回空的 base64
     if (finalConversionUrls.length === 0) {
-        const headers = this._createSubscriptionHeaders();
+        const headers = this._createSubscriptionHeaders(false, userinfo);
         return { content: safeBtoa(''), headers };
     }
 
-    const subconverterConfig = ConfigService.get('subconverter');
-    const subconverterUrl = this._generateSubConverterUrl(outputFormat, finalConversionUrls, subconverterConfig);
+    const subconverterUrl = this._generateSubConverterUrl(outputFormat, finalConversionUrls, subconverterConfig, renamed);
     if (!subconverterUrl || subconverterUrl.trim() === '') {
-      const headers = this._createSubscriptionHeaders();
+      const headers = this._createSubscriptionHeaders(false, userinfo);
       return { content: safeBtoa(''), headers };
     }
     
@@ -68,31 +89,190 @@ export class SubconverterService {
           subContent = this._fixClashWireguard(subContent);
       }
 
-      const headers = this._createSubscriptionHeaders(true);
+      const headers = this._createSubscriptionHeaders(true, userinfo);
       return { content: subContent, headers };
 
     } catch (error) {
       logger.error(error, { customMessage: 'Sub-converter fetch failed' });
+      // 内置转换器支持的格式优先回退到本地生成
+      if (NATIVE_FORMATS.includes(outputFormat)) {
+        return this._generateNative(outputFormat, content, conversionUrls, userinfo, logger);
+      }
       // 转换失败时，回退到返回原生 base64 节点
-      const headers = this._createSubscriptionHeaders();
+      const headers = this._createSubscriptionHeaders(false, userinfo);
       return { content: safeBtoa(content), headers };
     }
   }
 
-  static async _fetchRemoteSubscriptions(urls, request, filterConfig, logger) {
+  /**
+   * 生成只包含一个提示节点的订阅，提示信息即节点名称 (节点本身不可用)
+   * @param {string} message - 提示信息
+   * @param {Request} request - 原始请求
+   * @param {string} token - 请求中的 token
+   * @returns {Promise<{content: string, headers: object}>}
+   */
+  static async generateNotice(message, request, token, logger) {
+    const node = `ss://${safeBtoa('aes-128-gcm:notice')}@127.0.0.1:1#${encodeURIComponent(message)}`;
+    const group = { name: message, token, nodes: node, subscriptionInfo: { mode: 'hidden' } };
+    return this.generateSubscription(group, request, token, logger);
+  }
+
+  /**
+   * 生成不含任何节点的诱饵订阅，格式与响应头与正常订阅一致，用于被访问策略拒绝的来源
+   * @param {Request} request - 原始请求
+   * @param {string} token - 请求中的 token
+   * @returns {Promise<{content: string, headers: object}>}
+   */
+  static async generateDecoy(request, token, logger) {
+    const group = { name: 'decoy', token, nodes: '', subscriptionInfo: { mode: 'hidden' } };
+    return this.generateSubscription(group, request, token, logger);
+  }
+
+  static _shouldUseNative(outputFormat, subconverterConfig) {
+    if (!NATIVE_FORMATS.includes(outputFormat)) return false;
+    return subconverterConfig.engine === 'native' || !subconverterConfig.url;
+  }
+
+  /**
+   * 使用内置转换器生成订阅
+   * @param {string} outputFormat - 目标格式
+   * @param {string} content - 每行一个的原生节点
+   * @param {string[]} conversionUrls - 远程配置文件类订阅 (内置转换器无法处理)
+   * @param {object|null} userinfo - 订阅流量信息
+   * @returns {{content: string, headers: object}}
+   */
+  static _generateNative(outputFormat, content, conversionUrls, userinfo, logger) {
+    if (conversionUrls.length > 0) {
+      logger.warn('Native converter skipped config-file sources', { Sources: conversionUrls });
+    }
+    const nodes = ParserService.uniqueNames(ParserService.parse(content));
+    const headers = this._createSubscriptionHeaders(true, userinfo);
+    if (outputFormat === 'singbox') {
+      return { content: this._generateSingbox(nodes, logger), headers };
+    }
+    return { content: ClashService.generate(nodes), headers };
+  }
+
+  static _generateSingbox(nodes, logger) {
+    const { template } = ConfigService.get('singbox');
+    if (template && template.trim()) {
+      try {
+        return SingboxService.generate(nodes, template);
+      } catch (error) {
+        logger.error(error, { customMessage: 'Invalid sing-box template, using default' });
+      }
+    }
+    return SingboxService.generate(nodes);
+  }
+
+  /**
+   * 收集订阅组的所有来源，并按本组的过滤器筛选
+   * 来源按 内联节点 → 订阅链接 → 引用组 的顺序排列
+   * @param {object} group - 订阅组
+   * @param {Request} request - 原始请求
+   * @param {LoggerService} logger - 日志服务
+   * @param {string[]} [path] - 当前的组引用路径，用于检测循环引用
+   * @returns {Promise<{sources: {source: string, content: string}[], conversionUrls: string[], userinfos: object[]}>}
+   */
+  static async _collectSources(group, request, logger, path = [group.token]) {
+    // 分离内联节点、订阅链接和引用组
+    const allSources = (group.nodes || '').split('\n').map(line => line.trim()).filter(Boolean);
+    const inlineNodes = [];
+    const subscriptionUrls = [];
+    const groupRefs = [];
+    allSources.forEach(source => {
+      if (/^group:/i.test(source)) {
+        groupRefs.push(source.slice(GROUP_SOURCE_PREFIX.length).trim());
+      } else if (/^(https?:)?\/\//i.test(source)) {
+        subscriptionUrls.push(source);
+      } else {
+        inlineNodes.push(source);
+      }
+    });
+
+    // 并发获取远程订阅内容与引用组
+    const [remote, nested] = await Promise.all([
+      this._fetchRemoteSubscriptions(subscriptionUrls, request, logger),
+      Promise.all(groupRefs.map(ref => this._resolveNestedGroup(ref, request, logger, path))),
+    ]);
+    const conversionUrls = [...remote.conversionUrls];
+    const userinfos = [...remote.userinfos];
+    const nestedSources = [];
+    for (const child of nested.filter(Boolean)) {
+      nestedSources.push({ source: child.source, content: child.content });
+      conversionUrls.push(...child.conversionUrls);
+      userinfos.push(...child.userinfos);
+    }
+
+    const filterOptions = { ipRegions: group.rename?.ipRegions };
+    const sources = [{ source: INLINE_SOURCE, content: inlineNodes.join('\n') }, ...remote.fetchedNodes, ...nestedSources]
+      .map(entry => ({ ...entry, content: FilterService.apply(entry.content, group.filter, filterOptions) }));
+    // 同一上游可能同时出现在本组与引用组中，只计一次
+    return {
+      sources,
+      conversionUrls: [...new Set(conversionUrls)],
+      userinfos: userinfos.filter((info, i) => userinfos.findIndex(other => other.url === info.url) === i),
+    };
+  }
+
+  /**
+   * 解析 `group:<token>` 引用的订阅组，递归收集其节点
+   * 引用组自身的过滤器与去重配置会生效，重命名则由最外层的组决定
+   * @param {string} ref - 被引用组的 token
+   * @param {Request} request - 原始请求
+   * @param {LoggerService} logger - 日志服务
+   * @param {string[]} path - 当前的组引用路径
+   * @returns {Promise<{source: string, content: string, conversionUrls: string[], userinfos: object[]}|null>} 无法引用或被引用组未生效时返回 null
+   */
+  static async _resolveNestedGroup(ref, request, logger, path) {
+    if (path.length > MAX_GROUP_DEPTH) {
+      logger.warn('Nested group depth limit exceeded', { Path: [...path, ref].join(' -> '), MaxDepth: MAX_GROUP_DEPTH });
+      return null;
+    }
+    if (path.includes(ref)) {
+      logger.warn('Nested group cycle detected', { Path: [...path, ref].join(' -> ') });
+      return null;
+    }
+    const child = await KVService.getGroup(ref);
+    if (!child) {
+      logger.warn('Referenced group not found', { Reference: ref, Path: path.join(' -> ') });
+      return null;
+    }
+    // 已停用、未生效或已到期的组不再通过引用提供节点
+    const status = LifecycleService.getStatus(child);
+    if (status !== GROUP_STATUS.ACTIVE) {
+      logger.warn('Referenced group is not active', { Reference: ref, Status: status, Path: path.join(' -> ') });
+      return null;
+    }
+
+    const collected = await this._collectSources(child, request, logger, [...path, ref]);
+    const { content } = DedupeService.apply(collected.sources, child.dedupe);
+    return {
+      source: `${GROUP_SOURCE_PREFIX}${ref}`,
+      content,
+      conversionUrls: collected.conversionUrls,
+      userinfos: collected.userinfos,
+    };
+  }
+
+  static async _fetchRemoteSubscriptions(urls, request, logger) {
     if (!urls || urls.length === 0) {
-      return { fetchedNodes: [], conversionUrls: [] };
+      return { fetchedNodes: [], conversionUrls: [], userinfos: [] };
     }
     
     const requestHostname = new URL(request.url).hostname.toLowerCase();
+    const cacheConfig = ConfigService.get('cache');
+    const userAgent = `${request.headers.get('User-Agent') || 'Mozilla/5.0'} ${UPSTREAM_UA_SUFFIX}`;
     const fetchedNodes = [];
     const conversionUrls = [];
+    const userinfos = [];
     const controller = new AbortController();
     const timeoutId = setTimeout(() => controller.abort(), 4000); // 4秒超时
 
     const promises = urls.map(async (url) => {
+      const urlStr = url.toString();
+      let cached = null;
       try {
-        const urlStr = url.toString();
         const targetHostname = new URL(urlStr).hostname.toLowerCase();
         
         // 检查递归，如果是，直接抛出错误
@@ -100,25 +280,31 @@ export class SubconverterService {
           throw new Error('Recursive loop detected');
         }
 
-        // 使用 await 等待 fetch 完成
-        const resp = await fetch(urlStr, {
-          method: 'GET',
-          headers: { 'User-Agent': `${request.headers.get('User-Agent') || 'Mozilla/5.0'} v2rayN/7.15.7 (SubPool-Worker/1.0.0; +https://github.com/illusionlie/subpool-worker  )` },
-          signal: controller.signal,
-        });
-
-        if (!resp.ok) {
-          throw new Error(`Fetch url(${urlStr}) failed: ${resp.status}`);
+        // 缓存仍在有效期内时直接使用，不再请求上游
+        if (cacheConfig.enabled) {
+          cached = await KVService.getSourceCache(urlStr).catch(() => null);
+          if (cached && Date.now() - cached.fetchedAt < cacheConfig.freshTtl * 1000) {
+            return cached;
+          }
         }
 
-        // 使用 await 等待读取文本内容
-        const content = await resp.text();
-        return { url: urlStr, content };
+        const result = await this._fetchSource(urlStr, userAgent, controller.signal);
+        await this._recordHealth(urlStr, result, null, logger);
+        if (cacheConfig.enabled) {
+          await this._saveSourceCache(result, cacheConfig, logger);
+        }
+        return result;
 
       } catch (error) {
+        await this._recordHealth(urlStr, null, error, logger);
+        // 上游失败或超时，回退到最近一次成功的缓存
+        if (cached) {
+          logger.warn(`Serving cached content for ${urlStr}`, { FetchedAt: new Date(cached.fetchedAt).toISOString(), Error: error.message });
+          return cached;
+        }
         // 抛出一个包含URL和错误信息的对象，以便后续处理
         // Promise.allSettled 会捕获这个 throw，并将其作为 rejected 的 reason
-        throw { url: url.toString(), error };
+        throw { url: urlStr, error };
       }
     });
 
@@ -127,15 +313,16 @@ export class SubconverterService {
 
     for (const result of results) {
       if (result.status === 'fulfilled') {
-        const { url, content } = result.value;
+        const { url, content, userinfo } = result.value;
+        if (userinfo) userinfos.push({ ...userinfo, url });
+        const contentType = this._detectContentType(content);
         // 判断是否是 Clash 或 Sing-box 等配置文件
-        if (content.includes('proxies:') || (content.includes('outbounds') && content.includes('inbounds'))) {
+        if (contentType === 'config') {
           conversionUrls.push(url);
-        } else if (isValidBase64(content)) {
-          const decoded = atob(content);
-          fetchedNodes.push(applyFilter(decoded, filterConfig));
-        } else if (content.includes('://')) {
-          fetchedNodes.push(applyFilter(content, filterConfig));
+        } else if (contentType === 'base64') {
+          fetchedNodes.push({ source: url, content: atob(content) });
+        } else if (contentType === 'plain') {
+          fetchedNodes.push({ source: url, content });
         } else {
           logger.warn(`Unrecognized content from ${url}`);
         }
@@ -145,7 +332,274 @@ export class SubconverterService {
       }
     }
 
-    return { fetchedNodes, conversionUrls };
+    return { fetchedNodes, conversionUrls, userinfos };
+  }
+
+  /**
+   * 请求单个上游订阅
+   * @param {string} url - 订阅地址
+   * @param {string} userAgent - 请求使用的 User-Agent
+   * @param {AbortSignal} signal - 超时控制
+   * @returns {Promise<{url: string, content: string, userinfo: object|null, fetchedAt: number}>}
+   */
+  static async _fetchSource(url, userAgent, signal) {
+    const startedAt = Date.now();
+    let resp;
+    try {
+      resp = await fetch(url, {
+        method: 'GET',
+        headers: { 'User-Agent': userAgent },
+        signal,
+      });
+    } catch (error) {
+      error.latency = Date.now() - startedAt;
+      throw error;
+    }
+
+    if (!resp.ok) {
+      const error = new Error(`Fetch url(${url}) failed: ${resp.status}`);
+      error.status = resp.status;
+      error.latency = Date.now() - startedAt;
+      throw error;
+    }
+
+    const content = await resp.text();
+    return {
+      url,
+      content,
+      userinfo: this._parseUserinfo(resp.headers.get('Subscription-Userinfo')),
+      fetchedAt: Date.now(),
+      status: resp.status,
+      latency: Date.now() - startedAt,
+    };
+  }
+
+  /**
+   * 写入上游缓存，只缓存可识别的内容
+   * 有执行上下文时在后台写入，不阻塞响应
+   */
+  static async _saveSourceCache(result, cacheConfig, logger) {
+    if (!this._detectContentType(result.content)) return;
+    const write = KVService.putSourceCache(result.url, result, cacheConfig.staleTtl)
+      .catch(error => logger.error(error, { customMessage: `Failed to cache ${result.url}` }));
+    await this._runInBackground(write);
+  }
+
+  /**
+   * 记录上游健康状态 (状态码、错误、延迟、节点数、内容类型、最后成功时间)
+   * 状态未变化且距上次记录不足 1 分钟时不重复写入，以节省 KV 写入次数
+   * @param {string} url - 订阅地址
+   * @param {object|null} result - 成功时的 _fetchSource 结果
+   * @param {Error|null} error - 失败时的错误
+   */
+  static async _recordHealth(url, result, error, logger) {
+    const record = async () => {
+      const previous = await KVService.getSourceHealth(url);
+      const contentType = result ? this._detectContentType(result.content) : null;
+      const health = {
+        url,
+        ok: Boolean(result && contentType),
+        status: result ? result.status : (error.status || null),
+        error: result ? (contentType ? null : 'Unrecognized content') : error.message,
+        latency: result ? result.latency : (error.latency ?? null),
+        nodeCount: result ? this._countNodes(result.content, contentType) : null,
+        contentType,
+        checkedAt: Date.now(),
+        lastSuccessAt: previous ? previous.lastSuccessAt : null,
+      };
+      if (health.ok) health.lastSuccessAt = health.checkedAt;
+
+      if (previous && previous.ok === health.ok && previous.status === health.status &&
+          health.checkedAt - previous.checkedAt < 60 * 1000) {
+        return;
+      }
+      await KVService.putSourceHealth(url, health);
+    };
+    await this._runInBackground(record().catch(err => logger.error(err, { customMessage: `Failed to record health of ${url}` })));
+  }
+
+  /**
+   * 有执行上下文时在后台执行任务，不阻塞响应；否则直接等待完成
+   * @param {Promise} promise - 后台任务
+   */
+  static async _runInBackground(promise) {
+    const ctx = ConfigService.getCtx();
+    if (ctx && ctx.waitUntil) {
+      ctx.waitUntil(promise);
+    } else {
+      await promise;
+    }
+  }
+
+  /**
+   * 统计上游内容中的节点数量
+   * @param {string} content - 响应内容
+   * @param {string|null} contentType - _detectContentType 的结果
+   * @returns {number}
+   */
+  static _countNodes(content, contentType) {
+    if (contentType === 'base64' || contentType === 'plain') {
+      const text = contentType === 'base64' ? atob(content.replace(/\s+/g, '')) : content;
+      return text.split('\n').filter(line => line.includes('://')).length;
+    }
+    if (contentType === 'config') {
+      // Clash: proxies 下的 name 字段；Sing-box: 带 server 字段的 outbound
+      const clashCount = (content.match(/^\s*-\s*\{?\s*name\s*:/gm) || []).length;
+      const singboxCount = (content.match(/"server"\s*:/g) || []).length;
+      return Math.max(clashCount, singboxCount);
+    }
+    return 0;
+  }
+
+  /**
+   * 获取订阅组中的远程订阅地址
+   * @param {object} group - 订阅组
+   * @returns {string[]}
+   */
+  static getSourceUrls(group) {
+    return (group.nodes || '').split('\n')
+      .map(line => line.trim())
+      .filter(line => /^https?:\/\//i.test(line));
+  }
+
+  /**
+   * 获取订阅组中引用的其他订阅组 token
+   * @param {object} group - 订阅组
+   * @returns {string[]}
+   */
+  static getGroupRefs(group) {
+    return (group.nodes || '').split('\n')
+      .map(line => line.trim())
+      .filter(line => /^group:/i.test(line))
+      .map(line => line.slice(GROUP_SOURCE_PREFIX.length).trim());
+  }
+
+  /**
+   * 将订阅组中对某个组的引用改为另一个 token (用于更换 token)
+   * @param {object} group - 订阅组
+   * @param {string} from - 原 token
+   * @param {string} to - 新 token
+   * @returns {string} 替换后的节点列表
+   */
+  static replaceGroupRef(group, from, to) {
+    return (group.nodes || '').split('\n')
+      .map(line => (/^group:/i.test(line.trim()) && line.trim().slice(GROUP_SOURCE_PREFIX.length).trim() === from
+        ? `${GROUP_SOURCE_PREFIX}${to}`
+        : line))
+      .join('\n');
+  }
+
+  /**
+   * 识别上游返回内容的类型
+   * @param {string} content - 响应内容
+   * @returns {'config'|'base64'|'plain'|null} config 为 Clash/Sing-box 配置文件，无法识别返回 null
+   */
+  static _detectContentType(content) {
+    if (content.includes('proxies:') || (content.includes('outbounds') && content.includes('inbounds'))) return 'config';
+    if (isValidBase64(content)) return 'base64';
+    if (content.includes('://')) return 'plain';
+    return null;
+  }
+
+  /**
+   * 刷新所有订阅组中的上游缓存 (由 Cron 触发)
+   * @returns {Promise<{total: number, succeeded: number, failed: number}>}
+   */
+  static async refreshAllSources(logger) {
+    const cacheConfig = ConfigService.get('cache');
+    if (!cacheConfig.enabled) return { total: 0, succeeded: 0, failed: 0 };
+
+    const groups = await KVService.getAllGroups();
+    const urls = new Set(groups.flatMap(group => this.getSourceUrls(group)));
+
+    const userAgent = `Mozilla/5.0 ${UPSTREAM_UA_SUFFIX}`;
+    const results = await Promise.allSettled([...urls].map(async (url) => {
+      try {
+        const result = await this._fetchSource(url, userAgent, AbortSignal.timeout(cacheConfig.refreshTimeout * 1000));
+        await this._recordHealth(url, result, null, logger);
+        await this._saveSourceCache(result, cacheConfig, logger);
+      } catch (error) {
+        await this._recordHealth(url, null, error, logger);
+        throw { url, error };
+      }
+    }));
+
+    const failed = results.filter(r => r.status === 'rejected');
+    failed.forEach(({ reason }) => logger.warn('Scheduled source refresh failed', { URL: reason.url, Error: reason.error.message }));
+    const summary = { total: urls.size, succeeded: urls.size - failed.length, failed: failed.length };
+    logger.info('Scheduled source refresh finished', summary);
+    return summary;
+  }
+
+  /**
+   * 解析 Subscription-Userinfo 响应头
+   * @param {string|null} header - 形如 upload=1; download=2; total=3; expire=4
+   * @returns {{upload: number, download: number, total: number, expire: number}|null}
+   */
+  static _parseUserinfo(header) {
+    if (!header) return null;
+    const info = { upload: 0, download: 0, total: 0, expire: 0 };
+    let found = false;
+    for (const pair of header.split(';')) {
+      const [key, value] = pair.split('=').map(s => s && s.trim().toLowerCase());
+      if (key in info && value && !isNaN(Number(value))) {
+        info[key] = Math.floor(Number(value));
+        found = true;
+      }
+    }
+    return found ? info : null;
+  }
+
+  /**
+   * 根据组与全局设置确定最终下发的订阅流量信息
+   * aggregate: 汇总所有上游 (流量求和，取最早的到期时间)；static: 使用固定值；hidden: 不下发
+   * @param {object} group - 订阅组
+   * @param {object[]} userinfos - 各上游的流量信息
+   * @returns {{upload: number, download: number, total: number, expire: number}|null}
+   */
+  static _resolveUserinfo(group, userinfos) {
+    const globalInfo = ConfigService.get('subscriptionInfo');
+    const groupInfo = group.subscriptionInfo || {};
+    const mode = groupInfo.mode && groupInfo.mode !== 'inherit' ? groupInfo.mode : globalInfo.mode;
+
+    if (mode === 'hidden') return null;
+
+    let info = null;
+    if (mode === 'static') {
+      const totalTB = groupInfo.totalTB ?? globalInfo.totalTB;
+      const expireDate = groupInfo.expireDate || globalInfo.expireDate;
+      const expire = (expireDate === '0')
+        ? 0
+        : (!isNaN(Date.parse(expireDate))
+          ? Math.floor(new Date(expireDate).getTime() / 1000)
+          : -1);
+      info = { upload: 0, download: 0, total: totalTB * 1099511627776, expire };
+    } else if (userinfos && userinfos.length > 0) {
+      // aggregate
+      const expires = userinfos.map(i => i.expire).filter(e => e > 0);
+      info = {
+        upload: userinfos.reduce((sum, i) => sum + i.upload, 0),
+        download: userinfos.reduce((sum, i) => sum + i.download, 0),
+        total: userinfos.reduce((sum, i) => sum + i.total, 0),
+        expire: expires.length ? Math.min(...expires) : 0,
+      };
+    }
+
+    // 使用订阅组的到期时间作为 expire，上游没有流量信息时也会下发
+    const groupExpire = Date.parse(group.expiresAt);
+    if (groupInfo.useGroupExpiry && !isNaN(groupExpire)) {
+      return { upload: 0, download: 0, total: 0, ...info, expire: Math.floor(groupExpire / 1000) };
+    }
+    return info;
+  }
+
+  /**
+   * 根据请求参数与 User-Agent 确定输出格式
+   * @param {Request} request - 原始请求
+   * @returns {string}
+   */
+  static getOutputFormat(request) {
+    return this._getOutputFormat(new URL(request.url), (request.headers.get('User-Agent') || '').toLowerCase());
   }
 
   static _getOutputFormat(url, userAgent) {
@@ -172,13 +626,45 @@ export class SubconverterService {
     return 'base64'; // 默认格式
   }
 
-  static _generateSubConverterUrl(targetFormat, urls, subconverterConfig) {
+  /**
+   * 生成供 subconverter 回访的订阅地址
+   * 配置了 JWT_SECRET 时附带带过期时间和一次性随机数的签名，回访请求据此跳过访问策略与机器人检测
+   * (回访来自 subconverter 的出口 IP，而不是订阅客户端)；IP 白名单与限流仍然生效
+   * @param {URL} url - 原始请求地址
+   * @param {string} token - 请求中的 token
+   * @returns {Promise<string>}
+   */
+  static async _createCallbackUrl(url, token) {
+    const callbackUrl = `https://${url.hostname}/sub/${token}?format=base64`;
+    const secret = ConfigService.getEnv().JWT_SECRET;
+    if (!secret) return callbackUrl;
+    const expires = Math.floor(Date.now() / 1000) + CALLBACK_TTL;
+    const nonce = crypto.randomUUID();
+    return `${callbackUrl}&expires=${expires}&nonce=${nonce}&sig=${await signCallback(secret, token, expires, nonce)}`;
+  }
+
+  /**
+   * 检查请求是否为带有效签名的 subconverter 回访，每个回访地址只能使用一次
+   * @param {Request} request - 请求
+   * @param {string} token - 请求中的 token
+   * @returns {Promise<boolean>}
+   */
+  static async isSignedCallback(request, token) {
+    const params = new URL(request.url).searchParams;
+    if (!params.has('sig')) return false;
+    const nonce = params.get('nonce');
+    const valid = await verifyCallback(ConfigService.getEnv().JWT_SECRET, token, params.get('expires'), nonce, params.get('sig'));
+    return valid && KVService.claimCallbackNonce(nonce, CALLBACK_TTL);
+  }
+
+  static _generateSubConverterUrl(targetFormat, urls, subconverterConfig, renamed = false) {
     const params = new URLSearchParams({
       target: targetFormat,
       url: urls.join('|'),
       insert: 'false',
       config: subconverterConfig.configUrl,
-      emoji: 'true',
+      // 已由重命名规则处理过的节点不再交给 subconverter 添加 emoji / 重命名
+      emoji: renamed ? 'false' : 'true',
       list: 'false',
       tfo: 'false',
       scv: 'true',
@@ -186,27 +672,22 @@ export class SubconverterService {
       sort: 'false',
     });
     
-    if (targetFormat === 'clash' || targetFormat === 'singbox') {
+    if (!renamed && (targetFormat === 'clash' || targetFormat === 'singbox')) {
       params.set('new_name', 'true');
     }
     return `${subconverterConfig.protocol}://${subconverterConfig.url}/sub?${params.toString()}`;
   }
 
-  static _createSubscriptionHeaders(isConverted = false) {
+  static _createSubscriptionHeaders(isConverted = false, userinfo = null) {
     const config = ConfigService.get();
-    const { totalTB, expireDate } = config.subscriptionInfo;
-    const total = totalTB * 1099511627776;
-    const expire = (expireDate === '0') 
-      ? 0 
-      : (!isNaN(Date.parse(expireDate)) 
-        ? Math.floor(new Date(expireDate).getTime() / 1000) 
-        : -1);
-    
     const headers = {
       'Content-Type': 'text/plain; charset=utf-8',
       'Profile-Update-Interval': `${config.subUpdateTime}`,
-      'Subscription-Userinfo': `upload=0; download=0; total=${total}; expire=${expire}`,
     };
+    if (userinfo) {
+      const { upload, download, total, expire } = userinfo;
+      headers['Subscription-Userinfo'] = `upload=${upload}; download=${download}; total=${total}; expire=${expire}`;
+    }
     if (isConverted) {
       headers['Content-Disposition'] = `attachment; filename*=utf-8''${encodeURIComponent(config.fileName)}`;
     }
@@ -1,98 +1,3 @@
-export function applyFilter(content, filterConfig) {
-  if (!filterConfig || !filterConfig.enabled || !filterConfig.rules || filterConfig.rules.length === 0) {
-    return content;
-  }
-  
-  // 将字符串规则转换为 RegExp 对象，同时创建URL编码版本
-  const regexRules = filterConfig.rules.map(rule => {
-    try {
-      const match = rule.match(new RegExp('^/(.*?)/([gimy]*)$'));
-      const pattern = match[1];
-      const flags = match[2];
-      
-      // 创建原始规则和URL编码规则
-      const originalRegex = new RegExp(pattern, flags);
-      const encodedRegex = new RegExp(encodeURIComponent(pattern), flags);
-      
-      return { original: originalRegex, encoded: encodedRegex };
-    } catch (e) {
-      // 兼容非 /.../i 格式的旧规则
-      const originalRegex = new RegExp(rule);
-      const encodedRegex = new RegExp(encodeURIComponent(rule));
-      return { original: originalRegex, encoded: encodedRegex };
-    }
-  });
-
-  return content.split('\n')
-    .filter(line => {
-      if (!line.trim()) return true;
-      // 同时测试原始规则和编码规则
-      return !regexRules.some(ruleSet => 
-        ruleSet.original.test(line) || ruleSet.encoded.test(line)
-      );
-    })
-    .join('\n');
-}
-
-// 阻止的 UA 列表
-const BOT_UA_PATTERNS = new RegExp([
-  'bot',        // Bot 通杀
-  'spider',
-  'crawler',
-  'slurp',      // Yahoo
-  'ia_archiver',
-  'sogou',
-  'facebook',
-  'pinterest',
-  'ChatGPT-User',
-  'QQ',          // QQ
-  'MicroMessenger', // 微信
-  'request',     // 一些简单的爬虫
-  'wget',
-].join('|'), 'i');
-
-/**
- * 判断是否为机器人访问
- * @param {Request} request - 请求对象
- * @returns {object} 包含分数和是否为机器人的对象
- */
-export function isBot(request) {
-  let score = 0;
-
-  // 检查 User-Agent
-  const userAgent = request.headers.get('User-Agent') || '';
-  if (!userAgent) score += 30;
-  if (BOT_UA_PATTERNS.test(userAgent)) score += 50;
-  if (!userAgent.includes('Mozilla/5.0') && !(/Chrome|Safari|Firefox|Edg|v2rayN|Clash|sing-box|mihomo|xray/).test(userAgent)) score += 10;
-
-  // 检查 HTTP 版本
-  const httpVersion = request.cf?.httpProtocol || '';
-  if (httpVersion == 'HTTP/1.0') score += 50;
-
-  // 检查 TLS 版本
-  const tlsVersion = request.cf?.tlsVersion || '';
-  if (!tlsVersion || tlsVersion == 'TLSv1.0' || tlsVersion == 'TLSv1.1') score += 50;
-
-  // 检查 sec-fetch-*
-  const secSite = request.headers.get('sec-fetch-site') || '';
-  const secMode = request.headers.get('sec-fetch-mode') || '';
-  const secDest = request.headers.get('sec-fetch-dest') || '';
-  const secUser = request.headers.get('sec-fetch-user') || '';
-  if (!secSite || secMode !== 'navigate' || secDest !== 'document' || !secUser) score += 20;
-
-  // 检查 Accept
-  const accept = request.headers.get('Accept') || '';
-  if (!accept.includes('text/html') || accept.length < 10) score += 10;
-
-  // 赦免 subconverter 的回调
-  const subconverterVersion = request.headers.get('subconverter-version') || '';
-  const subconverterRequest = request.headers.get('subconverter-request') || '';
-  if (subconverterRequest === '1' && subconverterVersion && userAgent.includes('subconverter')) score -= 10;
-
-  return { score, ifBot: score >= 50 };
-}
-
-
 export const response = {
   /**
    * 通用响应方法，使用指定的 content-type
@@ -188,3 +93,99 @@ export function safeBtoa(str) {
   }
   return btoa(binary);
 }
+
+/**
+ * Safely decodes a Base64 (or Base64URL) string into a UTF-8 string.
+ * Missing padding is tolerated.
+ * @param {string} str The Base64-encoded string.
+ * @returns {string} The decoded string.
+ */
+export function safeAtob(str) {
+  let cleanStr = String(str).replace(/\s+/g, '').replace(/-/g, '+').replace(/_/g, '/');
+  while (cleanStr.length % 4) {
+    cleanStr += '=';
+  }
+  const binary = atob(cleanStr);
+  const bytes = new Uint8Array(binary.length);
+  for (let i = 0; i < binary.length; i++) {
+    bytes[i] = binary.charCodeAt(i);
+  }
+  return new TextDecoder().decode(bytes);
+}
+
+/**
+ * 去除值为空的字段 (undefined、null、空字符串、空数组和空对象)
+ * @param {object} obj - 原对象
+ * @returns {object} 新对象
+ */
+export function compact(obj) {
+  const result = {};
+  for (const [key, value] of Object.entries(obj)) {
+    if (value === undefined || value === null || value === '') continue;
+    if (Array.isArray(value) && value.length === 0) continue;
+    if (!Array.isArray(value) && typeof value === 'object' && Object.keys(value).length === 0) continue;
+    result[key] = value;
+  }
+  return result;
+}
+
+/**
+ * 将 IPv4/IPv6 地址解析为 BigInt，无法解析时返回 null
+ * @param {string} ip - IP 地址
+ * @returns {{ value: bigint, bits: number }|null}
+ */
+function parseIp(ip) {
+  const str = String(ip || '').trim().replace(/^\[(.*)\]$/, '$1');
+  if (/^\d{1,3}(\.\d{1,3}){3}$/.test(str)) {
+    const parts = str.split('.').map(Number);
+    if (parts.some(p => p > 255)) return null;
+    return { value: parts.reduce((acc, p) => (acc << 8n) + BigInt(p), 0n), bits: 32 };
+  }
+  if (!str.includes(':') || !/^[0-9a-fA-F:.]+$/.test(str)) return null;
+
+  const [head, tail = null] = str.split('::');
+  if (str.split('::').length > 2) return null;
+  const toGroups = part => (part ? part.split(':') : []);
+  const headGroups = toGroups(head);
+  const tailGroups = tail === null ? [] : toGroups(tail);
+  // 处理 IPv4 映射地址 (::ffff:1.2.3.4)
+  const last = tailGroups.length ? tailGroups : headGroups;
+  if (last.length && last[last.length - 1].includes('.')) {
+    const v4 = parseIp(last.pop());
+    if (!v4) return null;
+    last.push((v4.value >> 16n).toString(16), (v4.value & 0xffffn).toString(16));
+  }
+  const missing = 8 - headGroups.length - tailGroups.length;
+  if (tail === null ? missing !== 0 : missing < 1) return null;
+  const groups = [...headGroups, ...Array(tail === null ? 0 : missing).fill('0'), ...tailGroups];
+  if (groups.some(g => !/^[0-9a-fA-F]{1,4}$/.test(g))) return null;
+  return { value: groups.reduce((acc, g) => (acc << 16n) + BigInt(parseInt(g, 16)), 0n), bits: 128 };
+}
+
+/**
+ * 判断 IP 是否属于给定的 CIDR 网段 (支持 IPv4 与 IPv6，不带前缀长度时视为单个地址)
+ * @param {string} ip - IP 地址
+ * @param {string} cidr - 网段，如 10.0.0.0/8
+ * @returns {boolean}
+ */
+export function ipInCidr(ip, cidr) {
+  const [range, prefixStr] = String(cidr || '').trim().split('/');
+  const addr = parseIp(ip);
+  const net = parseIp(range);
+  if (!addr || !net || addr.bits !== net.bits) return false;
+
+  const prefix = prefixStr === undefined ? net.bits : parseInt(prefixStr, 10);
+  if (isNaN(prefix) || prefix < 0 || prefix > net.bits) return false;
+  const shift = BigInt(net.bits - prefix);
+  return (addr.value >> shift) === (net.value >> shift);
+}
+
+/**
+ * 计算字符串的 SHA-256 十六进制摘要
+ * @param {string} str - 输入字符串
+ * @returns {Promise<string>}
+ */
+export async function sha256Hex(str) {
+  const digest = await crypto.subtle.digest('SHA-256', new TextEncoder().encode(str));
+  return Array.from(new Uint8Array(digest), b => b.toString(16).padStart(2, '0')).join('');
+}
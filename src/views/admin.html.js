@@ -24,6 +24,8 @@ export function renderAdminPage() {
           flex-shrink: 0; height: 60px; z-index: 10;
       }
       .header-left { display: flex; align-items: center; gap: 20px; }
+      .header-right { display: flex; align-items: center; gap: 10px; }
+      .current-user { font-size: 14px; color: #666; }
       .header h1 { font-size: 20px; margin: 0; }
       .nav button {
           font-size: 16px; padding: 8px 16px; border: none; background: none; cursor: pointer;
@@ -42,6 +44,9 @@ export function renderAdminPage() {
       }
       .sidebar-item:hover { background-color: var(--hover-bg); }
       .sidebar-item.active { background-color: var(--active-bg); color: var(--active-text); }
+      .sidebar-item .last-seen { display: block; font-size: 12px; font-weight: normal; color: #888; pointer-events: none; }
+      .sidebar-item .group-status { margin-left: 4px; padding: 0 4px; border-radius: 3px; font-size: 11px; font-weight: normal; background: #eee; color: #666; pointer-events: none; }
+      .sidebar-item .group-status.expired { background: #fdecea; color: #c62828; }
       .sidebar-item.new { color: var(--primary-color); border: 1px dashed var(--primary-color); text-align: center; }
       .content-area { flex-grow: 1; padding: 30px 0; overflow-y: auto; }
       .form-container {
@@ -51,7 +56,7 @@ export function renderAdminPage() {
       }
       .form-group { margin-bottom: 20px; }
       label { display: block; font-weight: 600; margin-bottom: 8px; }
-      input[type="text"], input[type="password"], input[type="number"], textarea {
+      input[type="text"], input[type="password"], input[type="number"], input[type="datetime-local"], select, textarea {
           width: 100%; padding: 10px; border: 1px solid var(--border-color);
           border-radius: 4px; font-size: 14px; box-sizing: border-box;
       }
@@ -60,6 +65,37 @@ export function renderAdminPage() {
       .token-group input { flex-grow: 1; }
       .checkbox-group { display: flex; align-items: center; }
       .checkbox-group input { margin-right: 10px; width: auto; }
+      .table-wrapper { overflow-x: auto; }
+      .table { width: 100%; border-collapse: collapse; font-size: 14px; }
+      .table th, .table td { padding: 8px; border-bottom: 1px solid var(--border-color); text-align: left; vertical-align: middle; }
+      .table td input[type="text"], .table td input[type="datetime-local"] { padding: 6px; }
+      .table td .btn-sm { white-space: nowrap; }
+      .table td.url-cell { max-width: 320px; overflow: hidden; text-overflow: ellipsis; white-space: nowrap; }
+      .filter-rule { border: 1px dashed var(--border-color); border-radius: 4px; padding: 10px; margin-bottom: 10px; }
+      .filter-rule-header, .filter-condition { display: flex; align-items: center; gap: 8px; margin-bottom: 8px; }
+      .filter-rule-header select { width: auto; }
+      .filter-condition select { width: auto; flex-shrink: 0; }
+      .filter-condition input { flex-grow: 1; min-width: 0; }
+      .chart { display: flex; align-items: flex-end; gap: 2px; height: 120px; border-bottom: 1px solid var(--border-color); }
+      .chart-bar { flex: 1; background-color: var(--primary-color); min-height: 1px; border-radius: 2px 2px 0 0; }
+      .chart-labels { display: flex; justify-content: space-between; font-size: 12px; color: #888; margin-top: 4px; }
+      .stats-grid { display: grid; grid-template-columns: repeat(auto-fit, minmax(200px, 1fr)); gap: 15px; margin-top: 15px; }
+      .stats-grid h4 { margin: 0 0 8px; font-size: 14px; }
+      .diff { font-family: monospace; font-size: 13px; border: 1px solid var(--border-color); border-radius: 4px; max-height: 480px; overflow: auto; margin-top: 15px; }
+      .diff-line { white-space: pre-wrap; word-break: break-all; padding: 0 8px; }
+      .diff-add { background-color: #e6ffed; color: #22863a; }
+      .diff-del { background-color: #ffeef0; color: #b31d28; }
+      .diff-skip { color: #888; }
+      .audit-change code { font-size: 12px; word-break: break-all; }
+      .recovery-codes { background-color: #fff3cd; color: #856404; border-radius: 4px; padding: 10px 15px; margin-bottom: 15px; }
+      .recovery-codes pre { font-size: 16px; line-height: 1.6; margin: 10px 0; }
+      .bot-test-result { margin-top: 10px; }
+      .bot-test-result .verdict { font-weight: bold; }
+      .bot-test-result .verdict.bot { color: var(--danger-color); }
+      .bot-test-result tr.skipped td { color: #aaa; }
+      .status-dot { display: inline-block; width: 10px; height: 10px; border-radius: 50%; background-color: #adb5bd; }
+      .status-dot.ok { background-color: var(--success-color); }
+      .status-dot.error { background-color: var(--danger-color); }
       .btn {
           padding: 10px 20px; font-size: 16px; border: none; border-radius: 5px;
           cursor: pointer; transition: background-color 0.2s;
@@ -91,6 +127,9 @@ export function renderAdminPage() {
           box-shadow: 0 5px 15px rgba(0,0,0,0.3); width: 90%; max-width: 400px;
       }
       .modal-box h2 { margin-top: 0; }
+      .field-invalid { border-color: var(--danger-color) !important; }
+      .field-error-text { display: block; color: var(--danger-color); font-size: 12px; margin-top: 4px; }
+      .modal-box.modal-wide { max-width: 800px; max-height: 90vh; overflow-y: auto; }
       .modal-actions { margin-top: 20px; display: flex; justify-content: flex-end; gap: 10px; }
       .spinner {
           border: 4px solid #f3f3f3; border-top: 4px solid var(--primary-color);
@@ -231,8 +270,21 @@ export function renderAdminPage() {
           groups: [], config: {},
           selectedGroupToken: null, currentView: 'subscriptions',
           isNewGroup: false,
-          confirmPromise: null, confirmMessage: ''
+          confirmPromise: null, confirmMessage: '',
+          sources: null,
+          stats: null, statsDays: 14,
+          me: { username: null, role: 'viewer' }, users: null,
+          twoFactor: null, twoFactorSetup: null, recoveryCodes: null,
+          apiTokens: null, newApiToken: null,
+          restorePreview: null,
+          conflict: null,
+          rotatingToken: false,
+          history: null,
+          audit: null, auditFilter: { action: '', actor: '', target: '' }
       },
+      // 角色权限等级，与服务端一致
+      roleLevels: { viewer: 1, editor: 2, owner: 3 },
+      can(role) { return this.roleLevels[this.state.me.role] >= this.roleLevels[role]; },
 
       // --- SECURITY: HTML ESCAPING ---
       escapeHtml(unsafe) {
@@ -260,9 +312,13 @@ export function renderAdminPage() {
       // --- FETCH DATA ---
       async fetchData() {
           try {
-              const [groups, config] = await Promise.all([this.api.getGroups(), this.api.getConfig()]);
+              const [groups, config, me, stats] = await Promise.all([
+                  this.api.getGroups(), this.api.getConfig(), this.api.getMe(), this.api.getStats(this.state.statsDays).catch(() => null)
+              ]);
               this.state.groups = groups;
               this.state.config = config;
+              this.state.me = me;
+              this.state.stats = stats;
           } catch (error) {
               console.error("Failed to fetch initial data:", error);
               this.cache.app.innerHTML = '<div class="loading-container" style="color: var(--danger-color);">加载数据失败，请刷新页面重试。</div>';
@@ -275,22 +331,57 @@ export function renderAdminPage() {
       api: {
           async request(endpoint, options = {}) {
               const response = await fetch(\`/admin/api\${endpoint}\`, { 
-                  headers: { 'Content-Type': 'application/json' },
-                  ...options 
+                  ...options,
+                  headers: { 'Content-Type': 'application/json', ...options.headers }
               });
               if (response.status === 401) { // If session expires
                   window.location.reload();
                   throw new Error('Unauthorized');
               }
-              if (!response.ok) throw new Error(\`API Error: \${response.statusText}\`);
+              if (!response.ok) {
+                  const data = await response.json().catch(() => ({}));
+                  // 附带状态码与响应体，便于调用方处理 409 冲突等情况
+                  throw Object.assign(new Error(data.error || \`API Error: \${response.statusText}\`), { status: response.status, data });
+              }
               return response.json();
           },
           getConfig() { return this.request('/config'); },
           saveConfig(data) { return this.request('/config', { method: 'PUT', body: JSON.stringify(data) }); },
           getGroups() { return this.request('/groups'); },
+          getSources() { return this.request('/sources'); },
+          getStats(days) { return this.request(\`/stats?days=\${days}\`); },
+          getMe() { return this.request('/me'); },
+          getUsers() { return this.request('/users'); },
+          createUser(user) { return this.request('/users', { method: 'POST', body: JSON.stringify(user) }); },
+          updateUser(user) { return this.request(\`/users/\${encodeURIComponent(user.username)}\`, { method: 'PUT', body: JSON.stringify(user) }); },
+          deleteUser(username) { return this.request(\`/users/\${encodeURIComponent(username)}\`, { method: 'DELETE' }); },
+          exportBackup(redact) { return this.request(\`/backup?redact=\${redact ? 1 : 0}\`); },
+          restoreBackup(bundle, mode, dryRun) { return this.request(\`/restore?mode=\${mode}&dryRun=\${dryRun ? 1 : 0}\`, { method: 'POST', body: JSON.stringify(bundle) }); },
+          getGroupHistory(token) { return this.request(\`/groups/\${token}/history\`); },
+          restoreGroupRevision(token, id) { return this.request(\`/groups/\${token}/history/\${encodeURIComponent(id)}/restore\`, { method: 'POST' }); },
+          getConfigHistory() { return this.request('/config/history'); },
+          restoreConfigRevision(id) { return this.request(\`/config/history/\${encodeURIComponent(id)}/restore\`, { method: 'POST' }); },
+          getAudit(params) {
+              const query = new URLSearchParams(Object.entries(params).filter(([, value]) => value));
+              return this.request(\`/audit?\${query}\`);
+          },
+          getApiTokens() { return this.request('/api-tokens'); },
+          createApiToken(token) { return this.request('/api-tokens', { method: 'POST', body: JSON.stringify(token) }); },
+          revokeApiToken(id) { return this.request(\`/api-tokens/\${encodeURIComponent(id)}\`, { method: 'DELETE' }); },
+          resetUserTwoFactor(username) { return this.request(\`/users/\${encodeURIComponent(username)}/2fa\`, { method: 'DELETE' }); },
+          getTwoFactor() { return this.request('/2fa'); },
+          setupTwoFactor() { return this.request('/2fa/setup', { method: 'POST' }); },
+          enableTwoFactor(code) { return this.request('/2fa/enable', { method: 'POST', body: JSON.stringify({ code }) }); },
+          disableTwoFactor(code) { return this.request('/2fa/disable', { method: 'POST', body: JSON.stringify({ code }) }); },
+          regenerateRecoveryCodes(code) { return this.request('/2fa/recovery-codes', { method: 'POST', body: JSON.stringify({ code }) }); },
           createGroup(group) { return this.request('/groups', { method: 'POST', body: JSON.stringify(group) }); },
-          updateGroup(group) { return this.request(\`/groups/\${group.token}\`, { method: 'PUT', body: JSON.stringify(group) }); },
-          deleteGroup(token) { return this.request(\`/groups/\${token}\`, { method: 'DELETE' }); },
+          // revision 用作 If-Match，组已被他人修改时服务端返回 409
+          updateGroup(group, revision) { return this.request(\`/groups/\${group.token}\`, { method: 'PUT', body: JSON.stringify(group), headers: { 'If-Match': \`"\${revision || 0}"\` } }); },
+          deleteGroup(token, revision) { return this.request(\`/groups/\${token}\`, { method: 'DELETE', headers: { 'If-Match': \`"\${revision || 0}"\` } }); },
+          rotateGroupToken(token, options, revision) { return this.request(\`/groups/\${token}/rotate\`, { method: 'POST', body: JSON.stringify(options), headers: { 'If-Match': \`"\${revision || 0}"\` } }); },
+          revokePreviousToken(token, previous) { return this.request(\`/groups/\${token}/previous-tokens/\${encodeURIComponent(previous)}\`, { method: 'DELETE' }); },
+          testBotDetection(data) { return this.request('/bot-detection/test', { method: 'POST', body: JSON.stringify(data) }); },
+          rebuildGroupIndex(dryRun) { return this.request(\`/groups/reindex?dryRun=\${dryRun ? 1 : 0}\`, { method: 'POST' }); },
           generateToken() { return this.request('/utils/gentoken'); },
           logout() { return this.request('/logout', { method: 'POST' }); }
       },
@@ -328,13 +419,77 @@ export function renderAdminPage() {
                   break;
               case 'navigate': 
                   this.state.currentView = e.target.dataset.view; 
+                  this.state.history = null; 
+                  this.state.rotatingToken = false; 
                   this.state.selectedGroupToken = null; 
                   this.state.isNewGroup = false; 
                   this.closeSidebar();
                   this.render(); 
+                  if (this.state.currentView === 'sources') await this.loadSources();
+                  if (this.state.currentView === 'stats') await this.loadStats();
+                  if (this.state.currentView === 'users') await this.loadUsers();
+                  if (this.state.currentView === 'settings') await this.loadTwoFactor();
+                  if (this.state.currentView === 'audit') await this.loadAudit();
+                  break;
+              case 'refresh-sources': await this.loadSources(); break;
+              case 'add-user': await this.addUser(); break;
+              case 'save-user': await this.saveUser(e.target.closest('tr')); break;
+              case 'delete-user': 
+                  if (await this.UI.confirm(\`确定要删除账户 \${e.target.dataset.username} 吗？\`)) await this.deleteUser(e.target.dataset.username); 
+                  break;
+              case 'reset-user-2fa': 
+                  if (await this.UI.confirm(\`确定要重置账户 \${e.target.dataset.username} 的两步验证吗？该账户将只需密码即可登录。\`)) await this.resetUserTwoFactor(e.target.dataset.username); 
+                  break;
+              case 'add-api-token': await this.addApiToken(); break;
+              case 'revoke-api-token': 
+                  if (await this.UI.confirm(\`确定要吊销 API 令牌 \${e.target.dataset.name} 吗？使用它的脚本将无法再访问。\`)) await this.revokeApiToken(e.target.dataset.id); 
+                  break;
+              case 'dismiss-api-token': this.state.newApiToken = null; this.render(); break;
+              case 'refresh-audit': 
+                  this.state.auditFilter = { 
+                      action: document.getElementById('audit-action').value, 
+                      actor: document.getElementById('audit-actor').value.trim(), 
+                      target: document.getElementById('audit-target').value.trim() 
+                  }; 
+                  await this.loadAudit(); 
+                  break;
+              case 'more-audit': await this.loadAudit(true); break;
+              case 'load-history': await this.loadHistory(e.target.dataset.kind); break;
+              case 'close-history': this.state.history = null; this.render(); break;
+              case 'compare-revisions': 
+                  this.state.history.base = e.target.dataset.base || document.getElementById('history-base').value; 
+                  this.state.history.target = e.target.dataset.target || document.getElementById('history-target').value; 
+                  this.render(); 
+                  break;
+              case 'restore-revision': 
+                  if (await this.UI.confirm('确定要恢复到此版本吗？当前内容会作为一个历史版本保留。')) await this.restoreRevision(e.target.dataset.id); 
+                  break;
+              case 'export-backup': await this.exportBackup(); break;
+              case 'preview-restore': await this.previewRestore(); break;
+              case 'apply-restore': 
+                  if (await this.UI.confirm('确定要按预览内容恢复备份吗？此操作会覆盖当前数据。')) await this.applyRestore(); 
+                  break;
+              case 'cancel-restore': this.state.restorePreview = null; this.render(); break;
+              case 'conflict-overwrite': await this.resolveConflict('overwrite'); break;
+              case 'conflict-reload': await this.resolveConflict('reload'); break;
+              case 'conflict-cancel': this.state.conflict = null; this.cache.modal.innerHTML = ''; break;
+              case 'rebuild-index': await this.rebuildGroupIndex(); break;
+              case 'test-bot-detection': await this.testBotDetection(); break;
+              case 'setup-2fa': await this.setupTwoFactor(); break;
+              case 'enable-2fa': await this.enableTwoFactor(); break;
+              case 'disable-2fa': await this.disableTwoFactor(); break;
+              case 'regenerate-recovery-codes': await this.regenerateRecoveryCodes(); break;
+              case 'cancel-2fa-setup': this.state.twoFactorSetup = null; this.render(); break;
+              case 'dismiss-recovery-codes': this.state.recoveryCodes = null; this.render(); break;
+              case 'copy-text': await this.copyText(e.target.dataset.text); break;
+              case 'refresh-stats': 
+                  this.state.statsDays = parseInt(document.getElementById('stats-days').value, 10); 
+                  await this.loadStats(); 
                   break;
               case 'select-group': 
                   this.state.selectedGroupToken = e.target.dataset.token; 
+                  this.state.history = null; 
+                  this.state.rotatingToken = false; 
                   this.state.isNewGroup = false; 
                   this.closeSidebar();
                   this.render(); 
@@ -345,8 +500,20 @@ export function renderAdminPage() {
                   this.closeSidebar();
                   this.render(); 
                   break;
-              case 'generate-token': const { token } = await this.api.generateToken(); document.getElementById('group-token').value = token; break;
+              case 'rotate-token': this.state.rotatingToken = true; this.render(); break;
+              case 'cancel-rotate': this.state.rotatingToken = false; this.render(); break;
+              case 'confirm-rotate': await this.rotateGroupToken(); break;
+              case 'revoke-previous-token': 
+                  if (await this.UI.confirm('确定要让这个旧 Token 立即失效吗？仍在使用旧地址的客户端将无法更新订阅。')) await this.revokePreviousToken(e.target.dataset.previous); 
+                  break;
               case 'copy-url': await this.copyGroupUrl(); break;
+              case 'add-access-token': await this.addAccessToken(); break;
+              case 'remove-access-token': e.target.closest('tr').remove(); break;
+              case 'add-filter-rule': document.getElementById(\`filter-\${e.target.dataset.kind}-rules\`).insertAdjacentHTML('beforeend', this.renderFilterRule({ logic: 'and', conditions: [{}] })); break;
+              case 'remove-filter-rule': e.target.closest('.filter-rule').remove(); break;
+              case 'add-filter-condition': e.target.closest('.filter-rule').querySelector('.filter-conditions').insertAdjacentHTML('beforeend', this.renderFilterCondition({})); break;
+              case 'remove-filter-condition': e.target.closest('.filter-condition').remove(); break;
+              case 'copy-access-url': await this.copyGroupUrl(e.target.dataset.token); break;
               case 'save-group': await this.saveGroup(); break;
               case 'delete-group': if (await this.UI.confirm('确定要删除这个订阅组吗？此操作不可撤销。')) await this.deleteGroup(); break;
               case 'save-settings': await this.saveSettings(); break;
@@ -375,7 +542,11 @@ export function renderAdminPage() {
       // --- ACTIONS ---
       async refreshData() { 
         try { 
-          [this.state.groups, this.state.config] = await Promise.all([this.api.getGroups(), this.api.getConfig()]); 
+          [this.state.groups, this.state.config, this.state.stats] = await Promise.all([
+            this.api.getGroups(), 
+            this.api.getConfig(), 
+            this.api.getStats(this.state.statsDays).catch(() => null) // 统计仅用于展示，失败不影响其他数据
+          ]); 
         } catch (error) { 
           console.error('Failed to refresh data:', error); 
           this.UI.showToast('数据刷新失败', 'error'); 
@@ -385,12 +556,38 @@ export function renderAdminPage() {
         const form = document.getElementById('group-form'); 
         const group = { 
           name: form.elements['group-name'].value, 
-          allowChinaAccess: form.elements['allow-china'].checked, 
+          accessPolicy: { mode: form.elements['policy-mode'].value, ...this.collectAccessPolicy(form, 'policy') }, 
+          ipAllowlist: form.elements['group-ip-allowlist'].value.split('\\n').map(s => s.trim()).filter(Boolean), 
           nodes: form.elements['group-nodes'].value, 
+          enabled: form.elements['group-enabled'].checked, 
+          activeFrom: this.fromLocalInput(form.elements['group-active-from'].value), 
+          expiresAt: this.fromLocalInput(form.elements['group-expires-at'].value), 
+          expiredAction: form.elements['group-expired-action'].value, 
           filter: { 
             enabled: form.elements['filter-enabled'].checked, 
-            rules: form.elements['filter-rules'].value.split('\\n').filter(Boolean) 
-          } 
+            include: this.collectFilterRules('include'), 
+            exclude: this.collectFilterRules('exclude') 
+          }, 
+          dedupe: { 
+            enabled: form.elements['dedupe-enabled'].checked, 
+            strategy: form.elements['dedupe-strategy'].value, 
+            preferredSources: form.elements['dedupe-preferred'].value.split('\\n').map(s => s.trim()).filter(Boolean) 
+          }, 
+          rename: { 
+            enabled: form.elements['rename-enabled'].checked, 
+            rules: form.elements['rename-rules'].value.split('\\n').filter(Boolean), 
+            prefix: form.elements['rename-prefix'].value, 
+            suffix: form.elements['rename-suffix'].value, 
+            emoji: form.elements['rename-emoji'].checked, 
+            ipRegions: form.elements['rename-ip-regions'].value.split('\\n').filter(Boolean) 
+          }, 
+          subscriptionInfo: { 
+            mode: form.elements['group-info-mode'].value, 
+            totalTB: form.elements['group-info-total'].value === '' ? null : parseFloat(form.elements['group-info-total'].value), 
+            expireDate: form.elements['group-info-expire'].value, 
+            useGroupExpiry: form.elements['group-info-use-expiry'].checked 
+          }, 
+          accessTokens: this.collectAccessTokens() 
         }; 
         
         // 只有编辑现有组时才包含token
@@ -402,12 +599,14 @@ export function renderAdminPage() {
           this.UI.showToast('组名不能为空！', 'error');
           return; 
         } 
+        this.clearFieldErrors();
         try { 
           let savedGroup; 
           if (this.state.isNewGroup) { 
             savedGroup = await this.api.createGroup(group); 
           } else { 
-            savedGroup = await this.api.updateGroup(group); 
+            const loaded = this.state.groups.find(g => g.token === group.token);
+            savedGroup = await this.api.updateGroup(group, loaded && loaded.revision); 
           } 
           await this.refreshData(); 
           this.state.isNewGroup = false; 
@@ -416,13 +615,317 @@ export function renderAdminPage() {
           this.UI.showToast('保存成功！'); 
         } catch (err) { 
           console.error(err); 
-          this.UI.showToast('保存失败', 'error'); 
+          if (err.status === 409) {
+            this.state.conflict = { mine: group, current: err.data.current };
+            this.cache.modal.innerHTML = this.renderConflictModal();
+            return;
+          }
+          if (err.data && err.data.errors) this.showFieldErrors(err.data.errors, path => this.findGroupField(path));
+          this.UI.showToast('保存失败: ' + err.message, 'error'); 
         } 
       },
+      // 在表单中标出服务端返回的字段级错误，resolve 将字段路径映射为 { element, note }
+      showFieldErrors(errors, resolve) {
+        this.clearFieldErrors();
+        let first = null;
+        for (const { path, message } of errors) {
+          const field = resolve(path);
+          if (!field || !field.element) continue;
+          field.element.classList.add('field-invalid');
+          field.element.insertAdjacentHTML('afterend', \`<small class="field-error-text">\${this.escapeHtml(field.note ? \`\${field.note}：\${message}\` : message)}</small>\`);
+          first = first || field.element;
+        }
+        if (first) first.focus();
+      },
+      clearFieldErrors() {
+        document.querySelectorAll('.field-invalid').forEach(element => element.classList.remove('field-invalid'));
+        document.querySelectorAll('.field-error-text').forEach(element => element.remove());
+      },
+      findGroupField(path) {
+        const form = document.getElementById('group-form');
+        const ids = {
+          name: 'group-name', nodes: 'group-nodes',
+          activeFrom: 'group-active-from', expiresAt: 'group-expires-at', expiredAction: 'group-expired-action',
+          'accessPolicy.mode': 'policy-mode', 'accessPolicy.action': 'policy-action',
+          'accessPolicy.allowCountries': 'policy-allow-countries', 'accessPolicy.denyCountries': 'policy-deny-countries',
+          'accessPolicy.allowAsns': 'policy-allow-asns', 'accessPolicy.denyAsns': 'policy-deny-asns',
+          ipAllowlist: 'group-ip-allowlist',
+          'dedupe.strategy': 'dedupe-strategy', 'dedupe.preferredSources': 'dedupe-preferred',
+          'rename.rules': 'rename-rules', 'rename.prefix': 'rename-prefix', 'rename.suffix': 'rename-suffix', 'rename.ipRegions': 'rename-ip-regions',
+          'subscriptionInfo.mode': 'group-info-mode', 'subscriptionInfo.totalTB': 'group-info-total', 'subscriptionInfo.expireDate': 'group-info-expire',
+        };
+        // 过滤条件：与 collectFilterRules 一致，跳过值为空的条件与没有条件的规则
+        let match = path.match(/^filter\\.(include|exclude)\\[(\\d+)\\]\\.conditions\\[(\\d+)\\]\\.(field|op|value)$/);
+        if (match) {
+          const filled = row => row.querySelector('.filter-value').value.trim() !== '';
+          const rules = Array.from(document.querySelectorAll(\`#filter-\${match[1]}-rules .filter-rule\`))
+            .filter(rule => Array.from(rule.querySelectorAll('.filter-condition')).some(filled));
+          const rule = rules[Number(match[2])];
+          const row = rule && Array.from(rule.querySelectorAll('.filter-condition')).filter(filled)[Number(match[3])];
+          return row ? { element: row.querySelector(\`.filter-\${match[4]}\`) } : null;
+        }
+        match = path.match(/^accessTokens\\[(\\d+)\\]\\.(\\w+)$/);
+        if (match) {
+          const classes = { token: 'access-token', name: 'access-name', expiresAt: 'access-expires', enabled: 'access-enabled', note: 'access-note' };
+          const row = document.querySelectorAll('#access-token-rows tr')[Number(match[1])];
+          return row && classes[match[2]] ? { element: row.querySelector(\`.\${classes[match[2]]}\`) } : null;
+        }
+        // 多行输入框中的某一项
+        match = path.match(/^([\\w.]+)\\[(\\d+)\\]$/);
+        if (match && ids[match[1]]) return { element: form.elements[ids[match[1]]], note: \`第 \${Number(match[2]) + 1} 条\` };
+        return ids[path] ? { element: form.elements[ids[path]] } : null;
+      },
+      findSettingsField(path) {
+        const ids = {
+          blockBots: 'block-bots',
+          'cache.freshTtl': 'cache-fresh-ttl', 'cache.staleTtl': 'cache-stale-ttl',
+          'stats.retentionDays': 'stats-retention', 'history.maxRevisions': 'history-max-revisions', 'audit.retentionDays': 'audit-retention',
+          'subscriptionInfo.mode': 'sub-info-mode', 'subscriptionInfo.totalTB': 'sub-info-total', 'subscriptionInfo.expireDate': 'sub-info-expire',
+          'failedBan.maxAttempts': 'failed-ban-max-attempts', 'failedBan.banDuration': 'failed-ban-duration', 'failedBan.failedAttemptsTtl': 'failed-ban-ttl',
+          'telegram.botToken': 'tg-token', 'telegram.chatId': 'tg-chatid',
+          'subconverter.engine': 'subconverter-engine', 'subconverter.url': 'subconverter-url', 'subconverter.configUrl': 'subconverter-config',
+          'singbox.template': 'singbox-template',
+          'tokenRotation.graceHours': 'rotation-grace', 'tokenRotation.mode': 'rotation-mode', 'tokenRotation.noticeMessage': 'rotation-notice',
+          'lifecycle.expiredAction': 'lifecycle-action', 'lifecycle.noticeMessage': 'lifecycle-notice', 'lifecycle.warnDays': 'lifecycle-warn-days',
+          'accessPolicy.action': 'global-policy-action',
+          'accessPolicy.allowCountries': 'global-policy-allow-countries', 'accessPolicy.denyCountries': 'global-policy-deny-countries',
+          'accessPolicy.allowAsns': 'global-policy-allow-asns', 'accessPolicy.denyAsns': 'global-policy-deny-asns',
+          'botDetection.threshold': 'bot-threshold', 'botDetection.trustedClients': 'bot-trusted',
+          'botDetection.allowUaPatterns': 'bot-allow', 'botDetection.denyUaPatterns': 'bot-deny',
+          ...Object.fromEntries(Object.keys(this.botSignalLabels).map(signal => [\`botDetection.weights.\${signal}\`, \`bot-weight-\${signal}\`])),
+          'rateLimit.tokenLimit': 'rate-limit-token', 'rateLimit.tokenWindow': 'rate-limit-token-window',
+          'rateLimit.ipLimit': 'rate-limit-ip', 'rateLimit.ipWindow': 'rate-limit-ip-window', 'rateLimit.action': 'rate-limit-action',
+        };
+        const form = document.getElementById('settings-form');
+        // 列表输入框中的某一项
+        const match = path.match(/^([\\w.]+)\\[(\\d+)\\]$/);
+        if (match && ids[match[1]]) return { element: form.elements[ids[match[1]]], note: \`第 \${Number(match[2]) + 1} 条\` };
+        return ids[path] ? { element: form.elements[ids[path]] } : null;
+      },
+      async rotateGroupToken() {
+        const token = this.state.selectedGroupToken;
+        const loaded = this.state.groups.find(g => g.token === token);
+        const options = {
+          graceHours: parseFloat(document.getElementById('rotate-grace').value) || 0,
+          mode: document.getElementById('rotate-mode').value,
+        };
+        try {
+          const rotated = await this.api.rotateGroupToken(token, options, loaded && loaded.revision);
+          this.state.rotatingToken = false;
+          this.state.history = null;
+          this.state.selectedGroupToken = rotated.token;
+          await this.refreshData();
+          this.render();
+          this.UI.showToast('Token 已更换，请将新的订阅地址发给用户');
+        } catch (err) {
+          console.error(err);
+          if (err.status === 409) {
+            await this.refreshData();
+            if (!this.state.groups.some(g => g.token === token)) this.state.selectedGroupToken = null;
+            this.render();
+          }
+          this.UI.showToast(\`更换失败: \${err.message}\`, 'error');
+        }
+      },
+      async revokePreviousToken(previous) {
+        try {
+          await this.api.revokePreviousToken(this.state.selectedGroupToken, previous);
+          await this.refreshData();
+          this.render();
+          this.UI.showToast('旧 Token 已失效');
+        } catch (err) {
+          console.error(err);
+          this.UI.showToast(\`操作失败: \${err.message}\`, 'error');
+        }
+      },
+      renderTokenRotation(group) {
+        const defaults = this.state.config.tokenRotation || { graceHours: 168, mode: 'serve' };
+        const modeLabels = { serve: '继续提供订阅', notice: '只返回提示节点' };
+        const active = (group.previousTokens || []).filter(p => Date.parse(p.expiresAt) > Date.now());
+        const previousList = active.length ? \`
+                <div style="margin-top: 8px;">
+                  <small style="color: #666;">宽限期内仍可访问的旧 Token：</small>
+                  <ul style="margin: 4px 0; padding-left: 20px;">
+                    \${active.map(p => \`
+                    <li>
+                      <code>\${this.escapeHtml(p.token.slice(0, 8))}…</code>
+                      <small>有效至 \${new Date(p.expiresAt).toLocaleString()} · \${modeLabels[p.mode] || this.escapeHtml(p.mode)}</small>
+                      \${this.can('editor') ? \`<button type="button" class="btn btn-secondary btn-sm" data-action="revoke-previous-token" data-previous="\${this.escapeHtml(p.token)}">立即失效</button>\` : ''}
+                    </li>\`).join('')}
+                  </ul>
+                </div>\` : '';
+        if (!this.state.rotatingToken) return previousList;
+        return \`\${previousList}
+                <div class="recovery-codes">
+                  <p>更换后新的订阅地址立即生效，原地址在宽限期内按下方设置处理，到期后自动失效。引用此组的其他订阅组会自动改用新 Token。</p>
+                  <div class="form-group">
+                    <label for="rotate-grace">宽限期 (小时，0 表示原地址立即失效)</label>
+                    <input type="number" id="rotate-grace" min="0" max="8760" value="\${this.escapeHtml(defaults.graceHours)}">
+                  </div>
+                  <div class="form-group">
+                    <label for="rotate-mode">宽限期内原地址</label>
+                    <select id="rotate-mode">
+                      <option value="serve" \${defaults.mode === 'notice' ? '' : 'selected'}>继续提供订阅</option>
+                      <option value="notice" \${defaults.mode === 'notice' ? 'selected' : ''}>只返回“订阅已更换”提示节点</option>
+                    </select>
+                  </div>
+                  <button type="button" class="btn btn-secondary btn-sm" data-action="cancel-rotate">取消</button>
+                  <button type="button" class="btn btn-danger btn-sm" data-action="confirm-rotate">确认更换</button>
+                </div>\`;
+      },
+      // 处理保存冲突：覆盖为自己的修改，或放弃修改并加载最新版本
+      async resolveConflict(choice) {
+        const { mine, current } = this.state.conflict;
+        this.state.conflict = null;
+        this.cache.modal.innerHTML = '';
+        if (choice === 'overwrite' && current) {
+          try {
+            await this.api.updateGroup(mine, current.revision);
+            this.UI.showToast('已覆盖保存');
+          } catch (err) {
+            console.error(err);
+            this.UI.showToast('保存失败: ' + err.message, 'error');
+          }
+        }
+        await this.refreshData();
+        if (!this.state.groups.some(g => g.token === mine.token)) this.state.selectedGroupToken = null;
+        this.render();
+        if (choice === 'reload') this.UI.showToast('已加载最新版本');
+      },
+      renderConflictModal() {
+        const { mine, current } = this.state.conflict;
+        if (!current) {
+          return \`
+            <div class="modal-overlay">
+              <div class="modal-box">
+                <h2>保存冲突</h2>
+                <p>该订阅组已被其他人删除，无法保存。</p>
+                <div class="modal-actions">
+                  <button class="btn btn-secondary" data-action="conflict-reload">关闭</button>
+                </div>
+              </div>
+            </div>\`;
+        }
+        const { revision, ...others } = current;
+        return \`
+          <div class="modal-overlay">
+            <div class="modal-box modal-wide">
+              <h2>保存冲突</h2>
+              <p>该订阅组在你编辑期间已被其他人修改 (当前版本 \${this.escapeHtml(revision)})。以下为从最新版本到你的修改的差异：</p>
+              \${this.renderDiff(others, mine)}
+              <div class="modal-actions">
+                <button class="btn btn-secondary" data-action="conflict-cancel">继续编辑</button>
+                <button class="btn btn-secondary" data-action="conflict-reload">放弃我的修改</button>
+                <button class="btn btn-danger" data-action="conflict-overwrite">覆盖为我的修改</button>
+              </div>
+            </div>
+          </div>\`;
+      },
+      async rebuildGroupIndex() {
+        try {
+          const preview = await this.api.rebuildGroupIndex(true);
+          if (!preview.added.length && !preview.removed.length) {
+            this.UI.showToast(\`索引完整，共 \${preview.total} 个订阅组\`);
+            return;
+          }
+          const message = \`将补充 \${preview.added.length} 个遗漏的订阅组，移除 \${preview.removed.length} 个已不存在的条目，确定重建索引吗？\`;
+          if (!await this.UI.confirm(message)) return;
+          const result = await this.api.rebuildGroupIndex(false);
+          await this.refreshData();
+          this.render();
+          this.UI.showToast(\`索引已重建，共 \${result.total} 个订阅组\`);
+        } catch (err) {
+          console.error(err);
+          this.UI.showToast(\`重建索引失败: \${err.message}\`, 'error');
+        }
+      },
+      // 机器人检测的评分项说明，与服务端 BOT_SIGNALS 一致
+      botSignalLabels: {
+        emptyUa: '没有 User-Agent',
+        deniedUa: 'User-Agent 命中拒绝规则',
+        unknownUa: '既不是浏览器也不是可信客户端',
+        http10: 'HTTP/1.0 请求',
+        oldTls: '没有 TLS 或 TLS 1.0/1.1',
+        noSecFetch: '缺少 sec-fetch-* 请求头',
+        noHtmlAccept: 'Accept 不包含 text/html',
+        subconverter: 'Subconverter 回访',
+      },
+      collectBotDetection(form) {
+        const lines = id => form.elements[id].value.split('\\n').map(s => s.trim()).filter(Boolean);
+        return {
+          threshold: parseInt(form.elements['bot-threshold'].value) || 50,
+          trustedClients: lines('bot-trusted'),
+          allowUaPatterns: lines('bot-allow'),
+          denyUaPatterns: lines('bot-deny'),
+          weights: Object.fromEntries(Object.keys(this.botSignalLabels)
+            .map(signal => [signal, parseInt(form.elements[\`bot-weight-\${signal}\`].value) || 0])),
+        };
+      },
+      // 使用表单中尚未保存的规则测试粘贴的请求头，只更新结果区域，不重新渲染表单
+      async testBotDetection() {
+        const form = document.getElementById('settings-form');
+        this.clearFieldErrors();
+        try {
+          const result = await this.api.testBotDetection({
+            headers: form.elements['bot-test-headers'].value,
+            httpProtocol: form.elements['bot-test-http'].value,
+            tlsVersion: form.elements['bot-test-tls'].value,
+            rules: this.collectBotDetection(form),
+          });
+          document.getElementById('bot-test-result').innerHTML = this.renderBotTestResult(result);
+        } catch (err) {
+          console.error(err);
+          if (err.data && err.data.errors) this.showFieldErrors(err.data.errors, path => this.findSettingsField(\`botDetection.\${path}\`));
+          this.UI.showToast(\`测试失败: \${err.message}\`, 'error');
+        }
+      },
+      collectAccessTokens() {
+        return Array.from(document.querySelectorAll('#access-token-rows tr')).map(row => {
+          const expires = row.querySelector('.access-expires').value;
+          return {
+            token: row.querySelector('.access-token').value,
+            name: row.querySelector('.access-name').value,
+            enabled: row.querySelector('.access-enabled').checked,
+            expiresAt: this.fromLocalInput(expires),
+            note: row.querySelector('.access-note').value,
+            createdAt: row.dataset.createdAt || undefined,
+          };
+        });
+      },
+      // 逗号或空格分隔的列表；ASN 可写为 AS13335，无法识别的值原样提交，由服务端校验提示
+      collectAccessPolicy(form, prefix) {
+        const list = name => form.elements[\`\${prefix}-\${name}\`].value.split(/[\\s,]+/).filter(Boolean);
+        const asns = name => list(name).map(value => {
+          const asn = Number(value.replace(/^AS/i, ''));
+          return Number.isInteger(asn) ? asn : value;
+        });
+        return {
+          allowCountries: list('allow-countries').map(code => code.toUpperCase()),
+          denyCountries: list('deny-countries').map(code => code.toUpperCase()),
+          allowAsns: asns('allow-asns'),
+          denyAsns: asns('deny-asns'),
+          action: form.elements[\`\${prefix}-action\`].value,
+        };
+      },
+      collectFilterRules(kind) {
+        return Array.from(document.querySelectorAll(\`#filter-\${kind}-rules .filter-rule\`)).map(rule => ({
+          logic: rule.querySelector('.filter-logic').value,
+          conditions: Array.from(rule.querySelectorAll('.filter-condition')).map(row => ({
+            field: row.querySelector('.filter-field').value,
+            op: row.querySelector('.filter-op').value,
+            value: row.querySelector('.filter-value').value.trim(),
+          })).filter(c => c.value !== ''),
+        })).filter(rule => rule.conditions.length > 0);
+      },
+      async addAccessToken() {
+        const { token } = await this.api.generateToken();
+        document.getElementById('access-token-rows').insertAdjacentHTML('beforeend', this.renderAccessTokenRow({ token, enabled: true }));
+      },
       async deleteGroup() { 
         const token = this.state.selectedGroupToken; 
+        const loaded = this.state.groups.find(g => g.token === token);
         try { 
-          await this.api.deleteGroup(token); 
+          await this.api.deleteGroup(token, loaded && loaded.revision); 
           await this.refreshData(); 
           this.state.selectedGroupToken = null; 
           this.state.isNewGroup = false; 
@@ -430,11 +933,412 @@ export function renderAdminPage() {
           this.UI.showToast('删除成功！'); 
         } catch (err) { 
           console.error(err); 
+          if (err.status === 409) {
+            await this.refreshData();
+            if (!this.state.groups.some(g => g.token === token)) this.state.selectedGroupToken = null;
+            this.render();
+            this.UI.showToast('该订阅组已被其他人修改，已加载最新版本，请确认后再删除', 'error');
+            return;
+          }
           this.UI.showToast('删除失败', 'error'); 
         } 
       },
-      async copyGroupUrl() {
-        const token = this.state.selectedGroupToken;
+      async loadSources() {
+        this.state.sources = null;
+        this.render();
+        try {
+          this.state.sources = await this.api.getSources();
+        } catch (err) {
+          console.error(err);
+          this.state.sources = [];
+          this.UI.showToast('加载上游状态失败', 'error');
+        }
+        this.render();
+      },
+      async loadStats() {
+        this.state.stats = null;
+        this.render();
+        try {
+          this.state.stats = await this.api.getStats(this.state.statsDays);
+        } catch (err) {
+          console.error(err);
+          this.state.stats = [];
+          this.UI.showToast('加载访问统计失败', 'error');
+        }
+        this.render();
+      },
+      async loadUsers() {
+        this.state.users = null;
+        this.state.apiTokens = null;
+        this.render();
+        try {
+          [this.state.users, this.state.apiTokens] = await Promise.all([this.api.getUsers(), this.api.getApiTokens()]);
+        } catch (err) {
+          console.error(err);
+          this.state.users = this.state.users || [];
+          this.state.apiTokens = this.state.apiTokens || [];
+          this.UI.showToast('加载账户失败', 'error');
+        }
+        this.render();
+      },
+      async addApiToken() {
+        const expiresAt = document.getElementById('new-api-token-expires').value;
+        const token = {
+          name: document.getElementById('new-api-token-name').value.trim(),
+          scope: document.getElementById('new-api-token-scope').value,
+          expiresAt: expiresAt ? new Date(expiresAt).toISOString() : '',
+        };
+        try {
+          this.state.newApiToken = await this.api.createApiToken(token);
+          this.UI.showToast('API 令牌已创建');
+          await this.loadUsers();
+        } catch (err) {
+          console.error(err);
+          this.UI.showToast(\`创建失败: \${err.message}\`, 'error');
+        }
+      },
+      async revokeApiToken(id) {
+        try {
+          await this.api.revokeApiToken(id);
+          this.UI.showToast('API 令牌已吊销');
+          await this.loadUsers();
+        } catch (err) {
+          console.error(err);
+          this.UI.showToast(\`吊销失败: \${err.message}\`, 'error');
+        }
+      },
+      async addUser() {
+        const user = {
+          username: document.getElementById('new-user-name').value.trim(),
+          password: document.getElementById('new-user-password').value,
+          role: document.getElementById('new-user-role').value,
+        };
+        try {
+          await this.api.createUser(user);
+          this.UI.showToast('账户已创建');
+          await this.loadUsers();
+        } catch (err) {
+          console.error(err);
+          this.UI.showToast(\`创建失败: \${err.message}\`, 'error');
+        }
+      },
+      async saveUser(row) {
+        const user = {
+          username: row.dataset.username,
+          role: row.querySelector('.user-role').value,
+          password: row.querySelector('.user-password').value,
+        };
+        try {
+          await this.api.updateUser(user);
+          this.UI.showToast('账户已更新');
+          await this.loadUsers();
+        } catch (err) {
+          console.error(err);
+          this.UI.showToast(\`更新失败: \${err.message}\`, 'error');
+        }
+      },
+      async deleteUser(username) {
+        try {
+          await this.api.deleteUser(username);
+          this.UI.showToast('账户已删除');
+          await this.loadUsers();
+        } catch (err) {
+          console.error(err);
+          this.UI.showToast(\`删除失败: \${err.message}\`, 'error');
+        }
+      },
+      async resetUserTwoFactor(username) {
+        try {
+          await this.api.resetUserTwoFactor(username);
+          this.UI.showToast('两步验证已重置');
+          await this.loadUsers();
+        } catch (err) {
+          console.error(err);
+          this.UI.showToast(\`重置失败: \${err.message}\`, 'error');
+        }
+      },
+      async loadTwoFactor() {
+        try {
+          this.state.twoFactor = await this.api.getTwoFactor();
+        } catch (err) {
+          console.error(err);
+          this.UI.showToast('加载两步验证状态失败', 'error');
+        }
+        this.render();
+      },
+      async setupTwoFactor() {
+        try {
+          this.state.twoFactorSetup = await this.api.setupTwoFactor();
+          this.render();
+        } catch (err) {
+          console.error(err);
+          this.UI.showToast(\`操作失败: \${err.message}\`, 'error');
+        }
+      },
+      async enableTwoFactor() {
+        const code = document.getElementById('two-factor-code').value.trim();
+        try {
+          const { recoveryCodes } = await this.api.enableTwoFactor(code);
+          this.state.twoFactorSetup = null;
+          this.state.recoveryCodes = recoveryCodes;
+          this.UI.showToast('两步验证已启用');
+          await this.loadTwoFactor();
+        } catch (err) {
+          console.error(err);
+          this.UI.showToast(\`启用失败: \${err.message}\`, 'error');
+        }
+      },
+      async disableTwoFactor() {
+        const code = document.getElementById('two-factor-code').value.trim();
+        if (!await this.UI.confirm('确定要关闭两步验证吗？')) return;
+        try {
+          await this.api.disableTwoFactor(code);
+          this.state.recoveryCodes = null;
+          this.UI.showToast('两步验证已关闭');
+          await this.loadTwoFactor();
+        } catch (err) {
+          console.error(err);
+          this.UI.showToast(\`关闭失败: \${err.message}\`, 'error');
+        }
+      },
+      async regenerateRecoveryCodes() {
+        const code = document.getElementById('two-factor-code').value.trim();
+        try {
+          const { recoveryCodes } = await this.api.regenerateRecoveryCodes(code);
+          this.state.recoveryCodes = recoveryCodes;
+          this.UI.showToast('恢复码已重新生成');
+          await this.loadTwoFactor();
+        } catch (err) {
+          console.error(err);
+          this.UI.showToast(\`生成失败: \${err.message}\`, 'error');
+        }
+      },
+      async loadAudit(append = false) {
+        const filter = this.state.auditFilter;
+        const cursor = append && this.state.audit ? this.state.audit.cursor : null;
+        if (!append) {
+          this.state.audit = null;
+          this.render();
+        }
+        try {
+          const result = await this.api.getAudit({ ...filter, cursor });
+          this.state.audit = append
+            ? { entries: [...this.state.audit.entries, ...result.entries], cursor: result.cursor }
+            : result;
+        } catch (err) {
+          console.error(err);
+          this.state.audit = this.state.audit || { entries: [], cursor: null };
+          this.UI.showToast(\`加载审计日志失败: \${err.message}\`, 'error');
+        }
+        this.render();
+      },
+      async loadHistory(kind) {
+        const token = kind === 'group' ? this.state.selectedGroupToken : null;
+        this.state.history = { kind, token, revisions: null, base: null, target: null };
+        this.render();
+        try {
+          const revisions = kind === 'group' ? await this.api.getGroupHistory(token) : await this.api.getConfigHistory();
+          // 默认比较最新版本与上一个版本
+          this.state.history = { kind, token, revisions, target: revisions[0] ? revisions[0].id : null, base: revisions[1] ? revisions[1].id : null };
+        } catch (err) {
+          console.error(err);
+          this.state.history = null;
+          this.UI.showToast(\`加载历史版本失败: \${err.message}\`, 'error');
+        }
+        this.render();
+      },
+      async restoreRevision(id) {
+        const { kind, token } = this.state.history;
+        try {
+          if (kind === 'group') await this.api.restoreGroupRevision(token, id);
+          else await this.api.restoreConfigRevision(id);
+          await this.refreshData();
+          this.UI.showToast('已恢复到所选版本');
+          await this.loadHistory(kind);
+        } catch (err) {
+          console.error(err);
+          this.UI.showToast(\`恢复失败: \${err.message}\`, 'error');
+        }
+      },
+      // 将数据展开为便于逐行比较的文本，多行字符串 (如节点列表) 按行拆分
+      flattenForDiff(value, path = '') {
+        if (typeof value === 'string' && value.includes('\\n')) {
+          return [\`\${path}:\`, ...value.split('\\n').map(line => \`    \${line}\`)];
+        }
+        if (value && typeof value === 'object') {
+          const entries = Array.isArray(value)
+            ? value.map((item, i) => [\`\${path}[\${i}]\`, item])
+            : Object.keys(value).sort().map(key => [path ? \`\${path}.\${key}\` : key, value[key]]);
+          if (entries.length) return entries.flatMap(([itemPath, item]) => this.flattenForDiff(item, itemPath));
+        }
+        return [\`\${path}: \${JSON.stringify(value)}\`];
+      },
+      // 基于最长公共子序列的逐行比较，行数过多时退化为按集合比较
+      diffLines(a, b) {
+        if (a.length * b.length > 4000000) {
+          const setA = new Set(a);
+          const setB = new Set(b);
+          return [
+            ...a.filter(line => !setB.has(line)).map(line => ({ type: '-', line })),
+            ...b.filter(line => !setA.has(line)).map(line => ({ type: '+', line })),
+          ];
+        }
+        const n = a.length;
+        const m = b.length;
+        const lcs = Array.from({ length: n + 1 }, () => new Uint32Array(m + 1));
+        for (let i = n - 1; i >= 0; i--) {
+          for (let j = m - 1; j >= 0; j--) {
+            lcs[i][j] = a[i] === b[j] ? lcs[i + 1][j + 1] + 1 : Math.max(lcs[i + 1][j], lcs[i][j + 1]);
+          }
+        }
+        const result = [];
+        let i = 0;
+        let j = 0;
+        while (i < n && j < m) {
+          if (a[i] === b[j]) { result.push({ type: ' ', line: a[i] }); i++; j++; }
+          else if (lcs[i + 1][j] >= lcs[i][j + 1]) result.push({ type: '-', line: a[i++] });
+          else result.push({ type: '+', line: b[j++] });
+        }
+        while (i < n) result.push({ type: '-', line: a[i++] });
+        while (j < m) result.push({ type: '+', line: b[j++] });
+        return result;
+      },
+      renderDiff(base, target) {
+        const diff = this.diffLines(this.flattenForDiff(base || {}), this.flattenForDiff(target || {}));
+        if (!diff.some(d => d.type !== ' ')) return '<p style="color: #666;">两个版本内容相同。</p>';
+        // 只显示变更行及其前后各 2 行
+        const visible = diff.map((d, i) => diff.slice(Math.max(0, i - 2), i + 3).some(x => x.type !== ' '));
+        const classes = { '+': 'diff-add', '-': 'diff-del', ' ': 'diff-same' };
+        const lines = [];
+        diff.forEach((d, i) => {
+          if (visible[i]) lines.push(\`<div class="diff-line \${classes[d.type]}">\${d.type} \${this.escapeHtml(d.line)}</div>\`);
+          else if (visible[i - 1]) lines.push('<div class="diff-line diff-skip">…</div>');
+        });
+        return \`<div class="diff">\${lines.join('')}</div>\`;
+      },
+      renderHistorySection(kind) {
+        const history = this.state.history;
+        const active = history && history.kind === kind && (kind !== 'group' || history.token === this.state.selectedGroupToken);
+        if (!active) {
+          return \`<div class="actions" style="justify-content: flex-start;"><button type="button" class="btn btn-secondary" data-action="load-history" data-kind="\${kind}">历史版本</button></div>\`;
+        }
+        const revisions = history.revisions;
+        const timeLabel = revision => (revision.at ? new Date(revision.at).toLocaleString() : '启用版本记录前');
+        let body;
+        if (revisions === null) {
+          body = '<div class="loading-container"><div class="spinner"></div><span>正在加载...</span></div>';
+        } else if (!revisions.length) {
+          body = '<p style="color: #666;">暂无历史版本，保存后会自动记录。</p>';
+        } else {
+          const options = selected => revisions.map((r, i) => \`<option value="\${this.escapeHtml(r.id)}" \${r.id === selected ? 'selected' : ''}>\${this.escapeHtml(\`\${timeLabel(r)} · \${r.author || '未知'}\${i === 0 ? ' (当前)' : ''}\`)}</option>\`).join('');
+          const base = revisions.find(r => r.id === history.base);
+          const target = revisions.find(r => r.id === history.target);
+          const canRestore = this.can(kind === 'group' ? 'editor' : 'owner');
+          body = \`
+            <div class="table-wrapper">
+              <table class="table">
+                <thead><tr><th>时间</th><th>操作者</th><th></th></tr></thead>
+                <tbody>
+                  \${revisions.map((r, i) => \`
+                  <tr>
+                    <td>\${timeLabel(r)}\${i === 0 ? ' (当前)' : ''}\${r.restoredFrom ? ' (恢复)' : ''}</td>
+                    <td>\${this.escapeHtml(r.author || '未知')}</td>
+                    <td>
+                      \${i < revisions.length - 1 ? \`<button type="button" class="btn btn-secondary btn-sm" data-action="compare-revisions" data-base="\${this.escapeHtml(revisions[i + 1].id)}" data-target="\${this.escapeHtml(r.id)}">与上一版本比较</button>\` : ''}
+                      \${i > 0 && canRestore ? \`<button type="button" class="btn btn-danger btn-sm" data-action="restore-revision" data-id="\${this.escapeHtml(r.id)}">恢复此版本</button>\` : ''}
+                    </td>
+                  </tr>\`).join('')}
+                </tbody>
+              </table>
+            </div>
+            <div class="token-group" style="margin-top: 15px;">
+              <select id="history-base">\${options(history.base)}</select>
+              <span>→</span>
+              <select id="history-target">\${options(history.target)}</select>
+              <button type="button" class="btn btn-secondary" data-action="compare-revisions">比较</button>
+            </div>
+            \${base && target ? this.renderDiff(base.data, target.data) : ''}\`;
+        }
+        return \`
+          <fieldset style="margin-top: 20px;">
+            <legend>历史版本</legend>
+            \${body}
+            <div class="actions" style="justify-content: flex-start;">
+              <button type="button" class="btn btn-secondary" data-action="close-history">收起</button>
+            </div>
+          </fieldset>\`;
+      },
+      async exportBackup() {
+        try {
+          const backup = await this.api.exportBackup(document.getElementById('backup-redact').checked);
+          const url = URL.createObjectURL(new Blob([JSON.stringify(backup, null, 2)], { type: 'application/json' }));
+          const link = document.createElement('a');
+          link.href = url;
+          link.download = \`subpool-backup-\${backup.exportedAt.slice(0, 10)}.json\`;
+          link.click();
+          URL.revokeObjectURL(url);
+        } catch (err) {
+          console.error(err);
+          this.UI.showToast(\`导出失败: \${err.message}\`, 'error');
+        }
+      },
+      async previewRestore() {
+        const file = document.getElementById('restore-file').files[0];
+        const mode = document.getElementById('restore-mode').value;
+        if (!file) {
+          this.UI.showToast('请先选择备份文件', 'error');
+          return;
+        }
+        try {
+          const bundle = JSON.parse(await file.text());
+          const { changes } = await this.api.restoreBackup(bundle, mode, true);
+          this.state.restorePreview = { bundle, mode, changes };
+          this.render();
+        } catch (err) {
+          console.error(err);
+          this.UI.showToast(\`预览失败: \${err.message}\`, 'error');
+        }
+      },
+      async applyRestore() {
+        const { bundle, mode } = this.state.restorePreview;
+        try {
+          await this.api.restoreBackup(bundle, mode, false);
+          this.state.restorePreview = null;
+          this.state.selectedGroupToken = null;
+          await this.refreshData();
+          this.render();
+          this.UI.showToast('备份已恢复');
+        } catch (err) {
+          console.error(err);
+          this.UI.showToast(\`恢复失败: \${err.message}\`, 'error');
+        }
+      },
+      async copyText(text) {
+        try {
+          await navigator.clipboard.writeText(text);
+          this.UI.showToast('已复制到剪贴板！');
+        } catch (err) {
+          console.error('Failed to copy:', err);
+          this.UI.showToast('复制失败，请手动复制', 'error');
+        }
+      },
+      // 订阅组生命周期状态的标签，正常提供订阅时返回 null
+      groupStatus(group) {
+        const now = Date.now();
+        if (group.enabled === false) return { text: '已停用', cls: '' };
+        if (group.activeFrom && Date.parse(group.activeFrom) > now) return { text: '未生效', cls: '' };
+        if (group.expiresAt && Date.parse(group.expiresAt) <= now) return { text: '已到期', cls: 'expired' };
+        return null;
+      },
+      formatLastSeen(iso) {
+        if (!iso) return '从未访问';
+        const minutes = Math.floor((Date.now() - new Date(iso).getTime()) / 60000);
+        if (minutes < 1) return '刚刚';
+        if (minutes < 60) return minutes + ' 分钟前';
+        if (minutes < 1440) return Math.floor(minutes / 60) + ' 小时前';
+        return Math.floor(minutes / 1440) + ' 天前';
+      },
+      async copyGroupUrl(token = this.state.selectedGroupToken) {
         if (!token) return;
         
         const url = \`\${window.location.protocol}//\${window.location.host}/sub/\${token}\`;
@@ -446,11 +1350,67 @@ export function renderAdminPage() {
           this.UI.showToast('复制失败，请手动复制', 'error');
         }
       },
+      // 只提交与当前生效设置不同的字段，未修改的设置项不写入 KV，继续跟随默认值 (数组整体比较)
+      diffConfig(current, next) {
+        const result = {};
+        for (const [key, value] of Object.entries(next)) {
+          if (value === undefined) continue;
+          const old = current ? current[key] : undefined;
+          if (value && typeof value === 'object' && !Array.isArray(value)) {
+            const changed = this.diffConfig(old && typeof old === 'object' ? old : {}, value);
+            if (Object.keys(changed).length > 0) result[key] = changed;
+          } else if (JSON.stringify(value) !== JSON.stringify(old)) {
+            result[key] = value;
+          }
+        }
+        return result;
+      },
       async saveSettings() { 
         const form = document.getElementById('settings-form'); 
         const newConfig = { 
           adminPassword: form.elements['admin-password'].value || undefined, 
           blockBots: form.elements['block-bots'].checked, 
+          botDetection: this.collectBotDetection(form), 
+          accessPolicy: this.collectAccessPolicy(form, 'global-policy'), 
+          cache: { 
+            enabled: form.elements['cache-enabled'].checked, 
+            freshTtl: parseInt(form.elements['cache-fresh-ttl'].value) || 0, 
+            staleTtl: parseInt(form.elements['cache-stale-ttl'].value) || 604800, 
+          }, 
+          stats: { 
+            enabled: form.elements['stats-enabled'].checked, 
+            retentionDays: parseInt(form.elements['stats-retention'].value) || 30, 
+          }, 
+          history: { 
+            maxRevisions: parseInt(form.elements['history-max-revisions'].value) || 20, 
+          }, 
+          tokenRotation: { 
+            graceHours: parseFloat(form.elements['rotation-grace'].value) || 0, 
+            mode: form.elements['rotation-mode'].value, 
+            noticeMessage: form.elements['rotation-notice'].value, 
+          }, 
+          lifecycle: { 
+            expiredAction: form.elements['lifecycle-action'].value, 
+            noticeMessage: form.elements['lifecycle-notice'].value, 
+            warnDays: parseInt(form.elements['lifecycle-warn-days'].value) || 0, 
+          }, 
+          audit: { 
+            enabled: form.elements['audit-enabled'].checked, 
+            retentionDays: parseInt(form.elements['audit-retention'].value) || 90, 
+          }, 
+          subscriptionInfo: { 
+            mode: form.elements['sub-info-mode'].value, 
+            totalTB: parseFloat(form.elements['sub-info-total'].value) || 0, 
+            expireDate: form.elements['sub-info-expire'].value || '0', 
+          }, 
+          rateLimit: { 
+            enabled: form.elements['rate-limit-enabled'].checked, 
+            tokenLimit: parseInt(form.elements['rate-limit-token'].value) || 0, 
+            tokenWindow: parseInt(form.elements['rate-limit-token-window'].value) || 3600, 
+            ipLimit: parseInt(form.elements['rate-limit-ip'].value) || 0, 
+            ipWindow: parseInt(form.elements['rate-limit-ip-window'].value) || 600, 
+            action: form.elements['rate-limit-action'].value, 
+          }, 
           failedBan: { 
             enabled: form.elements['failed-ban-enabled'].checked, 
             maxAttempts: parseInt(form.elements['failed-ban-max-attempts'].value) || 5, 
@@ -463,18 +1423,33 @@ export function renderAdminPage() {
             chatId: form.elements['tg-chatid'].value, 
           }, 
           subconverter: { 
+            engine: form.elements['subconverter-engine'].value, 
             url: form.elements['subconverter-url'].value, 
             configUrl: form.elements['subconverter-config'].value, 
+          }, 
+          singbox: { 
+            template: form.elements['singbox-template'].value, 
           } 
         }; 
+        this.clearFieldErrors();
+        if (newConfig.singbox.template.trim()) {
+          try {
+            JSON.parse(newConfig.singbox.template);
+          } catch (err) {
+            this.showFieldErrors([{ path: 'singbox.template', message: '不是有效的 JSON' }], path => this.findSettingsField(path));
+            this.UI.showToast('Sing-box 模板不是有效的 JSON', 'error');
+            return;
+          }
+        }
         try {
-          await this.api.saveConfig(newConfig); 
+          await this.api.saveConfig(this.diffConfig(this.state.config, newConfig)); 
           this.UI.showToast('设置已保存！如果修改了密码，下次登录生效。'); 
           await this.refreshData(); 
           this.render(); 
         } catch (err) { 
           console.error(err); 
-          this.UI.showToast('保存失败', 'error'); 
+          if (err.data && err.data.errors) this.showFieldErrors(err.data.errors, path => this.findSettingsField(path));
+          this.UI.showToast(\`保存失败: \${err.message}\`, 'error'); 
         } 
       },
       
@@ -492,34 +1467,68 @@ export function renderAdminPage() {
                       <button class="mobile-menu-btn" data-action="toggle-sidebar">☰</button>
                       <h1>SubPool Worker</h1>
                       <nav class="nav">
-                          <button data-action="navigate" data-view="subscriptions" class="\${this.state.currentView === 'subscriptions' ? 'active' : ''}">订阅管理</button>
-                          <button data-action="navigate" data-view="settings" class="\${this.state.currentView === 'settings' ? 'active' : ''}">全局设置</button>
+                          \${this.visibleViews().map(v => \`<button data-action="navigate" data-view="\${v.view}" class="\${this.state.currentView === v.view ? 'active' : ''}">\${v.label}</button>\`).join('')}
                       </nav>
                   </div>
-                  <button class="btn btn-secondary btn-sm" data-action="logout">登出</button>
+                  <div class="header-right">
+                      <span class="current-user">\${this.escapeHtml(this.state.me.username || '管理员')} (\${this.roleLabels[this.state.me.role]})</span>
+                      <button class="btn btn-secondary btn-sm" data-action="logout">登出</button>
+                  </div>
               </header>
               <main class="main-content">
                   <div class="sidebar-overlay" data-action="close-sidebar"></div>
-                  \${this.state.currentView === 'subscriptions' ? this.renderSubscriptionsView() : this.renderSettingsView()}
+                  \${this.views.find(v => v.view === this.state.currentView).render.call(this)}
               </main>
           \`;
-          this.cache.modal.innerHTML = this.state.confirmPromise ? this.UI.renderConfirmModal() : '';
+          this.cache.modal.innerHTML = this.state.confirmPromise ? this.UI.renderConfirmModal() : (this.state.conflict ? this.renderConflictModal() : '');
       },
-      renderSubscriptionsView() { 
-        return \` 
-          <aside class="sidebar"> 
+      // 导航视图
+      views: [
+          { view: 'subscriptions', label: '订阅管理', icon: '📋', render() { return this.renderSubscriptionsView(); } },
+          { view: 'stats', label: '访问统计', icon: '📊', render() { return this.renderStatsView(); } },
+          { view: 'sources', label: '上游状态', icon: '📡', render() { return this.renderSourcesView(); } },
+          { view: 'settings', label: '全局设置', icon: '⚙️', render() { return this.renderSettingsView(); } },
+          { view: 'users', label: '账户管理', icon: '👥', role: 'owner', render() { return this.renderUsersView(); } },
+          { view: 'audit', label: '审计日志', icon: '📜', role: 'owner', render() { return this.renderAuditView(); } },
+      ],
+      roleLabels: { viewer: '只读', editor: '编辑', owner: '所有者' },
+      auditActions: {
+          'auth.login': '登录', 'auth.login_failed': '登录失败', 'auth.logout': '登出',
+          'auth.password_change': '修改默认密码', 'auth.recovery_code_used': '使用恢复码',
+          'group.create': '创建订阅组', 'group.update': '修改订阅组', 'group.delete': '删除订阅组', 'group.restore': '恢复订阅组版本', 'group.reindex': '重建订阅组索引',
+          'group.rotate': '更换订阅组 Token', 'group.revoke_previous_token': '撤销旧 Token',
+          'config.update': '修改全局设置', 'config.restore': '恢复全局设置版本',
+          'backup.export': '导出备份', 'backup.restore': '恢复备份',
+          'user.create': '创建账户', 'user.update': '修改账户', 'user.delete': '删除账户', 'user.reset_2fa': '重置两步验证',
+          '2fa.enable': '启用两步验证', '2fa.disable': '关闭两步验证', '2fa.recovery_codes': '重新生成恢复码',
+          'api_token.create': '创建 API 令牌', 'api_token.revoke': '吊销 API 令牌',
+      },
+      apiTokenScopes: { 'read-only': '只读', 'groups:write': '读写订阅组', 'config:write': '读写订阅组与全局设置' },
+      visibleViews() { return this.views.filter(v => this.can(v.role || 'viewer')); },
+      renderMobileNav() {
+        return \`
             <!-- 移动端导航菜单 -->
             <div class="mobile-nav">
-              <div class="sidebar-item \${this.state.currentView === 'subscriptions' ? 'active' : ''}" data-action="navigate" data-view="subscriptions">
-                📋 订阅管理
-              </div>
-              <div class="sidebar-item \${this.state.currentView === 'settings' ? 'active' : ''}" data-action="navigate" data-view="settings">
-                ⚙️ 全局设置
-              </div>
+              \${this.visibleViews().map(v => \`
+              <div class="sidebar-item \${this.state.currentView === v.view ? 'active' : ''}" data-action="navigate" data-view="\${v.view}">
+                \${v.icon} \${v.label}
+              </div>\`).join('')}
               <hr style="margin: 10px 0; border: none; border-top: 1px solid var(--border-color);">
             </div>
-            <div class="sidebar-item new" data-action="new-group"> + 创建新订阅组 </div> 
-            \${this.state.groups.map(g => \`<div class="sidebar-item \${(this.state.selectedGroupToken === g.token && !this.state.isNewGroup) ? 'active' : ''}" data-action="select-group" data-token="\${this.escapeHtml(g.token)}"> \${this.escapeHtml(g.name)} </div>\`).join('')} 
+        \`;
+      },
+      renderSubscriptionsView() { 
+        return \` 
+          <aside class="sidebar"> 
+            \${this.renderMobileNav()}
+            \${this.can('editor') ? '<div class="sidebar-item new" data-action="new-group"> + 创建新订阅组 </div>' : ''} 
+            \${this.state.groups.map(g => {
+              const stats = (this.state.stats || []).find(s => s.token === g.token);
+              const lastSeen = stats ? \`<small class="last-seen">\${this.formatLastSeen(stats.lastSeen && stats.lastSeen.at)}</small>\` : '';
+              const status = this.groupStatus(g);
+              const badge = status ? \`<small class="group-status \${status.cls}">\${status.text}</small>\` : '';
+              return \`<div class="sidebar-item \${(this.state.selectedGroupToken === g.token && !this.state.isNewGroup) ? 'active' : ''}" data-action="select-group" data-token="\${this.escapeHtml(g.token)}"> \${this.escapeHtml(g.name)} \${badge} \${lastSeen}</div>\`;
+            }).join('')} 
           </aside> 
           <section class="content-area"> 
             \${(this.state.selectedGroupToken || this.state.isNewGroup) ? this.renderGroupEditor() : '<div class="form-container"><p>请从左侧选择一个订阅组进行编辑，或创建一个新组。</p></div>'} 
@@ -527,7 +1536,7 @@ export function renderAdminPage() {
         \`; 
       },
       renderGroupEditor() { 
-        const group = this.state.isNewGroup ? { name: '', token: '', allowChinaAccess: false, nodes: '', filter: { enabled: false, rules: [] } } : this.state.groups.find(g => g.token === this.state.selectedGroupToken); 
+        const group = this.state.isNewGroup ? { name: '', token: '', accessPolicy: { mode: 'inherit' }, ipAllowlist: [], nodes: '', enabled: true, activeFrom: '', expiresAt: '', expiredAction: 'inherit', filter: { enabled: false, include: [], exclude: [] }, dedupe: { enabled: true, strategy: 'first', preferredSources: [] }, rename: { enabled: false, rules: [], prefix: '', suffix: '', emoji: true, ipRegions: [] }, subscriptionInfo: { mode: 'inherit', totalTB: null, expireDate: '', useGroupExpiry: false }, accessTokens: [] } : this.state.groups.find(g => g.token === this.state.selectedGroupToken); 
         if (!group) return '<div class="form-container"><p>无法找到该订阅组。</p></div>'; 
         return \` 
           <div class="form-container"> 
@@ -542,57 +1551,779 @@ export function renderAdminPage() {
                 <label for="group-token">Token</label> 
                 <div class="token-group"> 
                   <input type="text" id="group-token" value="\${this.escapeHtml(group.token)}" readonly> 
-                  <button type="button" class="btn btn-secondary" data-action="generate-token">随机</button>
+                  \${this.can('editor') ? '<button type="button" class="btn btn-secondary" data-action="rotate-token">更换</button>' : ''}
                   <button type="button" class="btn btn-secondary" data-action="copy-url">复制URL</button>
                 </div> 
+                \${this.renderTokenRotation(group)}
               </div>\` : ''} 
               <div class="form-group"> 
                 <label for="group-nodes">订阅链接 / 节点 (每行一个)</label> 
                 <textarea id="group-nodes">\${this.escapeHtml(group.nodes || '')}</textarea> 
+                <small style="color: #666; font-size: 12px;">填写 group:&lt;Token&gt; 可引用其他订阅组的全部节点 (引用组的过滤与去重设置会先生效)</small> 
               </div> 
-              <div class="form-group checkbox-group"> 
-                <input type="checkbox" id="allow-china" \${group.allowChinaAccess ? 'checked' : ''}> 
-                <label for="allow-china">允许中国大陆 IP 访问</label> 
+              \${this.renderLifecycleFieldset(group)} 
+              \${this.renderAccessPolicyFieldset(group)} 
+              \${this.renderFilterFieldset(group.filter || {})} 
+              \${this.renderDedupeFieldset(group.dedupe || {})} 
+              \${this.renderRenameFieldset(group.rename || {})} 
+              \${this.renderGroupInfoFieldset(group.subscriptionInfo || {})} 
+              \${this.renderAccessTokensFieldset(group.accessTokens || [])} 
+              <div class="actions"> 
+                \${this.can('editor') ? \`<button type="button" class="btn btn-primary" data-action="save-group">保存</button> \${!this.state.isNewGroup ? '<button type="button" class="btn btn-danger" data-action="delete-group">删除</button>' : ''}\` : '<span style="color: #666;">当前账户为只读权限</span>'} 
               </div> 
+            </form> 
+            \${!this.state.isNewGroup ? this.renderHistorySection('group') : ''} 
+          </div> 
+        \`; },
+      renderFilterFieldset(filter) {
+        // 旧版的正则规则作用于原始链接，转换为排除规则展示
+        const legacy = (filter.rules || []).map(rule => ({ logic: 'and', conditions: [{ field: 'line', op: 'regex', value: rule }] }));
+        const section = (kind, title, hint, rules) => \`
+                <div class="form-group"> 
+                  <label>\${title}</label> 
+                  <small style="color: #666; font-size: 12px;">\${hint}</small> 
+                  <div id="filter-\${kind}-rules" style="margin-top: 8px;">\${rules.map(rule => this.renderFilterRule(rule)).join('')}</div> 
+                  <button type="button" class="btn btn-secondary btn-sm" data-action="add-filter-rule" data-kind="\${kind}">+ 添加规则</button> 
+                </div> 
+        \`;
+        return \`
               <fieldset> 
                 <legend>过滤器</legend> 
                 <div class="form-group checkbox-group"> 
-                  <input type="checkbox" id="filter-enabled" \${group.filter && group.filter.enabled ? 'checked' : ''}> 
+                  <input type="checkbox" id="filter-enabled" \${filter.enabled ? 'checked' : ''}> 
                   <label for="filter-enabled">启用节点过滤器</label> 
                 </div> 
+                \${section('include', '包含规则', '存在包含规则时，只保留命中任一规则的节点；留空则保留全部节点', filter.include || [])} 
+                \${section('exclude', '排除规则', '移除命中任一规则的节点', [...(filter.exclude || []), ...legacy])} 
+                <small style="color: #666; font-size: 12px;">"属于" 支持逗号分隔多个值，端口可写范围 (如 10000-20000)；地区为两位代码 (如 HK, JP)；正则写法: /过期/i</small> 
+              </fieldset> 
+        \`;
+      },
+      renderDedupeFieldset(dedupe) {
+        const strategy = dedupe.strategy || 'first';
+        const option = (value, text) => \`<option value="\${value}" \${strategy === value ? 'selected' : ''}>\${text}</option>\`;
+        return \`
+              <fieldset> 
+                <legend>节点去重</legend> 
+                <div class="form-group checkbox-group"> 
+                  <input type="checkbox" id="dedupe-enabled" \${dedupe.enabled !== false ? 'checked' : ''}> 
+                  <label for="dedupe-enabled">按服务器身份去重 (协议 + 服务器 + 端口 + 凭据)，关闭后只去除完全相同的链接</label> 
+                </div> 
                 <div class="form-group"> 
-                  <label for="filter-rules">过滤规则 (每行一个正则表达式, e.g., /过期/i)</label> 
-                  <textarea id="filter-rules" placeholder="/剩余流量/i\\n/过期时间/i">\${this.escapeHtml((group.filter && group.filter.rules || []).join('\\n'))}</textarea> 
+                  <label for="dedupe-strategy">重复节点保留策略</label> 
+                  <select id="dedupe-strategy"> 
+                    \${option('first', '保留最先出现的 (按来源顺序)')} 
+                    \${option('shortest', '保留名称最短的')} 
+                    \${option('preferred', '保留优先来源的')} 
+                  </select> 
+                </div> 
+                <div class="form-group"> 
+                  <label for="dedupe-preferred">优先来源 (每行一个订阅链接，越靠前优先级越高；inline 表示内联节点，group:&lt;Token&gt; 表示引用组)</label> 
+                  <textarea id="dedupe-preferred" style="height: 100px;" placeholder="https://provider-a.example.com/sub\\ninline">\${this.escapeHtml((dedupe.preferredSources || []).join('\\n'))}</textarea> 
                 </div> 
               </fieldset> 
-              <div class="actions"> 
-                <button type="button" class="btn btn-primary" data-action="save-group">保存</button> \${!this.state.isNewGroup ? '<button type="button" class="btn btn-danger" data-action="delete-group">删除</button>' : ''} 
-              </div> 
-            </form> 
-          </div> 
-        \`; },
+        \`;
+      },
+      renderFilterRule(rule) {
+        const logic = rule.logic === 'or' ? 'or' : 'and';
+        return \`
+                  <div class="filter-rule"> 
+                    <div class="filter-rule-header"> 
+                      <select class="filter-logic"> 
+                        <option value="and" \${logic === 'and' ? 'selected' : ''}>满足全部条件 (AND)</option> 
+                        <option value="or" \${logic === 'or' ? 'selected' : ''}>满足任一条件 (OR)</option> 
+                      </select> 
+                      <button type="button" class="btn btn-secondary btn-sm" data-action="add-filter-condition">+ 条件</button> 
+                      <button type="button" class="btn btn-danger btn-sm" data-action="remove-filter-rule">删除规则</button> 
+                    </div> 
+                    <div class="filter-conditions">\${(rule.conditions || []).map(c => this.renderFilterCondition(c)).join('')}</div> 
+                  </div> 
+        \`;
+      },
+      renderFilterCondition(condition) {
+        const fields = [['name', '节点名称'], ['protocol', '协议'], ['region', '地区'], ['server', '服务器'], ['port', '端口'], ['line', '原始链接']];
+        const ops = [['contains', '包含'], ['not_contains', '不包含'], ['in', '属于'], ['not_in', '不属于'], ['regex', '匹配正则'], ['not_regex', '不匹配正则']];
+        const options = (list, selected) => list.map(([value, text]) => \`<option value="\${value}" \${selected === value ? 'selected' : ''}>\${text}</option>\`).join('');
+        return \`
+                      <div class="filter-condition"> 
+                        <select class="filter-field">\${options(fields, condition.field || 'name')}</select> 
+                        <select class="filter-op">\${options(ops, condition.op || 'contains')}</select> 
+                        <input type="text" class="filter-value" placeholder="hysteria2, vless / HK, JP / 443" value="\${this.escapeHtml(condition.value || '')}"> 
+                        <button type="button" class="btn btn-secondary btn-sm" data-action="remove-filter-condition">×</button> 
+                      </div> 
+        \`;
+      },
+      renderRenameFieldset(rename) {
+        return \`
+              <fieldset> 
+                <legend>节点重命名</legend> 
+                <div class="form-group checkbox-group"> 
+                  <input type="checkbox" id="rename-enabled" \${rename.enabled ? 'checked' : ''}> 
+                  <label for="rename-enabled">启用节点重命名</label> 
+                </div> 
+                <div class="form-group"> 
+                  <label for="rename-rules">查找替换 (每行一条，格式: /正则/flags => 替换内容 或 文本 => 替换内容)</label> 
+                  <textarea id="rename-rules" placeholder="/香港/ => HK\\n/(?:IPLC|IEPL)/gi => 专线">\${this.escapeHtml((rename.rules || []).join('\\n'))}</textarea> 
+                </div> 
+                <div class="form-group"> 
+                  <label for="rename-prefix">名称前缀模板</label> 
+                  <input type="text" id="rename-prefix" placeholder="{group}-{region}-{index} " value="\${this.escapeHtml(rename.prefix || '')}"> 
+                </div> 
+                <div class="form-group"> 
+                  <label for="rename-suffix">名称后缀模板</label> 
+                  <input type="text" id="rename-suffix" placeholder=" [{protocol}]" value="\${this.escapeHtml(rename.suffix || '')}"> 
+                  <small style="color: #666; font-size: 12px;">可用变量: {group} 组名, {name} 节点名, {region} 地区代码, {regionName} 地区名, {flag} 国旗, {protocol} 协议, {index} 同地区序号</small> 
+                </div> 
+                <div class="form-group checkbox-group"> 
+                  <input type="checkbox" id="rename-emoji" \${rename.emoji ? 'checked' : ''}> 
+                  <label for="rename-emoji">在名称前插入国旗 emoji</label> 
+                </div> 
+                <div class="form-group"> 
+                  <label for="rename-ip-regions">服务器 IP 地区映射 (每行一条，格式: CIDR = 地区代码)</label> 
+                  <textarea id="rename-ip-regions" placeholder="203.0.113.0/24 = JP\\n2001:db8::/32 = US">\${this.escapeHtml((rename.ipRegions || []).join('\\n'))}</textarea> 
+                  <small style="color: #666; font-size: 12px;">地区识别顺序: 名称中的国旗 → 名称关键词 → IP 映射 → 域名后缀</small> 
+                </div> 
+              </fieldset> 
+        \`;
+      },
+      renderAccessTokensFieldset(accessTokens) {
+        return \`
+              <fieldset> 
+                <legend>访问令牌</legend> 
+                <p style="color: #666; font-size: 12px; margin-top: 0;">为不同使用者分配独立的订阅地址，可单独设置到期时间或停用，均指向本订阅组。</p> 
+                <div class="table-wrapper"> 
+                  <table class="table"> 
+                    <thead><tr><th>名称</th><th>Token</th><th>到期时间</th><th>启用</th><th>备注</th><th></th></tr></thead> 
+                    <tbody id="access-token-rows">\${accessTokens.map(a => this.renderAccessTokenRow(a)).join('')}</tbody> 
+                  </table> 
+                </div> 
+                <div class="actions"> 
+                  <button type="button" class="btn btn-secondary btn-sm" data-action="add-access-token">+ 添加令牌</button> 
+                </div> 
+              </fieldset> 
+        \`;
+      },
+      // ISO 时间与 datetime-local 输入框 (本地时间) 之间的转换
+      toLocalInput(iso) {
+        const date = new Date(iso);
+        if (!iso || isNaN(date)) return '';
+        return new Date(date.getTime() - date.getTimezoneOffset() * 60000).toISOString().slice(0, 16);
+      },
+      fromLocalInput(value) {
+        return value ? new Date(value).toISOString() : '';
+      },
+      renderAccessTokenRow(access) {
+        return \`
+          <tr data-created-at="\${this.escapeHtml(access.createdAt || '')}"> 
+            <td><input type="text" class="access-name" placeholder="alice-phone" value="\${this.escapeHtml(access.name || '')}"></td> 
+            <td><input type="text" class="access-token" value="\${this.escapeHtml(access.token)}" readonly></td> 
+            <td><input type="datetime-local" class="access-expires" value="\${this.toLocalInput(access.expiresAt)}"></td> 
+            <td><input type="checkbox" class="access-enabled" \${access.enabled !== false ? 'checked' : ''}></td> 
+            <td><input type="text" class="access-note" value="\${this.escapeHtml(access.note || '')}"></td> 
+            <td> 
+              <button type="button" class="btn btn-secondary btn-sm" data-action="copy-access-url" data-token="\${this.escapeHtml(access.token)}">复制URL</button> 
+              <button type="button" class="btn btn-danger btn-sm" data-action="remove-access-token">移除</button> 
+            </td> 
+          </tr> 
+        \`;
+      },
+      renderLifecycleFieldset(group) {
+        const action = group.expiredAction || 'inherit';
+        const option = (value, text) => \`<option value="\${value}" \${action === value ? 'selected' : ''}>\${text}</option>\`;
+        return \`
+              <fieldset> 
+                <legend>有效期</legend> 
+                <div class="form-group checkbox-group"> 
+                  <input type="checkbox" id="group-enabled" \${group.enabled !== false ? 'checked' : ''}> 
+                  <label for="group-enabled">启用此订阅组</label> 
+                </div> 
+                <div class="form-group"> 
+                  <label for="group-active-from">生效时间 (留空表示立即生效)</label> 
+                  <input type="datetime-local" id="group-active-from" value="\${this.toLocalInput(group.activeFrom)}"> 
+                </div> 
+                <div class="form-group"> 
+                  <label for="group-expires-at">到期时间 (留空表示不过期)</label> 
+                  <input type="datetime-local" id="group-expires-at" value="\${this.toLocalInput(group.expiresAt)}"> 
+                </div> 
+                <div class="form-group"> 
+                  <label for="group-expired-action">到期后</label> 
+                  <select id="group-expired-action"> 
+                    \${option('inherit', '跟随全局设置')} 
+                    \${option('camouflage', '返回伪装页面')} 
+                    \${option('notice', '只返回到期提示节点')} 
+                  </select> 
+                  <small style="color: #666; font-size: 12px;">停用或未到生效时间的订阅组始终返回伪装页面</small> 
+                </div> 
+              </fieldset> 
+        \`;
+      },
+      renderAccessPolicyFieldset(group) {
+        // 旧版订阅组允许中国大陆访问时视为不限制来源的自定义策略，与服务端一致
+        const policy = group.accessPolicy || (group.allowChinaAccess ? { mode: 'custom' } : { mode: 'inherit' });
+        return \`
+              <fieldset> 
+                <legend>访问策略</legend> 
+                <div class="form-group"> 
+                  <label for="policy-mode">策略</label> 
+                  <select id="policy-mode"> 
+                    <option value="inherit" \${policy.mode === 'custom' ? '' : 'selected'}>跟随全局设置</option> 
+                    <option value="custom" \${policy.mode === 'custom' ? 'selected' : ''}>自定义</option> 
+                  </select> 
+                  <small style="color: #666; font-size: 12px;">跟随全局设置时以下字段不生效</small> 
+                </div> 
+                \${this.renderAccessPolicyFields(policy, 'policy')} 
+                <div class="form-group"> 
+                  <label for="group-ip-allowlist">IP 白名单 (每行一个 IP 或 CIDR，如 203.0.113.0/24，留空表示不限制)</label> 
+                  <textarea id="group-ip-allowlist" style="height: 80px;">\${this.escapeHtml((group.ipAllowlist || []).join('\\n'))}</textarea> 
+                  <small style="color: #666; font-size: 12px;">设置后只有白名单中的 IP 可以访问，其他来源返回伪装页面；使用远端 Subconverter 时需加入其出口 IP</small> 
+                </div> 
+              </fieldset> 
+        \`;
+      },
+      renderAccessPolicyFields(policy, prefix) {
+        const action = policy.action || 'forbidden';
+        const option = (value, text) => \`<option value="\${value}" \${action === value ? 'selected' : ''}>\${text}</option>\`;
+        const input = (name, label, values) => \`
+                <div class="form-group"> 
+                  <label for="\${prefix}-\${name}">\${label}</label> 
+                  <input type="text" id="\${prefix}-\${name}" value="\${this.escapeHtml((values || []).join(', '))}"> 
+                </div> \`;
+        return \`
+                \${input('allow-countries', '允许的国家/地区 (如 HK, JP，留空表示不限制)', policy.allowCountries)} 
+                \${input('deny-countries', '拒绝的国家/地区 (如 CN)', policy.denyCountries)} 
+                \${input('allow-asns', '允许的 ASN (如 13335, AS4134，留空表示不限制)', policy.allowAsns)} 
+                \${input('deny-asns', '拒绝的 ASN', policy.denyAsns)} 
+                <div class="form-group"> 
+                  <label for="\${prefix}-action">拒绝时</label> 
+                  <select id="\${prefix}-action"> 
+                    \${option('camouflage', '返回伪装页面 (404)')} 
+                    \${option('forbidden', '返回伪装页面 (403)')} 
+                    \${option('decoy', '返回不含节点的订阅')} 
+                  </select> 
+                  <small style="color: #666; font-size: 12px;">先检查拒绝列表，再检查允许列表；同时设置国家/地区与 ASN 允许列表时需同时满足</small> 
+                </div> 
+        \`;
+      },
+      renderGroupInfoFieldset(info) {
+        const mode = info.mode || 'inherit';
+        const option = (value, text) => \`<option value="\${value}" \${mode === value ? 'selected' : ''}>\${text}</option>\`;
+        return \`
+              <fieldset> 
+                <legend>订阅流量信息</legend> 
+                <div class="form-group"> 
+                  <label for="group-info-mode">下发方式</label> 
+                  <select id="group-info-mode"> 
+                    \${option('inherit', '跟随全局设置')} 
+                    \${option('aggregate', '汇总上游 (流量求和，取最早到期时间)')} 
+                    \${option('static', '固定值')} 
+                    \${option('hidden', '不下发')} 
+                  </select> 
+                </div> 
+                <div class="form-group"> 
+                  <label for="group-info-total">固定总流量 (TB，留空使用全局设置)</label> 
+                  <input type="number" id="group-info-total" min="0" step="0.01" value="\${info.totalTB ?? ''}"> 
+                </div> 
+                <div class="form-group"> 
+                  <label for="group-info-expire">固定到期日期 (YYYY-MM-DD，0 表示不过期，留空使用全局设置)</label> 
+                  <input type="text" id="group-info-expire" value="\${this.escapeHtml(info.expireDate || '')}"> 
+                </div> 
+                <div class="form-group checkbox-group"> 
+                  <input type="checkbox" id="group-info-use-expiry" \${info.useGroupExpiry ? 'checked' : ''}> 
+                  <label for="group-info-use-expiry">使用订阅组的到期时间作为到期日期</label> 
+                </div> 
+              </fieldset> 
+        \`;
+      },
+      renderAuditView() {
+        const audit = this.state.audit;
+        const filter = this.state.auditFilter;
+        const summary = value => (value == null ? '' : this.escapeHtml(JSON.stringify(value)));
+        const renderEntry = entry => \`
+                      <tr>
+                        <td style="white-space: nowrap;">\${new Date(entry.at).toLocaleString()}</td>
+                        <td>\${this.escapeHtml(entry.actor)}</td>
+                        <td title="\${this.escapeHtml(entry.action)}">\${this.escapeHtml(this.auditActions[entry.action] || entry.action)}</td>
+                        <td>\${this.escapeHtml(entry.target || '-')}</td>
+                        <td class="audit-change">
+                          \${entry.before ? \`<div><small>修改前</small> <code>\${summary(entry.before)}</code></div>\` : ''}
+                          \${entry.after ? \`<div><small>修改后</small> <code>\${summary(entry.after)}</code></div>\` : ''}
+                          \${entry.details ? \`<div><code>\${summary(entry.details)}</code></div>\` : ''}
+                        </td>
+                        <td title="\${this.escapeHtml(entry.userAgent)}">\${this.escapeHtml(entry.ip)}<br><small style="color: #888;">\${this.escapeHtml(entry.country)}</small></td>
+                      </tr>\`;
+        const groupPrefixes = [...new Set(Object.keys(this.auditActions).map(action => action.split('.')[0]))];
+        return \`
+          <aside class="sidebar">
+            \${this.renderMobileNav()}
+            <div class="sidebar-item active">审计日志</div>
+          </aside>
+          <section class="content-area">
+            <div class="form-container" style="max-width: 1200px;">
+              <h2>审计日志</h2>
+              <div class="token-group" style="margin-bottom: 20px; flex-wrap: wrap;">
+                <select id="audit-action" style="width: auto;">
+                  <option value="">全部操作</option>
+                  \${groupPrefixes.map(prefix => \`<option value="\${prefix}" \${filter.action === prefix ? 'selected' : ''}>\${prefix}.*</option>\`).join('')}
+                  \${Object.entries(this.auditActions).map(([action, label]) => \`<option value="\${action}" \${filter.action === action ? 'selected' : ''}>\${label} (\${action})</option>\`).join('')}
+                </select>
+                <input type="text" id="audit-actor" placeholder="操作者" value="\${this.escapeHtml(filter.actor)}" style="width: auto;">
+                <input type="text" id="audit-target" placeholder="操作对象 (token / 账户名)" value="\${this.escapeHtml(filter.target)}" style="width: auto;">
+                <button type="button" class="btn btn-secondary btn-sm" data-action="refresh-audit">查询</button>
+              </div>
+              \${audit === null ? '<div class="loading-container"><div class="spinner"></div><span>正在加载...</span></div>' : \`
+              <div class="table-wrapper">
+                <table class="table">
+                  <thead><tr><th>时间</th><th>操作者</th><th>操作</th><th>对象</th><th>变更</th><th>IP</th></tr></thead>
+                  <tbody>
+                    \${audit.entries.length ? audit.entries.map(renderEntry).join('') : '<tr><td colspan="6" style="color: #666;">没有符合条件的记录</td></tr>'}
+                  </tbody>
+                </table>
+              </div>
+              \${audit.cursor ? '<div class="actions actions-center"><button type="button" class="btn btn-secondary" data-action="more-audit">加载更多</button></div>' : ''}\`}
+            </div>
+          </section>
+        \`;
+      },
+      renderStatsView() {
+        const stats = this.state.stats;
+        // 合并多天的分项计数并按次数降序排列
+        const sumBy = (days, key) => {
+          const totals = {};
+          days.forEach(day => Object.entries(day[key] || {}).forEach(([name, count]) => { totals[name] = (totals[name] || 0) + count; }));
+          return Object.entries(totals).sort((a, b) => b[1] - a[1]);
+        };
+        const renderList = (title, entries, extra = () => '') => \`
+                  <div>
+                    <h4>\${title}</h4>
+                    \${entries.length ? \`<table class="table"><tbody>\${entries.map(([name, count]) => \`<tr><td>\${this.escapeHtml(name)}\${extra(name)}</td><td style="text-align: right;">\${count}</td></tr>\`).join('')}</tbody></table>\` : '<p style="color: #666;">-</p>'}
+                  </div>\`;
+        const renderGroup = group => {
+          const total = group.days.reduce((sum, day) => sum + day.count, 0);
+          const max = Math.max(1, ...group.days.map(day => day.count));
+          const scoreSum = group.days.reduce((sum, day) => sum + (day.scoreSum || 0), 0);
+          const bots = group.days.reduce((sum, day) => sum + (day.bots || 0), 0);
+          const last = group.lastSeen;
+          return \`
+              <fieldset>
+                <legend>\${this.escapeHtml(group.name)}</legend>
+                <p style="margin-top: 0;">
+                  访问 <strong>\${total}</strong> 次，平均机器人评分 \${total ? (scoreSum / total).toFixed(1) : '-'}，疑似机器人 \${bots} 次<br>
+                  <small style="color: #666;">最后访问: \${last ? \`\${new Date(last.at).toLocaleString()} · \${this.escapeHtml(last.token)} · \${this.escapeHtml(last.uaFamily)} · \${this.escapeHtml(last.format)} · \${this.escapeHtml(last.country)}\` : '从未访问'}</small>
+                </p>
+                <div class="chart">
+                  \${group.days.map(day => \`<div class="chart-bar" style="height: \${day.count / max * 100}%;" title="\${day.date}: \${day.count} 次"></div>\`).join('')}
+                </div>
+                <div class="chart-labels"><span>\${group.days[0].date}</span><span>\${group.days[group.days.length - 1].date}</span></div>
+                <div class="stats-grid">
+                  \${renderList('访问令牌', sumBy(group.days, 'tokens'), name => group.tokenLastSeen[name] ? \` <small style="color: #888;">(\${this.formatLastSeen(group.tokenLastSeen[name])})</small>\` : '')}
+                  \${renderList('客户端', sumBy(group.days, 'uaFamilies'))}
+                  \${renderList('输出格式', sumBy(group.days, 'formats'))}
+                  \${renderList('国家/地区', sumBy(group.days, 'countries'))}
+                </div>
+              </fieldset>
+          \`;
+        };
+        const dayOption = days => \`<option value="\${days}" \${this.state.statsDays === days ? 'selected' : ''}>最近 \${days} 天</option>\`;
+        return \`
+          <aside class="sidebar">
+            \${this.renderMobileNav()}
+            <div class="sidebar-item active">访问统计</div>
+          </aside>
+          <section class="content-area">
+            <div class="form-container" style="max-width: 1200px;">
+              <h2>访问统计</h2>
+              <div class="actions" style="margin-bottom: 20px;">
+                <select id="stats-days" style="width: auto;">\${[7, 14, 30].map(dayOption).join('')}</select>
+                <button type="button" class="btn btn-secondary btn-sm" data-action="refresh-stats">刷新</button>
+              </div>
+              \${stats === null
+                ? '<div class="loading-container"><div class="spinner"></div><span>正在加载...</span></div>'
+                : (stats.length ? stats.map(renderGroup).join('') : '<p>暂无订阅组。</p>')}
+            </div>
+          </section>
+        \`;
+      },
+      renderSourcesView() {
+        const sources = this.state.sources;
+        const formatTime = ts => ts ? new Date(ts).toLocaleString() : '-';
+        const statusDot = health => {
+          if (!health) return '<span class="status-dot" title="暂无记录"></span>';
+          return health.ok
+            ? '<span class="status-dot ok" title="正常"></span>'
+            : '<span class="status-dot error" title="异常"></span>';
+        };
+        const renderGroup = group => \`
+              <fieldset>
+                <legend>\${this.escapeHtml(group.name)}</legend>
+                \${group.sources.length === 0 ? '<p style="color: #666;">该订阅组没有远程订阅。</p>' : \`
+                <div class="table-wrapper">
+                  <table class="table">
+                    <thead><tr><th></th><th>订阅地址</th><th>HTTP</th><th>延迟</th><th>节点数</th><th>类型</th><th>最后检查</th><th>最后成功</th><th>错误</th></tr></thead>
+                    <tbody>
+                      \${group.sources.map(({ url, health }) => \`
+                      <tr>
+                        <td>\${statusDot(health)}</td>
+                        <td class="url-cell" title="\${this.escapeHtml(url)}">\${this.escapeHtml(url)}</td>
+                        <td>\${health && health.status || '-'}</td>
+                        <td>\${health && health.latency != null ? health.latency + ' ms' : '-'}</td>
+                        <td>\${health && health.nodeCount != null ? health.nodeCount : '-'}</td>
+                        <td>\${this.escapeHtml(health && health.contentType || '-')}</td>
+                        <td>\${formatTime(health && health.checkedAt)}</td>
+                        <td>\${formatTime(health && health.lastSuccessAt)}</td>
+                        <td style="color: var(--danger-color);">\${this.escapeHtml(health && health.error || '')}</td>
+                      </tr>\`).join('')}
+                    </tbody>
+                  </table>
+                </div>\`}
+              </fieldset>
+        \`;
+        return \`
+          <aside class="sidebar">
+            \${this.renderMobileNav()}
+            <div class="sidebar-item active">上游状态</div>
+          </aside>
+          <section class="content-area">
+            <div class="form-container" style="max-width: 1200px;">
+              <h2>上游状态</h2>
+              <div class="actions" style="margin-bottom: 20px;">
+                <button type="button" class="btn btn-secondary btn-sm" data-action="refresh-sources">刷新</button>
+              </div>
+              \${sources === null
+                ? '<div class="loading-container"><div class="spinner"></div><span>正在加载...</span></div>'
+                : (sources.length ? sources.map(renderGroup).join('') : '<p>暂无订阅组。</p>')}
+            </div>
+          </section>
+        \`;
+      },
+      renderUsersView() {
+        const users = this.state.users;
+        const apiTokens = this.state.apiTokens;
+        const roleSelect = (attrs, selected) => \`<select \${attrs}>\${Object.keys(this.roleLevels).map(role => \`<option value="\${role}" \${selected === role ? 'selected' : ''}>\${this.roleLabels[role]} (\${role})</option>\`).join('')}</select>\`;
+        return \`
+          <aside class="sidebar">
+            \${this.renderMobileNav()}
+            <div class="sidebar-item active">账户管理</div>
+          </aside>
+          <section class="content-area">
+            <div class="form-container">
+              <h2>账户管理</h2>
+              <p style="color: #666; font-size: 14px;">只读: 查看订阅组与设置；编辑: 另可修改订阅组；所有者: 另可修改全局设置与管理账户。使用全局管理员密码登录 (用户名留空) 始终为所有者。</p>
+              <fieldset>
+                <legend>账户</legend>
+                \${users === null ? '<div class="loading-container"><div class="spinner"></div><span>正在加载...</span></div>' : \`
+                <div class="table-wrapper">
+                  <table class="table">
+                    <thead><tr><th>用户名</th><th>角色</th><th>新密码</th><th>两步验证</th><th>创建时间</th><th></th></tr></thead>
+                    <tbody>
+                      \${users.length ? users.map(user => \`
+                      <tr data-username="\${this.escapeHtml(user.username)}">
+                        <td>\${this.escapeHtml(user.username)}</td>
+                        <td>\${roleSelect('class="user-role"', user.role)}</td>
+                        <td><input type="password" class="user-password" placeholder="留空则不修改" autocomplete="new-password"></td>
+                        <td>\${user.twoFactor ? \`已启用 <button type="button" class="btn btn-secondary btn-sm" data-action="reset-user-2fa" data-username="\${this.escapeHtml(user.username)}">重置</button>\` : '未启用'}</td>
+                        <td>\${user.createdAt ? new Date(user.createdAt).toLocaleString() : '-'}</td>
+                        <td>
+                          <button type="button" class="btn btn-secondary btn-sm" data-action="save-user">保存</button>
+                          <button type="button" class="btn btn-danger btn-sm" data-action="delete-user" data-username="\${this.escapeHtml(user.username)}">删除</button>
+                        </td>
+                      </tr>\`).join('') : '<tr><td colspan="6" style="color: #666;">暂无账户</td></tr>'}
+                    </tbody>
+                  </table>
+                </div>\`}
+              </fieldset>
+              <fieldset>
+                <legend>添加账户</legend>
+                <div class="form-group">
+                  <label for="new-user-name">用户名 (字母、数字、_ . @ -)</label>
+                  <input type="text" id="new-user-name" autocomplete="off">
+                </div>
+                <div class="form-group">
+                  <label for="new-user-password">密码 (至少 8 位)</label>
+                  <input type="password" id="new-user-password" autocomplete="new-password">
+                </div>
+                <div class="form-group">
+                  <label for="new-user-role">角色</label>
+                  \${roleSelect('id="new-user-role"', 'viewer')}
+                </div>
+                <div class="actions">
+                  <button type="button" class="btn btn-primary" data-action="add-user">添加</button>
+                </div>
+              </fieldset>
+              <fieldset>
+                <legend>API 令牌</legend>
+                <p style="color: #666; font-size: 14px;">用于脚本或 CI 调用 /admin/api/*，请求时携带 <code>Authorization: Bearer &lt;令牌&gt;</code>。API 令牌不能管理账户、两步验证和 API 令牌。</p>
+                \${this.state.newApiToken ? \`
+                <div class="recovery-codes">
+                  <p>新令牌「\${this.escapeHtml(this.state.newApiToken.name)}」只显示这一次，请立即复制保存：</p>
+                  <pre>\${this.escapeHtml(this.state.newApiToken.token)}</pre>
+                  <button type="button" class="btn btn-secondary btn-sm" data-action="copy-text" data-text="\${this.escapeHtml(this.state.newApiToken.token)}">复制</button>
+                  <button type="button" class="btn btn-secondary btn-sm" data-action="dismiss-api-token">我已保存</button>
+                </div>\` : ''}
+                \${apiTokens === null ? '<div class="loading-container"><div class="spinner"></div><span>正在加载...</span></div>' : \`
+                <div class="table-wrapper">
+                  <table class="table">
+                    <thead><tr><th>名称</th><th>令牌</th><th>范围</th><th>过期时间</th><th>最近使用</th><th>创建者</th><th></th></tr></thead>
+                    <tbody>
+                      \${apiTokens.length ? apiTokens.map(token => {
+                        const expired = token.expiresAt && new Date(token.expiresAt).getTime() <= Date.now();
+                        return \`
+                      <tr>
+                        <td>\${this.escapeHtml(token.name)}</td>
+                        <td><code>\${this.escapeHtml(token.prefix)}…</code></td>
+                        <td>\${this.apiTokenScopes[token.scope] || this.escapeHtml(token.scope)} (\${this.escapeHtml(token.scope)})</td>
+                        <td\${expired ? ' style="color: var(--danger-color);"' : ''}>\${token.expiresAt ? new Date(token.expiresAt).toLocaleString() + (expired ? ' (已过期)' : '') : '永不过期'}</td>
+                        <td>\${token.lastUsedAt ? this.formatLastSeen(token.lastUsedAt) : '从未使用'}</td>
+                        <td>\${this.escapeHtml(token.createdBy || '管理员')}</td>
+                        <td><button type="button" class="btn btn-danger btn-sm" data-action="revoke-api-token" data-id="\${this.escapeHtml(token.id)}" data-name="\${this.escapeHtml(token.name)}">吊销</button></td>
+                      </tr>\`;
+                      }).join('') : '<tr><td colspan="7" style="color: #666;">暂无 API 令牌</td></tr>'}
+                    </tbody>
+                  </table>
+                </div>\`}
+                <div class="form-group" style="margin-top: 15px;">
+                  <label for="new-api-token-name">名称</label>
+                  <input type="text" id="new-api-token-name" placeholder="如 github-actions" autocomplete="off">
+                </div>
+                <div class="form-group">
+                  <label for="new-api-token-scope">范围</label>
+                  <select id="new-api-token-scope">
+                    \${Object.entries(this.apiTokenScopes).map(([scope, label]) => \`<option value="\${scope}">\${label} (\${scope})</option>\`).join('')}
+                  </select>
+                </div>
+                <div class="form-group">
+                  <label for="new-api-token-expires">过期时间 (留空则永不过期)</label>
+                  <input type="datetime-local" id="new-api-token-expires">
+                </div>
+                <div class="actions">
+                  <button type="button" class="btn btn-primary" data-action="add-api-token">创建令牌</button>
+                </div>
+              </fieldset>
+            </div>
+          </section>
+        \`;
+      },
       renderSettingsView() { 
         const cfg = this.state.config; 
         return \` 
           <aside class="sidebar"> 
-            <!-- 移动端导航菜单 -->
-            <div class="mobile-nav">
-              <div class="sidebar-item \${this.state.currentView === 'subscriptions' ? 'active' : ''}" data-action="navigate" data-view="subscriptions">
-                📋 订阅管理
-              </div>
-              <div class="sidebar-item \${this.state.currentView === 'settings' ? 'active' : ''}" data-action="navigate" data-view="settings">
-                ⚙️ 全局设置
-              </div>
-              <hr style="margin: 10px 0; border: none; border-top: 1px solid var(--border-color);">
-            </div>
+            \${this.renderMobileNav()}
             <div class="sidebar-item active">全局设置</div>
           </aside> 
           <section class="content-area"> 
             <!-- 设置表单内容保持不变 -->
             \${this.renderSettingsForm(cfg)}
+            \${this.renderTwoFactorSection()}
+            \${this.can('owner') ? this.renderBackupSection() : ''}
+            \${this.can('owner') ? \`<div class="form-container" style="max-width: 1200px; padding: 20px; margin-top: 20px;">\${this.renderHistorySection('config')}</div>\` : ''}
           </section> 
         \`; 
       },
+      // 两步验证只作用于当前登录的账户，放在设置表单之外，不随全局设置保存
+      renderBotDetectionFieldset(rules) {
+        const weights = rules.weights || {};
+        const textarea = (id, label, values, hint) => \`
+                    <div class="form-group"> 
+                      <label for="\${id}">\${label}</label> 
+                      <textarea id="\${id}" style="height: 80px;">\${this.escapeHtml((values || []).join('\\n'))}</textarea> 
+                      <small style="color: #666; font-size: 12px;">\${hint}</small> 
+                    </div> \`;
+        return \`
+                  <fieldset> 
+                    <legend>机器人检测</legend> 
+                    <div class="form-group"> 
+                      <label for="bot-threshold">判定阈值</label> 
+                      <input type="number" id="bot-threshold" value="\${rules.threshold ?? 50}" min="1" max="1000"> 
+                      <small style="color: #666; font-size: 12px;">各评分项的分数相加，达到阈值视为机器人 (需勾选上方的阻止爬虫)</small> 
+                    </div> 
+                    \${textarea('bot-trusted', '可信客户端 (每行一个)', rules.trustedClients, 'User-Agent 包含其一 (不区分大小写) 时不检查浏览器特有的请求头；UA 可被任意伪造，只用于减少误判，不能作为访问控制')} 
+                    \${textarea('bot-allow', 'User-Agent 允许规则 (每行一条正则)', rules.allowUaPatterns, '命中任一规则的请求始终放行')} 
+                    \${textarea('bot-deny', 'User-Agent 拒绝规则 (每行一条正则)', rules.denyUaPatterns, '命中时加上「User-Agent 命中拒绝规则」的分数；裸正则不区分大小写，也可写为 /pattern/flags')} 
+                    <table class="table"> 
+                      <thead><tr><th>评分项</th><th>分数</th></tr></thead> 
+                      <tbody> 
+                        \${Object.entries(this.botSignalLabels).map(([signal, label]) => \`
+                        <tr> 
+                          <td><label for="bot-weight-\${signal}">\${label}</label></td> 
+                          <td><input type="number" id="bot-weight-\${signal}" value="\${weights[signal] ?? 0}" min="-100" max="100"></td> 
+                        </tr>\`).join('')} 
+                      </tbody> 
+                    </table> 
+                    <div class="form-group" style="margin-top: 15px;"> 
+                      <label for="bot-test-headers">测试请求 (粘贴请求头，每行 Name: value，首行可为请求行)</label> 
+                      <textarea id="bot-test-headers" style="height: 100px;" placeholder="GET /sub/xxx HTTP/1.1&#10;User-Agent: clash.meta&#10;Accept: */*"></textarea> 
+                    </div> 
+                    <div class="form-group token-group"> 
+                      <select id="bot-test-http"> 
+                        <option value="">HTTP 版本：取自请求行 (默认 HTTP/2)</option> 
+                        <option value="HTTP/1.0">HTTP/1.0</option> 
+                        <option value="HTTP/1.1">HTTP/1.1</option> 
+                        <option value="HTTP/2">HTTP/2</option> 
+                        <option value="HTTP/3">HTTP/3</option> 
+                      </select> 
+                      <select id="bot-test-tls"> 
+                        <option value="TLSv1.3">TLSv1.3</option> 
+                        <option value="TLSv1.2">TLSv1.2</option> 
+                        <option value="TLSv1.1">TLSv1.1</option> 
+                        <option value="TLSv1.0">TLSv1.0</option> 
+                        <option value="">无 TLS</option> 
+                      </select> 
+                      <button type="button" class="btn btn-secondary" data-action="test-bot-detection">测试</button> 
+                    </div> 
+                    <small style="color: #666; font-size: 12px;">使用表单中尚未保存的规则评分</small> 
+                    <div id="bot-test-result" class="bot-test-result"></div> 
+                  </fieldset> 
+        \`;
+      },
+      renderBotTestResult(result) {
+        const verdict = result.ifBot
+          ? \`<span class="verdict bot">判定为机器人 (\${result.score} ≥ \${result.threshold})\${result.blockBots ? '' : '，但当前未开启阻止爬虫'}</span>\`
+          : \`<span class="verdict">放行 (\${result.allowedBy ? \`命中允许规则 \${this.escapeHtml(result.allowedBy)}\` : \`\${result.score} < \${result.threshold}\`})</span>\`;
+        const notes = [
+          result.trustedClient ? \`可信客户端：\${this.escapeHtml(result.trustedClient)}\` : '',
+          result.deniedBy ? \`命中拒绝规则：\${this.escapeHtml(result.deniedBy)}\` : '',
+        ].filter(Boolean).join('；');
+        return \`
+                    <div>\${verdict}</div> 
+                    \${notes ? \`<small style="color: #666;">\${notes}</small>\` : ''} 
+                    <table class="table"> 
+                      <thead><tr><th>评分项</th><th>命中</th><th>分数</th></tr></thead> 
+                      <tbody> 
+                        \${result.signals.map(entry => \`
+                        <tr class="\${entry.skipped ? 'skipped' : ''}"> 
+                          <td>\${this.botSignalLabels[entry.signal] || this.escapeHtml(entry.signal)}</td> 
+                          <td>\${entry.skipped ? '跳过 (可信客户端)' : (entry.matched ? '是' : '否')}</td> 
+                          <td>\${entry.points}</td> 
+                        </tr>\`).join('')} 
+                      </tbody> 
+                    </table> 
+        \`;
+      },
+      renderTwoFactorSection() {
+        const status = this.state.twoFactor;
+        const setup = this.state.twoFactorSetup;
+        const codes = this.state.recoveryCodes;
+        const codeInput = (label) => \`
+          <div class="form-group">
+            <label for="two-factor-code">\${label}</label>
+            <input type="text" id="two-factor-code" autocomplete="one-time-code" style="max-width: 240px;">
+          </div>\`;
+        let body;
+        if (status === null) {
+          body = '<div class="loading-container"><div class="spinner"></div><span>正在加载...</span></div>';
+        } else if (setup) {
+          body = \`
+            <p>在验证器应用 (Google Authenticator、1Password、Aegis 等) 中添加账户：打开下方的 otpauth 链接，或手动输入密钥。</p>
+            <div class="form-group">
+              <label>otpauth URI</label>
+              <div class="token-group">
+                <input type="text" readonly value="\${this.escapeHtml(setup.uri)}">
+                <button type="button" class="btn btn-secondary" data-action="copy-text" data-text="\${this.escapeHtml(setup.uri)}">复制</button>
+              </div>
+            </div>
+            <div class="form-group">
+              <label>密钥 (Base32)</label>
+              <div class="token-group">
+                <input type="text" readonly value="\${this.escapeHtml(setup.secret)}">
+                <button type="button" class="btn btn-secondary" data-action="copy-text" data-text="\${this.escapeHtml(setup.secret)}">复制</button>
+              </div>
+            </div>
+            \${codeInput('输入应用显示的 6 位验证码以完成绑定')}
+            <div class="actions">
+              <button type="button" class="btn btn-secondary" data-action="cancel-2fa-setup">取消</button>
+              <button type="button" class="btn btn-primary" data-action="enable-2fa">启用</button>
+            </div>\`;
+        } else if (status.enabled) {
+          body = \`
+            <p>已启用。剩余恢复码：\${status.recoveryCodesRemaining} 个。</p>
+            \${codeInput('验证码 (关闭时也可使用恢复码)')}
+            <div class="actions">
+              <button type="button" class="btn btn-secondary" data-action="regenerate-recovery-codes">重新生成恢复码</button>
+              <button type="button" class="btn btn-danger" data-action="disable-2fa">关闭两步验证</button>
+            </div>\`;
+        } else {
+          body = \`
+            <p>未启用。启用后登录时除密码外还需输入验证器应用中的 6 位验证码。</p>
+            <div class="actions">
+              <button type="button" class="btn btn-primary" data-action="setup-2fa">开始设置</button>
+            </div>\`;
+        }
+        return \`
+          <div class="form-container" style="max-width: 1200px; padding: 20px; margin-top: 20px;">
+            <fieldset>
+              <legend>两步验证 (当前账户: \${this.escapeHtml(this.state.me.username || '管理员')})</legend>
+              \${codes ? \`
+              <div class="recovery-codes">
+                <p>请妥善保存以下恢复码，每个只能使用一次，离开此页面后将无法再次查看：</p>
+                <pre>\${codes.map(c => this.escapeHtml(c)).join('\\n')}</pre>
+                <button type="button" class="btn btn-secondary btn-sm" data-action="copy-text" data-text="\${this.escapeHtml(codes.join('\\n'))}">复制</button>
+                <button type="button" class="btn btn-secondary btn-sm" data-action="dismiss-recovery-codes">我已保存</button>
+              </div>\` : ''}
+              \${body}
+            </fieldset>
+          </div>
+        \`;
+      },
+      renderBackupSection() {
+        const preview = this.state.restorePreview;
+        const groupList = (label, groups) => groups.length
+          ? \`<li>\${label} (\${groups.length})：\${groups.map(g => this.escapeHtml(g.name)).join('、')}</li>\`
+          : '';
+        let previewHtml = '';
+        if (preview) {
+          const { config, groups } = preview.changes;
+          const items = [
+            config.changed ? \`<li>全局设置：修改 \${config.keys.map(k => this.escapeHtml(k)).join('、')}</li>\` : '<li>全局设置：无变化</li>',
+            groupList('新增订阅组', groups.created),
+            groupList('覆盖订阅组', groups.updated),
+            groupList('删除订阅组', groups.deleted),
+            groupList('无变化的订阅组', groups.unchanged),
+          ].join('');
+          previewHtml = \`
+            <div class="recovery-codes">
+              <p>以\${preview.mode === 'replace' ? '替换' : '合并'}模式恢复将产生以下变更：</p>
+              <ul>\${items}</ul>
+              <button type="button" class="btn btn-secondary btn-sm" data-action="cancel-restore">取消</button>
+              <button type="button" class="btn btn-danger btn-sm" data-action="apply-restore">确认恢复</button>
+            </div>\`;
+        }
+        return \`
+          <div class="form-container" style="max-width: 1200px; padding: 20px; margin-top: 20px;">
+            <fieldset>
+              <legend>备份与恢复</legend>
+              <p style="color: #666; font-size: 14px;">备份包含全局设置与全部订阅组，不包含管理员账户、两步验证、API 令牌和访问统计。</p>
+              <div class="form-group checkbox-group">
+                <input type="checkbox" id="backup-redact">
+                <label for="backup-redact">脱敏导出 (隐藏管理员密码与 Telegram Bot Token，恢复时保留当前值)</label>
+              </div>
+              <div class="actions" style="justify-content: flex-start;">
+                <button type="button" class="btn btn-primary" data-action="export-backup">导出备份</button>
+              </div>
+              <div class="form-group" style="margin-top: 20px;">
+                <label for="restore-file">备份文件</label>
+                <input type="file" id="restore-file" accept="application/json,.json">
+              </div>
+              <div class="form-group">
+                <label for="restore-mode">恢复方式</label>
+                <select id="restore-mode">
+                  <option value="merge">合并 (覆盖同 token 的订阅组，保留其他订阅组)</option>
+                  <option value="replace" \${preview && preview.mode === 'replace' ? 'selected' : ''}>替换 (删除备份中不存在的订阅组)</option>
+                </select>
+              </div>
+              \${previewHtml}
+              <div class="actions" style="justify-content: flex-start;">
+                <button type="button" class="btn btn-secondary" data-action="preview-restore">预览变更</button>
+              </div>
+            </fieldset>
+            <fieldset style="margin-top: 20px;">
+              <legend>数据维护</legend>
+              <p style="color: #666; font-size: 14px;">订阅组列表依赖一个索引，并发保存时索引可能遗漏订阅组或残留已删除的条目。重建会按实际存在的订阅组修复索引。</p>
+              <div class="actions" style="justify-content: flex-start;">
+                <button type="button" class="btn btn-secondary" data-action="rebuild-index">检查并重建索引</button>
+              </div>
+            </fieldset>
+          </div>
+        \`;
+      },
       renderSettingsForm(cfg) {
         return \`
           <div class="form-container" style="max-width: 1200px; padding: 20px;">
@@ -603,7 +2334,7 @@ export function renderAdminPage() {
                   <fieldset> 
                     <legend>安全设置</legend> 
                     <div class="form-group"> 
-                      <label for="admin-password">管理密码 (留空则不修改)</label> 
+                      <label for="admin-password">管理密码 (留空则不修改，至少 8 位，以 PBKDF2 哈希保存)</label> 
                       <input type="password" id="admin-password" placeholder="输入新密码"> 
                     </div> 
                     <div class="form-group checkbox-group"> 
@@ -611,6 +2342,7 @@ export function renderAdminPage() {
                       <label for="block-bots">阻止常见爬虫/机器人访问</label> 
                     </div> 
                   </fieldset> 
+                  \${this.renderBotDetectionFieldset(cfg.botDetection || {})} 
                   <fieldset> 
                     <legend>登录失败防护</legend> 
                     <div class="form-group checkbox-group"> 
@@ -633,6 +2365,36 @@ export function renderAdminPage() {
                       <small style="color: #666; font-size: 12px;">失败尝试记录的保留时间</small> 
                     </div> 
                   </fieldset>
+                  <fieldset> 
+                    <legend>订阅限流</legend> 
+                    <div class="form-group checkbox-group"> 
+                      <input type="checkbox" id="rate-limit-enabled" \${cfg.rateLimit && cfg.rateLimit.enabled ? 'checked' : ''}> 
+                      <label for="rate-limit-enabled">限制订阅接口的请求频率</label> 
+                    </div> 
+                    <div class="form-group"> 
+                      <label for="rate-limit-token">每个订阅地址的请求数 / 窗口 (秒)</label> 
+                      <div class="token-group"> 
+                        <input type="number" id="rate-limit-token" value="\${cfg.rateLimit ? cfg.rateLimit.tokenLimit : 60}" min="0" max="100000"> 
+                        <input type="number" id="rate-limit-token-window" value="\${cfg.rateLimit ? cfg.rateLimit.tokenWindow : 3600}" min="1" max="86400"> 
+                      </div> 
+                    </div> 
+                    <div class="form-group"> 
+                      <label for="rate-limit-ip">每个客户端 IP 的请求数 / 窗口 (秒)</label> 
+                      <div class="token-group"> 
+                        <input type="number" id="rate-limit-ip" value="\${cfg.rateLimit ? cfg.rateLimit.ipLimit : 30}" min="0" max="100000"> 
+                        <input type="number" id="rate-limit-ip-window" value="\${cfg.rateLimit ? cfg.rateLimit.ipWindow : 600}" min="1" max="86400"> 
+                      </div> 
+                      <small style="color: #666; font-size: 12px;">请求数为 0 表示不限制；使用远端 Subconverter 时每次转换会额外产生一次回访请求</small> 
+                    </div> 
+                    <div class="form-group"> 
+                      <label for="rate-limit-action">超出限制时</label> 
+                      <select id="rate-limit-action"> 
+                        <option value="reject" \${cfg.rateLimit && cfg.rateLimit.action === 'camouflage' ? '' : 'selected'}>返回 429 Too Many Requests</option> 
+                        <option value="camouflage" \${cfg.rateLimit && cfg.rateLimit.action === 'camouflage' ? 'selected' : ''}>返回伪装页面 (404)</option> 
+                      </select> 
+                      <small style="color: #666; font-size: 12px;">计数保存在 KV 中，每个启用的维度每次请求写入一次 KV (免费版每天 1000 次写入)；各地区同步有约 60 秒延迟，计数为近似值</small> 
+                    </div> 
+                  </fieldset>
                 </div>
                 <div class="settings-column">
                   <fieldset> 
@@ -650,8 +2412,127 @@ export function renderAdminPage() {
                       <input type="text" id="tg-chatid" value="\${this.escapeHtml(cfg.telegram && cfg.telegram.chatId || '')}"> 
                     </div> 
                   </fieldset> 
+                  <fieldset> 
+                    <legend>上游缓存</legend> 
+                    <div class="form-group checkbox-group"> 
+                      <input type="checkbox" id="cache-enabled" \${cfg.cache && cfg.cache.enabled ? 'checked' : ''}> 
+                      <label for="cache-enabled">缓存上游订阅内容</label> 
+                    </div> 
+                    <div class="form-group"> 
+                      <label for="cache-fresh-ttl">直接使用缓存的时间 (秒)</label> 
+                      <input type="number" id="cache-fresh-ttl" value="\${cfg.cache ? cfg.cache.freshTtl : 300}" min="0" max="86400"> 
+                      <small style="color: #666; font-size: 12px;">在此时间内不再请求上游，0 表示每次都请求上游</small> 
+                    </div> 
+                    <div class="form-group"> 
+                      <label for="cache-stale-ttl">缓存保留时间 (秒)</label> 
+                      <input type="number" id="cache-stale-ttl" value="\${cfg.cache ? cfg.cache.staleTtl : 604800}" min="60"> 
+                      <small style="color: #666; font-size: 12px;">上游请求失败或超时时回退使用的缓存最长保留时间；配置 Cron 触发器后会定时在后台刷新</small> 
+                    </div> 
+                  </fieldset> 
+                  <fieldset> 
+                    <legend>访问统计</legend> 
+                    <div class="form-group checkbox-group"> 
+                      <input type="checkbox" id="stats-enabled" \${cfg.stats && cfg.stats.enabled ? 'checked' : ''}> 
+                      <label for="stats-enabled">记录订阅访问统计</label> 
+                    </div> 
+                    <div class="form-group"> 
+                      <label for="stats-retention">保留天数</label> 
+                      <input type="number" id="stats-retention" value="\${cfg.stats ? cfg.stats.retentionDays : 30}" min="1" max="90"> 
+                      <small style="color: #666; font-size: 12px;">每次访问会写入一次 KV；访问频繁时计数为近似值</small> 
+                    </div> 
+                  </fieldset> 
+                  <fieldset> 
+                    <legend>历史版本</legend> 
+                    <div class="form-group"> 
+                      <label for="history-max-revisions">保留版本数</label> 
+                      <input type="number" id="history-max-revisions" value="\${cfg.history ? cfg.history.maxRevisions : 20}" min="1" max="100"> 
+                      <small style="color: #666; font-size: 12px;">每个订阅组和全局设置各自保留的最近版本数量</small> 
+                    </div> 
+                  </fieldset> 
+                  <fieldset> 
+                    <legend>更换 Token</legend> 
+                    <div class="form-group"> 
+                      <label for="rotation-grace">默认宽限期 (小时)</label> 
+                      <input type="number" id="rotation-grace" value="\${cfg.tokenRotation ? cfg.tokenRotation.graceHours : 168}" min="0" max="8760"> 
+                      <small style="color: #666; font-size: 12px;">更换订阅组 Token 后原地址的默认保留时间，0 表示立即失效</small> 
+                    </div> 
+                    <div class="form-group"> 
+                      <label for="rotation-mode">宽限期内原地址</label> 
+                      <select id="rotation-mode"> 
+                        <option value="serve" \${cfg.tokenRotation && cfg.tokenRotation.mode === 'notice' ? '' : 'selected'}>继续提供订阅</option> 
+                        <option value="notice" \${cfg.tokenRotation && cfg.tokenRotation.mode === 'notice' ? 'selected' : ''}>只返回提示节点</option> 
+                      </select> 
+                    </div> 
+                    <div class="form-group"> 
+                      <label for="rotation-notice">提示节点名称</label> 
+                      <input type="text" id="rotation-notice" maxlength="100" value="\${this.escapeHtml(cfg.tokenRotation ? cfg.tokenRotation.noticeMessage : '订阅地址已更换，请联系管理员获取新地址')}"> 
+                    </div> 
+                  </fieldset> 
+                  <fieldset> 
+                    <legend>访问策略</legend> 
+                    <p style="color: #666; font-size: 12px; margin: 0 0 10px;">订阅组默认的来源限制，按请求的国家/地区与 ASN 判断，可在订阅组中改为自定义策略</p> 
+                    \${this.renderAccessPolicyFields(cfg.accessPolicy || { denyCountries: ['CN'] }, 'global-policy')} 
+                  </fieldset> 
+                  <fieldset> 
+                    <legend>订阅组到期</legend> 
+                    <div class="form-group"> 
+                      <label for="lifecycle-action">到期后默认</label> 
+                      <select id="lifecycle-action"> 
+                        <option value="camouflage" \${cfg.lifecycle && cfg.lifecycle.expiredAction === 'notice' ? '' : 'selected'}>返回伪装页面</option> 
+                        <option value="notice" \${cfg.lifecycle && cfg.lifecycle.expiredAction === 'notice' ? 'selected' : ''}>只返回到期提示节点</option> 
+                      </select> 
+                    </div> 
+                    <div class="form-group"> 
+                      <label for="lifecycle-notice">到期提示节点名称</label> 
+                      <input type="text" id="lifecycle-notice" maxlength="100" value="\${this.escapeHtml(cfg.lifecycle ? cfg.lifecycle.noticeMessage : '订阅已到期，请联系管理员续费')}"> 
+                    </div> 
+                    <div class="form-group"> 
+                      <label for="lifecycle-warn-days">提前提醒天数</label> 
+                      <input type="number" id="lifecycle-warn-days" value="\${cfg.lifecycle ? cfg.lifecycle.warnDays : 3}" min="0" max="30"> 
+                      <small style="color: #666; font-size: 12px;">到期前通过 Telegram 提醒 (需配置 Cron 触发器)，0 表示不提醒</small> 
+                    </div> 
+                  </fieldset> 
+                  <fieldset> 
+                    <legend>审计日志</legend> 
+                    <div class="form-group checkbox-group"> 
+                      <input type="checkbox" id="audit-enabled" \${!cfg.audit || cfg.audit.enabled ? 'checked' : ''}> 
+                      <label for="audit-enabled">记录管理操作审计日志</label> 
+                    </div> 
+                    <div class="form-group"> 
+                      <label for="audit-retention">保留天数</label> 
+                      <input type="number" id="audit-retention" value="\${cfg.audit ? cfg.audit.retentionDays : 90}" min="1" max="3650"> 
+                      <small style="color: #666; font-size: 12px;">修改只对之后写入的记录生效</small> 
+                    </div> 
+                  </fieldset> 
+                  <fieldset> 
+                    <legend>订阅流量信息</legend> 
+                    <div class="form-group"> 
+                      <label for="sub-info-mode">Subscription-Userinfo 下发方式</label> 
+                      <select id="sub-info-mode"> 
+                        <option value="aggregate" \${cfg.subscriptionInfo && cfg.subscriptionInfo.mode === 'aggregate' ? 'selected' : ''}>汇总上游 (流量求和，取最早到期时间)</option> 
+                        <option value="static" \${cfg.subscriptionInfo && cfg.subscriptionInfo.mode === 'static' ? 'selected' : ''}>固定值</option> 
+                        <option value="hidden" \${cfg.subscriptionInfo && cfg.subscriptionInfo.mode === 'hidden' ? 'selected' : ''}>不下发</option> 
+                      </select> 
+                      <small style="color: #666; font-size: 12px;">订阅组可单独覆盖此设置</small> 
+                    </div> 
+                    <div class="form-group"> 
+                      <label for="sub-info-total">固定总流量 (TB)</label> 
+                      <input type="number" id="sub-info-total" min="0" step="0.01" value="\${cfg.subscriptionInfo ? cfg.subscriptionInfo.totalTB : 99}"> 
+                    </div> 
+                    <div class="form-group"> 
+                      <label for="sub-info-expire">固定到期日期 (YYYY-MM-DD，0 表示不过期)</label> 
+                      <input type="text" id="sub-info-expire" value="\${this.escapeHtml(cfg.subscriptionInfo && cfg.subscriptionInfo.expireDate || '')}"> 
+                    </div> 
+                  </fieldset> 
                   <fieldset> 
                     <legend>订阅转换</legend> 
+                    <div class="form-group"> 
+                      <label for="subconverter-engine">转换引擎</label> 
+                      <select id="subconverter-engine"> 
+                        <option value="auto" \${cfg.subconverter && cfg.subconverter.engine === 'native' ? '' : 'selected'}>自动 (优先使用 Subconverter 后端，不可用时使用内置转换器)</option> 
+                        <option value="native" \${cfg.subconverter && cfg.subconverter.engine === 'native' ? 'selected' : ''}>内置转换器 (仅支持 Clash / Sing-box)</option> 
+                      </select> 
+                    </div> 
                     <div class="form-group"> 
                       <label for="subconverter-url">Subconverter 后端地址 (不含 http(s)://)</label> 
                       <input type="text" id="subconverter-url" value="\${this.escapeHtml(cfg.subconverter && cfg.subconverter.url || '')}"> 
@@ -660,11 +2541,16 @@ export function renderAdminPage() {
                       <label for="subconverter-config">Subconverter 配置文件 URL</label> 
                       <input type="text" id="subconverter-config" value="\${this.escapeHtml(cfg.subconverter && cfg.subconverter.configUrl || '')}"> 
                     </div> 
+                    <div class="form-group"> 
+                      <label for="singbox-template">Sing-box 基础模板 (JSON，留空使用默认模板)</label> 
+                      <textarea id="singbox-template" placeholder='{"log": {"level": "info"}, "inbounds": [], "outbounds": [], "route": {"final": "proxy"}}'>\${this.escapeHtml(cfg.singbox && cfg.singbox.template || '')}</textarea> 
+                      <small style="color: #666; font-size: 12px;">内置转换器会将节点、selector (proxy) 与 urltest (auto) 策略组追加到 outbounds 中</small> 
+                    </div> 
                   </fieldset> 
                 </div>
               </div>
               <div class="actions actions-center" style="margin-top: 30px;"> 
-                <button class="btn btn-primary" data-action="save-settings">保存设置</button> 
+                \${this.can('owner') ? '<button class="btn btn-primary" data-action="save-settings">保存设置</button>' : '<span style="color: #666;">只有所有者可以修改全局设置</span>'} 
               </div> 
             </form> 
           </div>
@@ -11,8 +11,10 @@ export function renderLoginPage() {
             .login-box { background: #fff; padding: 40px; border-radius: 8px; box-shadow: 0 4px 12px rgba(0,0,0,0.15); width: 360px; }
             h1 { text-align: center; margin-top: 0; margin-bottom: 24px; font-size: 24px; }
             .form-group { margin-bottom: 20px; }
-            input[type="password"] { width: 100%; padding: 12px; border: 1px solid #d9d9d9; border-radius: 4px; font-size: 16px; box-sizing: border-box; }
+            input[type="password"], input[type="text"] { width: 100%; padding: 12px; border: 1px solid #d9d9d9; border-radius: 4px; font-size: 16px; box-sizing: border-box; }
             .btn { width: 100%; padding: 12px; font-size: 16px; border-radius: 4px; border: none; background-color: #007bff; color: white; cursor: pointer; }
+            .notice { color: #856404; background-color: #fff3cd; border-radius: 4px; padding: 10px; font-size: 14px; margin-bottom: 20px; }
+            .hidden { display: none; }
             .error { color: #dc3545; text-align: center; height: 1.2em; margin-top: 10px; }
         </style>
     </head>
@@ -21,7 +23,25 @@ export function renderLoginPage() {
             <h1>管理员登录</h1>
             <form id="login-form">
                 <div class="form-group">
-                    <input type="password" id="password" placeholder="请输入密码" required autofocus>
+                    <input type="text" id="username" placeholder="用户名 (使用管理员密码登录时留空)" autocomplete="username" autofocus>
+                </div>
+                <div class="form-group">
+                    <input type="password" id="password" placeholder="请输入密码" autocomplete="current-password" required>
+                </div>
+                <div id="change-password" class="hidden">
+                    <p class="notice">当前仍在使用默认密码，请先设置新的管理员密码 (至少 8 位)。</p>
+                    <div class="form-group">
+                        <input type="password" id="new-password" placeholder="新密码" autocomplete="new-password">
+                    </div>
+                    <div class="form-group">
+                        <input type="password" id="confirm-password" placeholder="确认新密码" autocomplete="new-password">
+                    </div>
+                </div>
+                <div id="two-factor" class="hidden">
+                    <p class="notice">此账户已启用两步验证，请输入验证器应用中的 6 位验证码，或一个恢复码。</p>
+                    <div class="form-group">
+                        <input type="text" id="code" placeholder="验证码或恢复码" autocomplete="one-time-code" inputmode="text">
+                    </div>
                 </div>
                 <button type="submit" class="btn">登录</button>
                 <p id="error-message" class="error"></p>
@@ -29,12 +49,24 @@ export function renderLoginPage() {
         </div>
         <script>
             const form = document.getElementById('login-form');
+            const usernameInput = document.getElementById('username');
             const passwordInput = document.getElementById('password');
             const errorMessage = document.getElementById('error-message');
+            const changePassword = document.getElementById('change-password');
+            const newPasswordInput = document.getElementById('new-password');
+            const confirmPasswordInput = document.getElementById('confirm-password');
+            const twoFactor = document.getElementById('two-factor');
+            const codeInput = document.getElementById('code');
+            let passwordChangeRequired = false;
+            let twoFactorRequired = false;
 
             form.addEventListener('submit', async (e) => {
                 e.preventDefault();
                 errorMessage.textContent = '';
+                if (passwordChangeRequired && newPasswordInput.value !== confirmPasswordInput.value) {
+                    errorMessage.textContent = '两次输入的新密码不一致。';
+                    return;
+                }
                 const loginButton = form.querySelector('button');
                 loginButton.disabled = true;
                 loginButton.textContent = '登录中...';
@@ -42,7 +74,12 @@ export function renderLoginPage() {
                     const response = await fetch('/admin/api/login', {
                         method: 'POST',
                         headers: { 'Content-Type': 'application/json' },
-                        body: JSON.stringify({ password: passwordInput.value })
+                        body: JSON.stringify({
+                            username: usernameInput.value.trim(),
+                            password: passwordInput.value,
+                            newPassword: passwordChangeRequired ? newPasswordInput.value : undefined,
+                            code: twoFactorRequired ? codeInput.value.trim() : undefined
+                        })
                     });
                     if (response.ok) {
                         window.location.reload(); // 登录成功，刷新页面，浏览器将带上新cookie
@@ -52,7 +89,28 @@ export function renderLoginPage() {
                         errorMessage.style.color = '#dc3545';
                     } else {
                         const data = await response.json().catch(() => ({}));
-                        errorMessage.textContent = data.error || '密码错误，请重试。';
+                        if (data.twoFactorRequired && !twoFactorRequired) {
+                            // 密码正确，显示两步验证码输入框
+                            twoFactorRequired = true;
+                            twoFactor.classList.remove('hidden');
+                            codeInput.required = true;
+                            codeInput.focus();
+                        } else if (data.twoFactorRequired) {
+                            codeInput.value = '';
+                            codeInput.focus();
+                        }
+                        if (data.passwordChangeRequired) {
+                            // 默认密码登录，显示设置新密码的表单
+                            passwordChangeRequired = true;
+                            changePassword.classList.remove('hidden');
+                            newPasswordInput.required = true;
+                            confirmPasswordInput.required = true;
+                            newPasswordInput.focus();
+                        }
+                        // 首次提示设置新密码时由上方的说明代替错误信息
+                        const firstPrompt = (response.status === 403 && data.passwordChangeRequired)
+                            || (data.twoFactorRequired && data.error === 'Two-factor code required');
+                        errorMessage.textContent = firstPrompt ? '' : (data.error || '用户名或密码错误，请重试。');
                     }
                 } catch (err) {
                     errorMessage.textContent = '发生网络错误。';